@@ -0,0 +1,61 @@
+/**
+ * MIMICA - Asset Manifest Builder
+ * Lists the app's files with a content hash each and writes them to
+ * web-demo/asset-manifest.js, which the service worker imports. Any change to the app
+ * changes the manifest, and with it the service worker, so browsers install the new
+ * version and the app offers to reload. Run after changing files under web-demo/ or
+ * the HTML pages:
+ *
+ *   npm run build
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile, readdir, stat, writeFile } from 'node:fs/promises';
+import { join, relative, resolve, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+export const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+export const MANIFEST_PATH = 'web-demo/asset-manifest.js';
+// Files and directories served as the app, relative to the site root
+const ASSET_ROOTS = ['index.html', 'MIMICA( Data to Video Renderer ).html', 'favicon.ico', 'web-demo'];
+// The service worker is versioned by the browser itself; the manifest cannot list its own hash
+const EXCLUDED = ['service-worker.js', MANIFEST_PATH];
+
+const hash = data => createHash('sha256').update(data).digest('hex').slice(0, 12);
+
+async function listFiles(root, path) {
+    const full = join(root, path);
+    if (!(await stat(full)).isDirectory()) return [path];
+    const entries = await readdir(full);
+    const nested = await Promise.all(entries.map(entry => listFiles(root, `${path}/${entry}`)));
+    return nested.flat();
+}
+
+/** @returns {Promise<{version: string, files: Object<string, string>}>} Paths relative to the site root. */
+export async function collectAssets(root = ROOT) {
+    const paths = (await Promise.all(ASSET_ROOTS.map(path => listFiles(root, path)))).flat()
+        .map(path => relative(root, join(root, path)).split(sep).join('/'))
+        .filter(path => !EXCLUDED.includes(path))
+        .sort();
+    const files = {};
+    for (const path of paths) files[path] = hash(await readFile(join(root, path)));
+    const version = hash(paths.map(path => `${path}:${files[path]}`).join('\n'));
+    return { version, files };
+}
+
+export function renderManifest(manifest) {
+    return `// Generated by scripts/build-asset-manifest.js (npm run build). Do not edit.\nself.ASSET_MANIFEST = ${JSON.stringify(manifest, null, 4)};\n`;
+}
+
+async function main() {
+    const manifest = await collectAssets();
+    await writeFile(join(ROOT, MANIFEST_PATH), renderManifest(manifest));
+    console.log(`Wrote ${MANIFEST_PATH}: version ${manifest.version}, ${Object.keys(manifest.files).length} files.`);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch(error => {
+        console.error(`Asset manifest build failed: ${error.message}`);
+        process.exit(1);
+    });
+}
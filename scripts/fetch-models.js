@@ -0,0 +1,44 @@
+/**
+ * MIMICA - Model Pack Builder
+ * Downloads every runtime, model and library file the app otherwise loads from CDNs
+ * into a self-hosted model pack (layout in web-demo/src/model-assets.js), and writes
+ * the manifest.json the service worker precaches it from. Serve the directory with
+ * the app and set Config > Model Source URL to it, e.g. "models".
+ *
+ *   npm run fetch-models [-- outputDir]    (default: ./models)
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { MODEL_PACK_FILES, MODEL_PACK_VERSION } from '../web-demo/src/model-assets.js';
+
+const outputDir = resolve(process.argv[2] || 'models');
+
+async function download(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+}
+
+async function save(path, data) {
+    const target = join(outputDir, path);
+    await mkdir(dirname(target), { recursive: true });
+    await writeFile(target, data);
+    console.log(`  ${path} (${(data.length / 1048576).toFixed(1)} MB)`);
+}
+
+async function main() {
+    console.log(`Building model pack v${MODEL_PACK_VERSION} in ${outputDir}`);
+    const files = [];
+    for (const entry of MODEL_PACK_FILES) {
+        await save(entry.path, await download(entry.url));
+        files.push(entry.path);
+    }
+    await writeFile(join(outputDir, 'manifest.json'), JSON.stringify({ version: MODEL_PACK_VERSION, files }, null, 2));
+    console.log(`Done: ${files.length} files.`);
+}
+
+main().catch(error => {
+    console.error(`Model pack build failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,149 @@
+/**
+ * MIMICA - Live Output Relay
+ * A small local WebSocket server for testing and bridging the app's live output
+ * (Config > Live Output). Every message from the app is:
+ *   - relayed to every other connected WebSocket client, e.g. a Unity scene listening
+ *     on the same URL;
+ *   - forwarded as a UDP packet when it is an OSC bundle, for OSC hosts such as
+ *     TouchDesigner or Max/MSP (see web-demo/src/osc.js for the address scheme);
+ *   - summarized on the console once a second.
+ *
+ *   npm run relay [-- --port 8765] [-- --osc-host 127.0.0.1 --osc-port 9000]
+ *
+ * The app's Live Output URL is then ws://localhost:8765. UDP forwarding is off unless
+ * --osc-port is given. Only unfragmented frames up to 16 MB are supported.
+ */
+
+import { createHash } from 'node:crypto';
+import { createSocket } from 'node:dgram';
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+const MAX_PAYLOAD = 16 * 1048576;
+const MAX_DATAGRAM = 65507;
+
+/** Encodes an unmasked server-to-client frame. */
+export function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    const header = length < 126 ? Buffer.alloc(2) : length < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    if (length < 126) header[1] = length;
+    else if (length < 65536) { header[1] = 126; header.writeUInt16BE(length, 2); }
+    else { header[1] = 127; header.writeBigUInt64BE(BigInt(length), 2); }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decodes the first frame in `buffer`.
+ * @returns {{opcode: number, payload: Buffer, size: number}|null} null until the frame is complete.
+ */
+export function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    if ((buffer[0] & 0x80) === 0) throw new Error('Fragmented WebSocket messages are not supported.');
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    if (length > MAX_PAYLOAD) throw new Error(`WebSocket message of ${length} bytes is too large.`);
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) for (let i = 0; i < length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+    return { opcode, payload, size: offset + length };
+}
+
+function startRelay({ port, oscHost, oscPort }) {
+    const clients = new Set();
+    const udp = oscPort ? createSocket('udp4') : null;
+    const stats = { json: 0, osc: 0, last: null };
+
+    const server = createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('MIMICA live relay: connect with a WebSocket.\n');
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (!key) { socket.destroy(); return; }
+        const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+        clients.add(socket);
+        console.log(`Client connected from ${request.socket.remoteAddress} (${clients.size} connected)`);
+
+        let pending = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            pending = Buffer.concat([pending, chunk]);
+            try {
+                for (let frame = decodeFrame(pending); frame; frame = decodeFrame(pending)) {
+                    pending = pending.subarray(frame.size);
+                    handleFrame(socket, frame);
+                }
+            } catch (error) {
+                console.warn(`Dropping client: ${error.message}`);
+                socket.destroy();
+            }
+        });
+        const drop = () => {
+            if (clients.delete(socket)) console.log(`Client disconnected (${clients.size} connected)`);
+        };
+        socket.on('close', drop);
+        socket.on('error', drop);
+    });
+
+    function handleFrame(socket, { opcode, payload }) {
+        if (opcode === OPCODES.close) { socket.end(encodeFrame(OPCODES.close)); return; }
+        if (opcode === OPCODES.ping) { socket.write(encodeFrame(OPCODES.pong, payload)); return; }
+        if (opcode !== OPCODES.text && opcode !== OPCODES.binary) return;
+        const relayed = encodeFrame(opcode, payload);
+        for (const client of clients) if (client !== socket && client.writable) client.write(relayed);
+        if (opcode === OPCODES.binary) {
+            stats.osc++;
+            if (udp && payload.length > MAX_DATAGRAM) console.warn(`OSC bundle of ${payload.length} bytes is too large for UDP; not forwarded.`);
+            else udp?.send(payload, oscPort, oscHost, error => { if (error) console.warn(`OSC forwarding failed: ${error.message}`); });
+        } else {
+            stats.json++;
+            try { stats.last = JSON.parse(payload.toString('utf8')); } catch { stats.last = null; }
+        }
+    }
+
+    setInterval(() => {
+        if (stats.json === 0 && stats.osc === 0) return;
+        const people = stats.last?.people?.map(p => `#${p.id} ${p.action}`).join(', ');
+        const detail = stats.last ? ` | t=${stats.last.timestamp}ms${people ? ` | ${people}` : ''}` : '';
+        console.log(`${stats.json} JSON + ${stats.osc} OSC messages/s${detail}`);
+        stats.json = stats.osc = 0;
+    }, 1000).unref();
+
+    server.on('error', error => {
+        console.error(`Relay failed: ${error.message}`);
+        process.exit(1);
+    });
+    server.listen(port, () => {
+        console.log(`MIMICA live relay on ws://localhost:${port}`);
+        if (udp) console.log(`Forwarding OSC bundles to udp://${oscHost}:${oscPort}`);
+    });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: '8765' },
+            'osc-host': { type: 'string', default: '127.0.0.1' },
+            'osc-port': { type: 'string' }
+        }
+    });
+    startRelay({ port: Number(values.port), oscHost: values['osc-host'], oscPort: values['osc-port'] ? Number(values['osc-port']) : null });
+}
@@ -0,0 +1,145 @@
+/**
+ * MIMICA - Service Worker
+ * Handles offline caching for PWA functionality:
+ *   - the app files listed in asset-manifest.js (generated by `npm run build`) are
+ *     precached on install, into a cache named after the manifest's version;
+ *   - app files are served stale-while-revalidate: from that cache at once, refreshed
+ *     in the background for the next load; a refreshed copy is only stored when its
+ *     hash matches the manifest, so the cache never mixes in another version's files;
+ *   - a new version waits until the page asks it to take over (the "new version
+ *     available" prompt), then replaces the caches of older versions;
+ *   - a self-hosted model pack (see model-assets.js) is precached when the app asks
+ *     for it, into a cache named after the pack's version, and replaced when the
+ *     pack's manifest.json reports a new version;
+ *   - runtime, model and library files fetched from the public CDNs are cached on
+ *     first use, so whatever has run once also runs offline.
+ */
+
+importScripts('web-demo/asset-manifest.js');
+
+const CACHE_PREFIX = 'mimica-';
+const APP_CACHE = `${CACHE_PREFIX}app-${self.ASSET_MANIFEST.version}`;
+const MODEL_CACHE_PREFIX = `${CACHE_PREFIX}models-`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}cdn-v1`;
+// Hosts of the runtimes, models and libraries the app loads when not self-hosted
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'storage.googleapis.com', 'unpkg.com', 'tessdata.projectnaptha.com'];
+
+// Manifest paths are relative to the site root, where the worker lives and which is its scope
+const appUrl = path => new URL(path, self.registration.scope).href;
+// App file URLs with the content hash the manifest lists for them
+const APP_FILES = new Map(Object.entries(self.ASSET_MANIFEST.files).map(([path, hash]) => [appUrl(path), hash]));
+
+// The cache key of a request for an app file, or null; the site root is index.html
+function appCacheKey(request) {
+    const url = new URL(request.url);
+    url.search = '';
+    url.hash = '';
+    const key = url.href === self.registration.scope ? appUrl('index.html') : url.href;
+    return APP_FILES.has(key) ? key : null;
+}
+
+self.addEventListener('install', event => {
+    // Fresh copies, so the HTTP cache cannot mix an old file into the new version
+    event.waitUntil(
+        caches.open(APP_CACHE)
+            .then(cache => cache.addAll([...APP_FILES.keys()].map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('fetch', event => {
+    if (event.request.method !== 'GET') return;
+    const key = appCacheKey(event.request);
+    event.respondWith(key ? staleWhileRevalidate(event, key) : cacheFirst(event.request));
+});
+
+async function staleWhileRevalidate(event, key) {
+    const cache = await caches.open(APP_CACHE);
+    const cached = await cache.match(key);
+    const refresh = fetch(event.request).then(async response => {
+        // Once the server has moved on to the next version, its files wait for that version's install
+        if (response.ok && await matchesManifest(response.clone(), key)) await cache.put(key, response.clone());
+        return response;
+    });
+    if (!cached) return refresh;
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+}
+
+// Whether a response's content has the hash this version's manifest lists for it (see build-asset-manifest.js)
+async function matchesManifest(response, key) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', await response.arrayBuffer()));
+    const hex = [...digest].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return hex.slice(0, 12) === APP_FILES.get(key);
+}
+
+// Model packs, CDN assets and anything else: cached copies never change
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    const fromCdn = CDN_HOSTS.includes(new URL(request.url).hostname);
+    if (fromCdn && (response.ok || response.type === 'opaque')) {
+        const copy = response.clone();
+        caches.open(RUNTIME_CACHE).then(cache => cache.put(request, copy));
+    }
+    return response;
+}
+
+// Removes the caches of older app versions, including the unversioned caches of
+// earlier service workers; model packs are replaced by syncModelPack
+self.addEventListener('activate', event => {
+    const keep = name => name === APP_CACHE || name === RUNTIME_CACHE || name.startsWith(MODEL_CACHE_PREFIX);
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name.startsWith(CACHE_PREFIX) && !keep(name)).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    if (event.data?.type === 'skip-waiting') {
+        self.skipWaiting();
+    } else if (event.data?.type === 'sync-model-pack') {
+        event.waitUntil(syncModelPack(event.data.baseUrl, event.source));
+    }
+});
+
+/**
+ * Precaches the model pack at `baseUrl` into a cache named after its version, then
+ * drops older packs. Progress is reported to `client` as 'model-pack-status' messages.
+ */
+async function syncModelPack(baseUrl, client) {
+    const report = status => client?.postMessage({ type: 'model-pack-status', ...status });
+    let manifest;
+    try {
+        const response = await fetch(`${baseUrl}/manifest.json`, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`manifest.json: HTTP ${response.status}`);
+        manifest = await response.json();
+    } catch (error) {
+        // Offline: whatever pack was cached last keeps serving
+        const cached = (await caches.keys()).filter(name => name.startsWith(MODEL_CACHE_PREFIX));
+        if (cached.length > 0) report({ status: 'offline', version: cached[cached.length - 1].slice(MODEL_CACHE_PREFIX.length) });
+        else { console.error('Could not read the model pack manifest:', error); report({ status: 'error' }); }
+        return;
+    }
+
+    const cacheName = `${MODEL_CACHE_PREFIX}${manifest.version}`;
+    const cache = await caches.open(cacheName);
+    const total = manifest.files.length;
+    try {
+        for (let i = 0; i < total; i++) {
+            const url = `${baseUrl}/${manifest.files[i]}`;
+            if (!(await cache.match(url))) await cache.add(url);
+            report({ status: 'caching', done: i + 1, total });
+        }
+    } catch (error) {
+        // The partial cache is kept; the next sync continues where this one stopped
+        console.error('Could not cache the model pack:', error);
+        report({ status: 'error' });
+        return;
+    }
+    for (const name of await caches.keys()) {
+        if (name.startsWith(MODEL_CACHE_PREFIX) && name !== cacheName) await caches.delete(name);
+    }
+    report({ status: 'ready', version: manifest.version });
+}
@@ -0,0 +1,71 @@
+/**
+ * MIMICA - Action Recognizer Tests
+ * Unit tests for scale- and position-invariant classification
+ */
+import { ActionRecognizer } from '../web-demo/src/action-recognizer.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+// Poses at 640x360 scale, torso length 100px
+function pose(overrides = {}) {
+    const points = new Array(33).fill(null);
+    const base = {
+        0: [320, 60], 11: [360, 100], 12: [280, 100], 13: [400, 150], 14: [240, 150],
+        15: [370, 190], 16: [270, 190], 23: [350, 200], 24: [290, 200],
+        25: [355, 260], 26: [285, 260], 27: [350, 320], 28: [290, 320], ...overrides
+    };
+    for (const [i, [x, y]] of Object.entries(base)) points[i] = { x, y };
+    return points;
+}
+
+const transform = (points, scale, dx, dy) => points.map(p => p && { x: p.x * scale + dx, y: p.y * scale + dy });
+
+const recognizer = new ActionRecognizer();
+const poses = {
+    hands_up: pose({ 13: [390, 60], 14: [250, 60], 15: [380, 10], 16: [260, 10] }),
+    clapping: pose({ 15: [325, 150], 16: [315, 150] }),
+    t_pose: pose({ 13: [430, 100], 14: [210, 100], 15: [500, 100], 16: [140, 100] })
+};
+
+test('recognizes reference poses', () => {
+    for (const [expected, points] of Object.entries(poses)) {
+        const action = recognizer.recognize(points);
+        assert(action === expected, `Expected ${expected}, got ${action}`);
+    }
+});
+
+test('same action at 1920x1080 scale', () => {
+    for (const [expected, points] of Object.entries(poses)) {
+        const action = recognizer.recognize(transform(points, 3, 0, 0));
+        assert(action === expected, `Expected ${expected} at 3x, got ${action}`);
+    }
+});
+
+test('same action for a small subject far from center', () => {
+    for (const [expected, points] of Object.entries(poses)) {
+        const action = recognizer.recognize(transform(points, 0.4, 500, 20));
+        assert(action === expected, `Expected ${expected} at 0.4x, got ${action}`);
+    }
+});
+
+test('unknown when the torso is missing', () => {
+    const points = pose();
+    points[23] = null;
+    assert(recognizer.recognize(points) === 'unknown', 'Should be unknown');
+});
+
+console.log('All action recognizer tests passed! ✓');
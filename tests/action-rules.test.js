@@ -0,0 +1,79 @@
+/**
+ * MIMICA - Custom Action Rules Tests
+ * Unit tests for rule validation, evaluation and priorities
+ */
+import { ActionRuleSet, RuleValidationError } from '../web-demo/src/action-rules.js';
+import { ActionRecognizer } from '../web-demo/src/action-recognizer.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+// Torso length 100px, left wrist raised above the head, right arm straight down
+function pose() {
+    const points = new Array(33).fill(null);
+    const base = {
+        0: [320, 60], 11: [360, 100], 12: [280, 100], 13: [400, 60], 14: [280, 150],
+        15: [400, 10], 16: [280, 200], 23: [350, 200], 24: [290, 200],
+        25: [355, 260], 26: [285, 260], 27: [350, 320], 28: [290, 320]
+    };
+    for (const [i, [x, y]] of Object.entries(base)) points[i] = { x, y };
+    return points;
+}
+
+const rules = [
+    { name: 'left_hand_raised', all: [{ joint: 'leftWrist', above: 'nose' }] },
+    { name: 'right_arm_straight', priority: 10, all: [{ angle: ['rightShoulder', 'rightElbow', 'rightWrist'], between: [160, 180] }] },
+    { name: 'hands_apart', priority: -1, any: [{ distance: ['leftWrist', 'rightWrist'], greaterThan: 5 }] }
+];
+
+test('parses rules from JSON text', () => {
+    const ruleSet = ActionRuleSet.parse(JSON.stringify({ rules }));
+    assert(ruleSet.size === 3, 'Should load three rules');
+});
+
+test('reports the path of invalid predicates', () => {
+    try {
+        ActionRuleSet.parse([{ name: 'bad', all: [{ joint: 'leftPinky', above: 'nose' }, { angle: ['nose'], between: [0, 90] }] }]);
+        assert(false, 'Should have thrown');
+    } catch (error) {
+        assert(error instanceof RuleValidationError, 'Should throw RuleValidationError');
+        assert(error.errors.includes('rules[0].all[0].joint: unknown joint "leftPinky"'), 'Should name the unknown joint');
+        assert(error.errors.includes('rules[0].all[1].angle: expected three joints'), 'Should flag the bad angle');
+    }
+});
+
+test('higher priority rules win', () => {
+    const recognizer = new ActionRecognizer();
+    recognizer.setCustomRules(new ActionRuleSet(rules));
+    assert(recognizer.recognize(pose()) === 'right_arm_straight', 'Priority 10 rule should win');
+});
+
+test('replace mode ignores the built-in chain', () => {
+    const recognizer = new ActionRecognizer();
+    recognizer.setCustomRules(new ActionRuleSet([{ name: 'never', all: [{ joint: 'nose', below: 'leftAnkle' }] }]), 'replace');
+    assert(recognizer.recognize(pose()) === 'standing', 'Should fall back to standing');
+});
+
+test('rules are scale invariant', () => {
+    const ruleSet = new ActionRuleSet([{ name: 'far_apart', all: [{ distance: ['leftWrist', 'rightWrist'], greaterThan: 1.9 }] }]);
+    const recognizer = new ActionRecognizer();
+    recognizer.setCustomRules(ruleSet, 'replace');
+    const small = pose().map(p => p && { x: p.x / 4, y: p.y / 4 });
+    assert(recognizer.recognize(pose()) === 'far_apart', 'Should match at full size');
+    assert(recognizer.recognize(small) === 'far_apart', 'Should match at quarter size');
+});
+
+console.log('All action rules tests passed! ✓');
@@ -0,0 +1,77 @@
+/**
+ * MIMICA - Asset Manifest Tests
+ * Unit tests for the service worker's asset manifest and its build script
+ */
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { collectAssets, renderManifest, ROOT, MANIFEST_PATH } from '../scripts/build-asset-manifest.js';
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+async function withSite(files, fn) {
+    const root = await mkdtemp(join(tmpdir(), 'mimica-site-'));
+    try {
+        for (const [path, content] of Object.entries(files)) {
+            await mkdir(join(root, path, '..'), { recursive: true });
+            await writeFile(join(root, path), content);
+        }
+        await fn(root);
+    } finally {
+        await rm(root, { recursive: true, force: true });
+    }
+}
+
+const site = {
+    'index.html': '<html></html>',
+    'MIMICA( Data to Video Renderer ).html': '<html></html>',
+    'favicon.ico': 'icon',
+    'web-demo/styles.css': 'body {}',
+    'service-worker.js': '// worker',
+    'web-demo/asset-manifest.js': '// generated',
+    'web-demo/src/app.js': 'export {}'
+};
+
+await test('lists app files but not the worker or the manifest itself', async () => {
+    await withSite(site, async root => {
+        const { files } = await collectAssets(root);
+        const paths = Object.keys(files);
+        assert(paths.includes('web-demo/src/app.js') && paths.includes('index.html'), `Got ${paths}`);
+        assert(!paths.includes('service-worker.js') && !paths.includes('web-demo/asset-manifest.js'), 'Excluded files were listed');
+    });
+});
+
+await test('version changes with any file content', async () => {
+    let before;
+    await withSite(site, async root => { before = await collectAssets(root); });
+    await withSite({ ...site, 'web-demo/src/app.js': 'export const changed = 1;' }, async root => {
+        const after = await collectAssets(root);
+        assert(after.version !== before.version, 'Version should change');
+        assert(after.files['index.html'] === before.files['index.html'], 'Unchanged files keep their hash');
+    });
+});
+
+await test('the committed manifest is up to date (run npm run build)', async () => {
+    const committed = await readFile(join(ROOT, MANIFEST_PATH), 'utf8');
+    const manifest = await collectAssets();
+    assert(committed === renderManifest(manifest), `${MANIFEST_PATH} is stale`);
+    for (const module of ['action-recognizer.js', 'app.js', 'poseWorker.js', 'model-assets.js']) {
+        assert(`web-demo/src/${module}` in manifest.files, `${module} should be precached`);
+    }
+});
+
+console.log('All asset manifest tests passed! ✓');
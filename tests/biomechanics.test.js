@@ -0,0 +1,98 @@
+/**
+ * MIMICA - Biomechanics Tests
+ * Unit tests for joint angles, angular velocity and range of motion
+ */
+import { computeJointAngles, BiomechanicsTracker, JOINT_ANGLES, rangeOfMotion } from '../web-demo/src/biomechanics.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+const close = (a, b, tolerance = 1e-6) => Math.abs(a - b) < tolerance;
+
+// Standing upright with straight limbs and arms at the sides, image y pointing down
+function standing() {
+    const points = new Array(33).fill(null);
+    const set = (i, x, y, z = 0) => { points[i] = { x, y, z }; };
+    set(11, 120, 100); set(12, 80, 100);
+    set(13, 120, 150); set(14, 80, 150);
+    set(15, 120, 200); set(16, 80, 200);
+    set(23, 115, 200); set(24, 85, 200);
+    set(25, 115, 300); set(26, 85, 300);
+    set(27, 115, 400); set(28, 85, 400);
+    return points;
+}
+
+test('a straight standing pose', () => {
+    const angles = computeJointAngles(standing());
+    assert(Object.keys(angles).join() === Object.keys(JOINT_ANGLES).join(), 'Every angle is reported');
+    for (const name of ['leftElbow', 'rightElbow', 'leftKnee', 'rightKnee']) assert(close(angles[name], 180), `${name} is ${angles[name]}`);
+    assert(angles.leftShoulder < 5 && angles.rightShoulder < 5, 'Arms at the sides');
+    assert(angles.leftHip > 175 && angles.trunkLean < 1e-6, 'Upright');
+});
+
+test('bent joints, raised arms and leaning', () => {
+    const points = standing();
+    points[15] = { x: 170, y: 150, z: 0 };   // left forearm out to the side
+    points[28] = { x: 185, y: 300, z: 0 };   // right shin level
+    points[14] = { x: 77.5, y: 50, z: 0 };   // right upper arm in line with the trunk, overhead
+    const angles = computeJointAngles(points);
+    assert(close(angles.leftElbow, 90), `Left elbow ${angles.leftElbow}`);
+    assert(close(angles.rightShoulder, 180), `Right shoulder ${angles.rightShoulder}`);
+    assert(close(angles.rightKnee, 90), `Right knee ${angles.rightKnee}`);
+    // Shoulders moved 100 to the side of the hips over a height of 100
+    const leaning = standing().map((p, i) => (p && (i === 11 || i === 12) ? { ...p, x: p.x + 100 } : p));
+    assert(close(computeJointAngles(leaning).trunkLean, 45), 'Trunk lean from vertical');
+});
+
+test('depth is only used when asked for', () => {
+    const points = standing();
+    points[15] = { x: 120, y: 150, z: 50 };  // left forearm pointing at the camera
+    assert(computeJointAngles(points).leftElbow === null, 'In the image the forearm has no length');
+    assert(close(computeJointAngles(points, { depth: true }).leftElbow, 90), 'World angles use z');
+    points[25] = null;
+    assert(computeJointAngles(points).leftKnee === null && computeJointAngles(points).leftHip === null, 'Missing landmarks give null');
+});
+
+test('angular velocity follows the change per second, smoothed', () => {
+    const tracker = new BiomechanicsTracker({ smoothingMs: 1e-6 });
+    tracker.update({ leftKnee: 180 }, 0);
+    const metrics = tracker.update({ leftKnee: 170 }, 100);
+    assert(close(metrics.leftKnee.velocity, -100), `Got ${metrics.leftKnee.velocity}`);
+    const smoothed = new BiomechanicsTracker({ smoothingMs: 100 });
+    smoothed.update({ leftKnee: 180 }, 0);
+    smoothed.update({ leftKnee: 170 }, 100);
+    const eased = smoothed.update({ leftKnee: 170 }, 200).leftKnee.velocity;
+    assert(eased < 0 && eased > -100, `A stop eases the velocity toward 0, got ${eased}`);
+    assert(smoothed.update({ leftKnee: 160 }, 5000).leftKnee.velocity === null, 'A long gap restarts the velocity');
+    assert(smoothed.update({ leftKnee: null }, 5100).leftKnee.velocity === null, 'Nothing to measure');
+});
+
+test('tracks the range of motion over the session', () => {
+    const tracker = new BiomechanicsTracker();
+    [170, 90, 120, 175].forEach((angle, i) => tracker.update({ rightElbow: angle }, i * 33));
+    const { min, max, range } = tracker.update({ rightElbow: null }, 200).rightElbow;
+    assert(min === 90 && max === 175 && range === 85, `Got ${min} ${max} ${range}`);
+    tracker.reset();
+    assert(tracker.update({ rightElbow: 100 }, 300).rightElbow.range === 0, 'Reset clears the range');
+});
+
+test('range of motion of a recording', () => {
+    const frames = [{ angles: { leftKnee: { angle: 170, velocity: null } } }, {}, { angles: { leftKnee: { angle: 95.5, velocity: -80 } } }, { angles: { leftKnee: { angle: null, velocity: null } } }];
+    const ranges = rangeOfMotion(frames);
+    assert(ranges.leftKnee.min === 95.5 && ranges.leftKnee.max === 170 && ranges.leftKnee.range === 74.5, `Got ${JSON.stringify(ranges)}`);
+});
+
+console.log('All biomechanics tests passed! ✓');
@@ -0,0 +1,83 @@
+/**
+ * MIMICA - BVH Exporter Tests
+ * Unit tests for skeleton hierarchy and rotation export
+ */
+import { BvhExporter } from '../web-demo/src/bvh-exporter.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+// World landmarks of a T-pose: meters, y down, subject's left on +x
+function tPose() {
+    const points = new Array(33).fill(null);
+    const set = (i, x, y) => { points[i] = { x, y, z: 0, visibility: 1 }; };
+    set(0, 0, -0.75);
+    set(11, 0.2, -0.5); set(12, -0.2, -0.5);
+    set(13, 0.5, -0.5); set(14, -0.5, -0.5);
+    set(15, 0.8, -0.5); set(16, -0.8, -0.5);
+    set(23, 0.1, 0); set(24, -0.1, 0);
+    set(25, 0.1, 0.45); set(26, -0.1, 0.45);
+    set(27, 0.1, 0.9); set(28, -0.1, 0.9);
+    return points;
+}
+
+function recordingOf(poses) {
+    return {
+        metadata: { schema: 'mimica.recording', version: 2, sourceResolution: '640x480', mirrored: false, models: {} },
+        frames: poses.map((pose, i) => ({ timestamp: Math.round(i * 1000 / 30), pose: null, poseWorld: pose }))
+    };
+}
+
+const exporter = new BvhExporter();
+
+test('hierarchy follows the mapper joint chains', () => {
+    const bvh = exporter.export(recordingOf([tPose()]));
+    ['ROOT Hips', 'JOINT LeftHip', 'JOINT LeftKnee', 'JOINT Chest', 'JOINT LeftShoulder', 'JOINT LeftElbow', 'JOINT RightElbow', 'JOINT Neck'].forEach(name => {
+        assert(bvh.includes(name), `Missing ${name}`);
+    });
+    assert(!bvh.includes('JOINT LeftWrist'), 'Wrist should be an End Site');
+});
+
+test('T-pose exports zero rotations', () => {
+    const bvh = exporter.export(recordingOf([tPose(), tPose()]));
+    const motion = bvh.trim().split('\n').slice(-2);
+    motion.forEach(line => {
+        const rotations = line.split(' ').slice(3).map(Number);
+        assert(rotations.every(v => Math.abs(v) < 1e-3), `Rotations should be zero, got ${line}`);
+    });
+    assert(bvh.includes('Frames: 2'), 'Should have two frames');
+});
+
+test('raised forearm rotates only the elbow', () => {
+    const raised = tPose();
+    raised[15] = { x: 0.5, y: -0.8, z: 0, visibility: 1 };
+    const bvh = exporter.export(recordingOf([raised]));
+    const values = bvh.trim().split('\n').pop().split(' ').map(Number);
+    const channelNames = bvh.split('\n').filter(l => l.trim().startsWith('JOINT') || l.trim().startsWith('ROOT')).map(l => l.trim().split(' ')[1]);
+    const elbowIndex = 6 + (channelNames.indexOf('LeftElbow') - 1) * 3;
+    const elbow = values.slice(elbowIndex, elbowIndex + 3);
+    assert(Math.abs(Math.abs(elbow[0]) - 90) < 1e-3, `Elbow should bend 90 degrees, got ${elbow}`);
+    const others = values.slice(3).filter((v, i) => i + 3 < elbowIndex || i + 3 >= elbowIndex + 3);
+    assert(others.every(v => Math.abs(v) < 1e-3), 'Other joints should not rotate');
+});
+
+test('throws without pose frames', () => {
+    let thrown = false;
+    try { exporter.export({ metadata: { sourceResolution: '640x480' }, frames: [{ timestamp: 0, pose: null }] }); } catch { thrown = true; }
+    assert(thrown, 'Should throw');
+});
+
+console.log('All BVH exporter tests passed! ✓');
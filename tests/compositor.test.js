@@ -0,0 +1,140 @@
+/**
+ * MIMICA - Compositor Tests
+ * Unit tests for layer settings, layer drawing order and background replacement
+ */
+import { Compositor, normalizeLayers, moveLayer, maskToAlpha, LAYERS } from '../web-demo/src/compositor.js';
+import { coverTransform, hexToRgb, mattingActive } from '../web-demo/src/matting.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+// Records the drawing calls made on it, with the alpha and operation they were made at
+function createContext(width = 4, height = 2, log = []) {
+    const stack = [];
+    const ctx = {
+        canvas: { width, height },
+        log, globalAlpha: 1, globalCompositeOperation: 'source-over', filter: 'none', fillStyle: null,
+        save() { stack.push([this.globalAlpha, this.globalCompositeOperation, this.filter]); },
+        restore() { [this.globalAlpha, this.globalCompositeOperation, this.filter] = stack.pop(); },
+        scale() {}, translate() {}, clearRect() {},
+        fillRect() { log.push({ op: 'fill', style: this.fillStyle }); },
+        drawImage(image) { log.push({ op: 'draw', image, alpha: this.globalAlpha, composite: this.globalCompositeOperation, filter: this.filter }); },
+        createImageData(w, h) { return { width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }; },
+        putImageData(image) { log.push({ op: 'put', image }); }
+    };
+    ctx.canvas.getContext = () => ctx;
+    return ctx;
+}
+
+// Without a matting renderer unless one is given, as where WebGL is unavailable
+function createCompositor(matting = null) {
+    const log = [];
+    const ctx = createContext(4, 2, log);
+    const canvases = [];
+    const compositor = new Compositor(ctx, () => {
+        const canvas = createContext(0, 0, log).canvas;
+        canvases.push(canvas);
+        return canvas;
+    }, () => matting);
+    return { compositor, ctx, log, canvases };
+}
+
+test('fills in missing layers and drops unknown ones', () => {
+    const defaults = normalizeLayers();
+    assert(defaults.map(l => l.id).join() === LAYERS.map(l => l.id).join(), 'Defaults should follow LAYERS');
+    assert(defaults[0].opacity === 0.3, 'The video is dimmed by default');
+    const layers = normalizeLayers([{ id: 'character', opacity: 5 }, { id: 'bogus' }, { id: 'video', visible: false }, { id: 'character' }]);
+    assert(layers.length === LAYERS.length, `Got ${layers.length} layers`);
+    assert(layers[0].id === 'character' && layers[0].opacity === 1, 'Saved order kept, opacity clamped');
+    assert(!layers.find(l => l.id === 'video').visible, 'Visibility kept');
+    const ids = layers.map(l => l.id);
+    assert(ids.indexOf('segmentation') === ids.indexOf('video') + 1, 'A missing layer follows its default neighbour');
+});
+
+test('moves layers within the stack', () => {
+    const ids = layers => layers.map(l => l.id).join();
+    const layers = normalizeLayers();
+    assert(ids(moveLayer(layers, 'video', 1)).startsWith('segmentation,video'), 'Moved up one');
+    assert(ids(moveLayer(layers, 'ocr', 1)) === ids(layers), 'Top layer stays on top');
+    assert(ids(moveLayer(layers, 'ocr', -10)).startsWith('ocr,'), 'Moved to the bottom');
+    assert(ids(layers) === LAYERS.map(l => l.id).join(), 'The input is not changed');
+});
+
+test('person pixels of the mask are opaque', () => {
+    const alpha = maskToAlpha(new Uint8Array([0, 1, 4, 0]));
+    assert([3, 7, 11, 15].map(i => alpha[i]).join() === '0,255,255,0', `Got ${alpha}`);
+});
+
+test('draws visible layers in order at their opacity', () => {
+    const { compositor, ctx } = createCompositor();
+    const drawn = [];
+    const layers = normalizeLayers([{ id: 'ocr', opacity: 0.5 }, { id: 'video' }, { id: 'hands', visible: false }]);
+    compositor.compose(layers, {
+        ocr: () => drawn.push(`ocr@${ctx.globalAlpha}`),
+        video: () => drawn.push(`video@${ctx.globalAlpha}`),
+        hands: () => drawn.push('hands'),
+        character: null
+    });
+    assert(drawn.join() === 'ocr@0.5,video@0.3', `Got ${drawn}`);
+    assert(ctx.globalAlpha === 1, 'Alpha should be restored');
+});
+
+test('without a mask the video is drawn unchanged', () => {
+    const { compositor, log } = createCompositor();
+    compositor.drawVideo('camera', { mirrored: false, background: { mode: 'color' }, segmentation: null });
+    assert(log.length === 1 && log[0].image === 'camera', 'Only the video should be drawn');
+});
+
+test('replaces the background behind the people', () => {
+    const { compositor, log, canvases } = createCompositor();
+    const segmentation = { width: 2, height: 1, mask: new Uint8Array([0, 1]) };
+    compositor.drawVideo('camera', { mirrored: true, background: { mode: 'color', color: '#123456' }, segmentation });
+    const [maskCanvas, personCanvas] = canvases;
+    assert(log[0].op === 'fill' && log[0].style === '#123456', 'Background color first');
+    assert(log.some(e => e.op === 'draw' && e.image === maskCanvas && e.composite === 'destination-in'), 'Video cut out by the mask');
+    assert(log[log.length - 1].image === personCanvas, 'People drawn last');
+    assert(maskCanvas.width === 2 && maskCanvas.height === 1, 'Mask canvas sized to the mask');
+
+    const puts = log.filter(e => e.op === 'put').length;
+    compositor.drawVideo('camera', { mirrored: true, background: { mode: 'blur', blur: 6 }, segmentation });
+    assert(log.filter(e => e.op === 'put').length === puts, 'The same mask is not redrawn');
+    assert(log.some(e => e.image === 'camera' && e.filter === 'blur(6px)'), 'Blurred video behind');
+});
+
+test('mats on the GPU when available, with the output mirrored like the video', () => {
+    const calls = [];
+    const matting = { render: (source, segmentation, options) => { calls.push(options); return 'matted'; } };
+    const { compositor, log } = createCompositor(matting);
+    const segmentation = { width: 2, height: 1, mask: new Uint8Array([0, 1]) };
+    compositor.drawVideo('camera', { mirrored: true, background: { mode: 'none' }, segmentation, effects: { hairStrength: 0.5 } });
+    assert(calls.length === 1 && calls[0].width === 4 && calls[0].mirrored, 'Matting should render at canvas size');
+    assert(log.length === 1 && log[0].image === 'matted', 'Only the matted frame should be drawn');
+    compositor.drawVideo('camera', { mirrored: true, background: { mode: 'none' }, segmentation, effects: {} });
+    assert(calls.length === 1 && log[1].image === 'camera', 'Nothing to change, no matting');
+});
+
+test('matting helpers', () => {
+    assert(hexToRgb('#ff8000').map(v => v.toFixed(2)).join() === '1.00,0.50,0.00', 'Hex color');
+    assert(hexToRgb('red').join() === '0,0,0', 'Invalid colors are black');
+    // A 4:3 image behind 16:9 output is cropped at the top and bottom
+    const { scale, offset } = coverTransform(400, 300, 1600, 900);
+    assert(scale[0] === 1 && Math.abs(scale[1] - 0.75) < 1e-9 && Math.abs(offset[1] - 0.125) < 1e-9, `Got ${scale} ${offset}`);
+    const mirrored = coverTransform(400, 300, 1600, 900, true);
+    assert(mirrored.scale[0] === -1 && mirrored.offset[0] === 1, 'Mirrored output flips the background');
+    assert(!mattingActive({ mode: 'none' }, {}) && mattingActive({ mode: 'blur' }) && mattingActive({ mode: 'none' }, { clothesStrength: 0.2 }), 'Active when anything changes');
+});
+
+console.log('All compositor tests passed! ✓');
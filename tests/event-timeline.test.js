@@ -0,0 +1,116 @@
+/**
+ * MIMICA - Event Timeline Tests
+ * Unit tests for collapsing frame labels into segments, discrete events and the
+ * CSV, JSON and WebVTT exports
+ */
+import { labelSegments, timelineEvents, eventsSidecar, eventsToCsv, eventsToWebVtt, describeEvent, CSV_COLUMNS } from '../web-demo/src/event-timeline.js';
+import { validateRecording, createMetadata } from '../web-demo/src/recording-schema.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+// One frame every 100 ms; `at(i)` gives frame i's fields
+const frames = (count, at) => Array.from({ length: count }, (_, i) => ({ timestamp: i * 100, ...at(i) }));
+
+test('collapses frame labels into segments with their mean confidence', () => {
+    const labels = ['idle', 'idle', 'waving', 'waving', 'waving', 'unknown', 'idle'];
+    const recorded = frames(labels.length, i => ({ action: labels[i], actionConfidence: i === 3 ? 0.6 : 0.9 }));
+    const segments = timelineEvents(recorded, { minDurationMs: 0 });
+    assert(segments.map(s => `${s.label}:${s.start}-${s.end}`).join() === 'idle:0-200,waving:200-500,idle:600-600', `Got ${JSON.stringify(segments)}`);
+    const waving = segments[1];
+    assert(waving.type === 'action' && waving.duration === 300 && waving.confidence === 0.8, 'Duration and mean confidence');
+    assert(timelineEvents(recorded).length === 2, 'Segments shorter than 200 ms are dropped by default');
+});
+
+test('follows each person and each hand separately', () => {
+    const recorded = frames(4, i => ({
+        action: 'standing',
+        people: [{ id: 1, action: 'standing', actionConfidence: 1 }, ...(i < 2 ? [{ id: 2, action: 'jumping', actionConfidence: 0.5 }] : [])],
+        handSigns: [{ hand: 'Left', sign: 'open_palm' }, { hand: 'Right', sign: i < 2 ? null : 'fist' }]
+    }));
+    const events = timelineEvents(recorded, { minDurationMs: 0 });
+    const actions = events.filter(e => e.type === 'action');
+    assert(actions.length === 2 && actions.find(a => a.personId === 2).end === 200, `Got ${JSON.stringify(actions)}`);
+    const gestures = events.filter(e => e.type === 'gesture').map(g => `${g.hand} ${g.label} ${g.start}-${g.end}`);
+    assert(gestures.join() === 'Left open_palm 0-300,Right fist 200-300', `Got ${gestures}`);
+});
+
+test('objects appear and disappear, riding out flicker', () => {
+    const seen = [1, 1, 0, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0];
+    const recorded = frames(seen.length, i => ({ objects: seen[i] ? [{ label: 'cup', score: 0.7 }, { label: 'cup', score: 0.9 }] : [] }));
+    const events = timelineEvents(recorded).map(e => `${e.type}:${e.start}`);
+    assert(events.join() === 'object_appeared:0,object_disappeared:600', `A 100 ms gap is not a disappearance, got ${events}`);
+    assert(timelineEvents(recorded)[0].confidence === 0.9, 'The best score of the frame');
+    const stays = timelineEvents(frames(5, () => ({ objects: [{ label: 'cup', score: 0.5 }] })));
+    assert(stays.length === 1 && stays[0].type === 'object_appeared', 'Still in view at the end is not a disappearance');
+});
+
+test('OCR scans are discrete events', () => {
+    const recorded = frames(3, i => (i === 1 ? { ocr: [{ text: 'EXIT', confidence: 90 }, { text: 'here', confidence: 70 }] } : {}));
+    const [scan] = timelineEvents(recorded);
+    assert(scan.type === 'ocr_scan' && scan.label === 'EXIT here' && scan.start === 100 && scan.end === 100 && scan.duration === 0, `Got ${JSON.stringify(scan)}`);
+    assert(scan.confidence === 0.8, 'OCR confidence is brought into [0, 1]');
+});
+
+test('events read off the frames are valid recording events', () => {
+    const recorded = frames(10, i => ({ action: i < 5 ? 'idle' : 'waving', actionConfidence: 0.5, expression: 'happy', expressionConfidence: 0.7 }));
+    const recording = { metadata: createMetadata({ durationMs: 1000, width: 640, height: 360, mirrored: false, models: {} }), frames: recorded, events: timelineEvents(recorded) };
+    const errors = validateRecording(recording);
+    assert(errors.length === 0, `Got ${errors.join('; ')}`);
+    recording.events[0].confidence = 80;
+    assert(validateRecording(recording).some(e => e.includes('confidence')), 'Confidence outside [0, 1] is reported');
+});
+
+test('segments with a custom reader and a gap', () => {
+    const recorded = frames(6, i => ({ tag: [true, true, false, false, false, true][i] }));
+    const segments = labelSegments(recorded, f => (f.tag ? [{ type: 'tag', label: 'on' }] : []), { maxGapMs: 250 });
+    assert(segments.length === 2 && segments[0].end === 200 && segments[1].start === 500, `A 300 ms gap ends the segment, got ${JSON.stringify(segments)}`);
+    assert(segments[0].confidence === undefined, 'No confidence without readings of it');
+});
+
+const events = [
+    { type: 'action', label: 'waving', start: 1500, end: 3250, duration: 1750, confidence: 0.85, personId: 2 },
+    { type: 'ocr_scan', label: 'say "hi", <b>', start: 3723004, end: 3723004, duration: 0, confidence: 0.5 },
+    { type: 'rep', exercise: 'squat', rep: 3, start: 0, end: 900, duration: 900, depth: 95, flags: ['shallow'] }
+];
+
+test('exports events as CSV with the extra fields as JSON', () => {
+    const lines = eventsToCsv(events).split('\r\n');
+    assert(lines[0] === CSV_COLUMNS.join(','), 'Header row');
+    assert(lines[1] === 'action,waving,1500,3250,1750,0.85,"{""personId"":2}"', `Got ${lines[1]}`);
+    assert(lines[2] === 'ocr_scan,"say ""hi"", <b>",3723004,3723004,0,0.5,', `Quoted label, got ${lines[2]}`);
+    assert(lines[3].startsWith('rep,,0,900,900,,"{'), `Got ${lines[3]}`);
+    assert(lines.length === 5 && lines[4] === '', 'Ends with a line break');
+});
+
+test('exports events as WebVTT subtitles', () => {
+    const vtt = eventsToWebVtt(events);
+    const blocks = vtt.trim().split('\n\n');
+    assert(blocks[0] === 'WEBVTT', 'Header');
+    assert(blocks[1] === '00:00:00.000 --> 00:00:01.000\nsquat rep 3 - Not deep enough', `Cues in start order, at least a second long, got ${blocks[1]}`);
+    assert(blocks[2] === '00:00:01.500 --> 00:00:03.250\n#2 waving (85%)', `Got ${blocks[2]}`);
+    assert(blocks[3] === '01:02:03.004 --> 01:02:04.004\nText: say "hi", &lt;b&gt;', `Escaped, got ${blocks[3]}`);
+    assert(describeEvent({ type: 'custom_thing', label: 'x' }) === 'custom thing: x', 'Unknown types still read');
+});
+
+test('the JSON sidecar carries the events with the recording length', () => {
+    const sidecar = eventsSidecar({ metadata: { durationMs: 4000, source: 'clip.mp4' }, frames: [], events });
+    assert(sidecar.schema === 'mimica.events' && sidecar.version === 1 && sidecar.durationMs === 4000 && sidecar.source === 'clip.mp4', `Got ${JSON.stringify(sidecar)}`);
+    assert(sidecar.events === events, 'Events as recorded');
+    assert(!('source' in eventsSidecar({ metadata: { durationMs: 1 } })), 'Live recordings have no source');
+});
+
+console.log('All event timeline tests passed! ✓');
@@ -0,0 +1,137 @@
+/**
+ * MIMICA - Exercise Counter Tests
+ * Unit tests for rep counting from joint-angle cycles, tempo, depth and form flags
+ */
+import { ExerciseCounter, EXERCISES, FORM_ISSUES } from '../web-demo/src/exercise-counter.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+const close = (a, b, tolerance = 1e-6) => Math.abs(a - b) < tolerance;
+
+// World landmarks (meters, y down) of someone facing the camera with both knees bent to
+// `knee` degrees toward the camera; knees `kneeX` either side of the middle
+function squatPose(knee, { kneeX = 0.1 } = {}) {
+    const points = new Array(33).fill(null);
+    const bend = (180 - knee) / 2 * Math.PI / 180;
+    for (const side of [1, -1]) {
+        const [shoulder, hip, kneeIndex, ankle] = side > 0 ? [11, 23, 25, 27] : [12, 24, 26, 28];
+        points[shoulder] = { x: side * 0.2, y: -0.5, z: 0 };
+        points[hip] = { x: side * 0.1, y: 0, z: 0 };
+        points[kneeIndex] = { x: side * kneeX, y: 0.4 * Math.cos(bend), z: -0.4 * Math.sin(bend) };
+        points[ankle] = { x: side * 0.1, y: 0.8 * Math.cos(bend), z: 0 };
+    }
+    return points;
+}
+
+// Image points of someone facing the camera with both arms raised `arms` degrees from their sides
+function jackPose(arms, { feet = 60 } = {}) {
+    const points = new Array(33).fill(null);
+    const raise = arms * Math.PI / 180;
+    for (const side of [1, -1]) {
+        const [shoulder, elbow, hip, ankle] = side > 0 ? [11, 13, 23, 27] : [12, 14, 24, 28];
+        points[shoulder] = { x: 100 + side * 30, y: 100 };
+        points[elbow] = { x: 100 + side * (30 + 50 * Math.sin(raise)), y: 100 + 50 * Math.cos(raise) };
+        points[hip] = { x: 100 + side * 30, y: 200 };
+        points[ankle] = { x: 100 + side * feet, y: 400 };
+    }
+    return points;
+}
+
+// Feeds `from` to `to` degrees in 33 ms steps over `ms`, returning the reps that ended
+function sweep(counter, pose, from, to, start, ms) {
+    const reps = [];
+    const steps = Math.round(ms / 33);
+    for (let i = 0; i <= steps; i++) {
+        const rep = counter.update(pose(from + (to - from) * i / steps), start + ms * i / steps, { depth: true });
+        if (rep) reps.push(rep);
+    }
+    return reps;
+}
+
+test('counts a squat with its tempo and depth', () => {
+    const counter = new ExerciseCounter({ exercise: 'squat' });
+    assert(sweep(counter, squatPose, 178, 80, 0, 990).length === 0 && counter.phase === 'down', 'Going down');
+    const [rep] = sweep(counter, squatPose, 80, 178, 990, 792);
+    assert(counter.count === 1 && rep && rep.rep === 1 && rep.exercise === 'squat', `Got ${JSON.stringify(rep)}`);
+    assert(close(rep.depth, 80, 1e-3), `Depth is the deepest knee angle, got ${rep.depth}`);
+    // The knees pass 160 degrees 182 ms into the way down and 646 ms into the way up
+    assert(Math.abs(rep.start - 182) < 34 && Math.abs(rep.end - 1636) < 34, `Timed from leaving rest to getting back, got ${rep.start}-${rep.end}`);
+    assert(close(rep.downMs, 990 - rep.start) && close(rep.upMs, rep.end - 990), 'Down to the deepest point, then up');
+    assert(rep.flags.length === 0, `A deep squat with knees out has no issues, got ${rep.flags}`);
+    assert(counter.lastRep === rep && counter.phase === 'rest', 'Back at rest');
+});
+
+test('ignores dips that never get deep enough, and twitches', () => {
+    const counter = new ExerciseCounter({ exercise: 'squat' });
+    sweep(counter, squatPose, 178, 140, 0, 500);
+    sweep(counter, squatPose, 140, 178, 500, 500);
+    assert(counter.count === 0, 'A dip to 140 degrees is not a squat');
+    sweep(counter, squatPose, 178, 90, 1000, 100);
+    sweep(counter, squatPose, 90, 178, 1100, 100);
+    assert(counter.count === 0, 'Faster than a rep can be');
+    sweep(counter, squatPose, 178, 90, 2000, 500);
+    counter.update(null, 2600);
+    counter.update(squatPose(90).map(() => null), 5000);
+    sweep(counter, squatPose, 90, 178, 5000, 500);
+    assert(counter.count === 0, 'A long gap abandons the rep, and the way back up is not one');
+    sweep(counter, squatPose, 178, 90, 6000, 500);
+    sweep(counter, squatPose, 90, 178, 6500, 500);
+    assert(counter.count === 1, 'Counting again from rest');
+});
+
+test('flags shallow squats and caving knees', () => {
+    const counter = new ExerciseCounter({ exercise: 'squat' });
+    sweep(counter, squatPose, 178, 110, 0, 600);
+    const [shallow] = sweep(counter, squatPose, 110, 178, 600, 600);
+    assert(shallow && shallow.flags.join() === 'shallow', `Past the count but short of the target, got ${JSON.stringify(shallow)}`);
+    const caving = p => squatPose(p, { kneeX: 0.05 });
+    sweep(counter, caving, 178, 85, 2000, 600);
+    const [rep] = sweep(counter, caving, 85, 178, 2600, 600);
+    assert(counter.count === 2 && rep.flags.join() === 'knees_caving', `Got ${rep.flags}`);
+    assert(Object.values(EXERCISES).every(e => Object.keys(e.checks).every(issue => FORM_ISSUES[issue])), 'Every issue has a label');
+});
+
+test('counts jumping jacks, whose angle rises', () => {
+    const counter = new ExerciseCounter({ exercise: 'jumpingJack' });
+    const reps = [];
+    for (let i = 0; i < 3; i++) {
+        sweep(counter, jackPose, 10, 170, i * 1000, 500);
+        reps.push(...sweep(counter, jackPose, 170, 10, i * 1000 + 500, 500));
+    }
+    assert(counter.count === 3 && reps.every(r => r.flags.length === 0 && close(r.depth, 170, 1e-3)), `Got ${JSON.stringify(reps)}`);
+    assert(close(counter.cadence, 60, 1), `One rep a second, got ${counter.cadence}`);
+    const narrow = a => jackPose(a, { feet: 25 });
+    sweep(counter, narrow, 10, 140, 3000, 500);
+    const [rep] = sweep(counter, narrow, 140, 10, 3500, 500);
+    assert(rep.flags.join() === 'shallow,legs_narrow', `Arms short of overhead and feet together, got ${rep.flags}`);
+});
+
+test('switching exercises starts afresh', () => {
+    const counter = new ExerciseCounter({ exercise: 'squat' });
+    sweep(counter, squatPose, 178, 80, 0, 500);
+    sweep(counter, squatPose, 80, 178, 500, 500);
+    assert(counter.count === 1 && counter.cadence === null, 'One rep has no cadence yet');
+    counter.setExercise('lunge');
+    assert(counter.count === 0 && counter.lastRep === null && counter.exercise === 'lunge', 'Reset');
+    let threw = false;
+    try { counter.setExercise('burpee'); } catch { threw = true; }
+    assert(threw, 'Unknown exercises are rejected');
+    counter.setExercise(null);
+    assert(counter.update(squatPose(90), 0) === null, 'No exercise, nothing counted');
+});
+
+console.log('All exercise counter tests passed! ✓');
@@ -0,0 +1,74 @@
+/**
+ * MIMICA - Face Analysis Tests
+ * Unit tests for head pose from the transformation matrix and blendshape expressions
+ */
+import { BLENDSHAPE_NAMES, EXPRESSIONS, ExpressionClassifier, expressionScores, headPoseFromMatrix } from '../web-demo/src/face-analysis.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+const close = (a, b, tolerance = 1e-6) => Math.abs(a - b) < tolerance;
+
+// Column-major 4x4 matrix of a rotation about one axis, with a translation
+function rotation(axis, degrees) {
+    const c = Math.cos(degrees * Math.PI / 180), s = Math.sin(degrees * Math.PI / 180);
+    const rows = {
+        x: [[1, 0, 0], [0, c, -s], [0, s, c]],
+        y: [[c, 0, s], [0, 1, 0], [-s, 0, c]],
+        z: [[c, -s, 0], [s, c, 0], [0, 0, 1]]
+    }[axis];
+    const m = new Array(16).fill(0);
+    for (let row = 0; row < 3; row++) for (let column = 0; column < 3; column++) m[column * 4 + row] = rows[row][column];
+    m[14] = -50; m[15] = 1;
+    return m;
+}
+
+const faceWith = values => Object.fromEntries(BLENDSHAPE_NAMES.map(name => [name, values[name] ?? 0]));
+
+test('knows all 52 blendshapes', () => {
+    assert(BLENDSHAPE_NAMES.length === 52 && new Set(BLENDSHAPE_NAMES).size === 52, `Got ${BLENDSHAPE_NAMES.length}`);
+});
+
+test('reads yaw, pitch and roll from the matrix', () => {
+    const facing = headPoseFromMatrix(rotation('x', 0));
+    assert(close(facing.yaw, 0) && close(facing.pitch, 0) && close(facing.roll, 0), 'Facing the camera is 0 0 0');
+    assert(close(headPoseFromMatrix(rotation('y', 30)).yaw, 30), 'Turned toward the image right');
+    assert(close(headPoseFromMatrix(rotation('x', -20)).pitch, 20), 'Tilted up');
+    assert(close(headPoseFromMatrix(rotation('z', 15)).roll, 15), 'Tilted counterclockwise');
+});
+
+test('scores expressions from their blendshapes', () => {
+    const neutral = expressionScores(faceWith({}));
+    assert(neutral.neutral === 1 && EXPRESSIONS.every(e => e === 'neutral' || neutral[e] === 0), 'A still face is neutral');
+    const smile = expressionScores(faceWith({ mouthSmileLeft: 0.9, mouthSmileRight: 0.9, cheekSquintLeft: 0.5, cheekSquintRight: 0.5 }));
+    assert(close(smile.happy, 0.82) && close(smile.neutral, 0.18), `Got ${JSON.stringify(smile)}`);
+    const surprise = expressionScores(faceWith({ jawOpen: 1, eyeWideLeft: 1, eyeWideRight: 1, browOuterUpLeft: 1, browOuterUpRight: 1 }));
+    assert(surprise.surprised === 1 && surprise.surprised > surprise.fearful, `Got ${JSON.stringify(surprise)}`);
+});
+
+test('smooths the expression over time', () => {
+    const classifier = new ExpressionClassifier({ smoothingMs: 100 });
+    const smile = faceWith({ mouthSmileLeft: 1, mouthSmileRight: 1, cheekSquintLeft: 1, cheekSquintRight: 1 });
+    assert(classifier.update(faceWith({}), 0).expression === 'neutral', 'Starts neutral');
+    const first = classifier.update(smile, 10);
+    assert(first.expression === 'neutral' && first.scores.happy > 0, 'One smiling frame does not flip the label');
+    let result = first;
+    for (let t = 20; t <= 300; t += 10) result = classifier.update(smile, t);
+    assert(result.expression === 'happy' && result.confidence > 0.9, `Got ${result.expression} ${result.confidence}`);
+    assert(classifier.update(faceWith({}), 0).expression === 'neutral', 'A jump back in time starts afresh');
+});
+
+console.log('All face analysis tests passed! ✓');
@@ -0,0 +1,111 @@
+/**
+ * MIMICA - Gaze Tests
+ * Unit tests for head pose from body landmarks, iris-based eye rotation, gaze regions
+ * and looking-at-camera events
+ */
+import { headPoseFromPose, eyeRotationFromIris, estimateGaze, gazeRegion, gazeVector, AttentionTracker } from '../web-demo/src/gaze.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+const close = (a, b, tolerance = 1e-6) => Math.abs(a - b) < tolerance;
+
+// A head facing the camera in pixels, camera orientation: the person's left ear is on the image's right
+function facingHead({ noseX = 100, noseY = 110, eyeTilt = 0 } = {}) {
+    const points = new Array(33).fill(null);
+    points[0] = { x: noseX, y: noseY };
+    points[2] = { x: 115, y: 90 - eyeTilt };
+    points[5] = { x: 85, y: 90 + eyeTilt };
+    points[7] = { x: 140, y: 100 };
+    points[8] = { x: 60, y: 100 };
+    return points;
+}
+
+// Face mesh landmarks with both eyes 0.1 wide and 0.04 tall and the irises shifted by (dx, dy)
+function faceMesh(dx = 0, dy = 0) {
+    const landmarks = Array.from({ length: 478 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+    const eye = (outerOrInner, innerOrOuter, upper, lower, iris, centerX) => {
+        landmarks[outerOrInner] = { x: centerX - 0.05, y: 0.4 };
+        landmarks[innerOrOuter] = { x: centerX + 0.05, y: 0.4 };
+        landmarks[upper] = { x: centerX, y: 0.38 };
+        landmarks[lower] = { x: centerX, y: 0.42 };
+        landmarks[iris] = { x: centerX + dx, y: 0.4 + dy };
+    };
+    eye(33, 133, 159, 145, 468, 0.4);
+    eye(362, 263, 386, 374, 473, 0.6);
+    return landmarks;
+}
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, -50, 1];
+
+test('reads a level head facing the camera from the pose', () => {
+    const pose = headPoseFromPose(facingHead());
+    assert(close(pose.yaw, 0) && close(pose.pitch, 0) && close(pose.roll, 0), `Got ${JSON.stringify(pose)}`);
+    assert(headPoseFromPose(facingHead().map((p, i) => (i === 7 ? null : p))) === null, 'Needs both ears');
+});
+
+test('turning, nodding and tilting the head move the angles the documented way', () => {
+    assert(close(headPoseFromPose(facingHead({ noseX: 140 })).yaw, 45), 'Nose over the right-hand ear is 45 degrees toward the image right');
+    assert(headPoseFromPose(facingHead({ noseY: 80 })).pitch > 20, 'Nose above its level place is looking up');
+    assert(headPoseFromPose(facingHead({ eyeTilt: 10 })).roll > 0, 'The image-right eye higher is a counterclockwise tilt');
+});
+
+test('reads the eyes\' rotation from the irises', () => {
+    const centered = eyeRotationFromIris(faceMesh());
+    assert(close(centered.yaw, 0) && close(centered.pitch, 0), 'Centered irises look straight ahead');
+    const right = eyeRotationFromIris(faceMesh(0.05, 0));
+    assert(close(right.yaw, 35), `Iris at the corner is the full range, got ${right.yaw}`);
+    assert(eyeRotationFromIris(faceMesh(0, -0.01)).pitch > 0, 'Iris toward the upper lid looks up');
+    assert(eyeRotationFromIris(faceMesh().slice(0, 468)) === null, 'Needs the iris landmarks');
+});
+
+test('gaze regions and vectors', () => {
+    assert(gazeRegion(0, 0) === 'center' && gazeRegion(-20, 20) === 'up-left' && gazeRegion(30, -5) === 'right', 'Regions');
+    const v = gazeVector(0, 0);
+    assert(v.x === 0 && v.y === 0 && v.z === 1, 'Straight at the camera');
+    const up = gazeVector(0, 90);
+    assert(close(up.y, 1) && close(Math.hypot(up.x, up.y, up.z), 1), 'Unit length');
+});
+
+test('combines the head and eyes from the face, and falls back to the pose', () => {
+    const face = estimateGaze({ face: { landmarks: faceMesh(0.05, 0), matrix: IDENTITY }, width: 100, height: 100 });
+    assert(face.source === 'face' && close(face.yaw, 35) && face.region === 'right' && !face.atCamera, `Got ${JSON.stringify(face)}`);
+    assert(close(face.origin.x, 0.55) && close(face.origin.y, 0.4), 'Origin between the irises');
+    // Mirrored pixels are flipped back to the camera's view first
+    const mirrored = facingHead({ noseX: 140 }).map(p => p && { x: 200 - p.x, y: p.y });
+    const pose = estimateGaze({ pose: mirrored, width: 200, height: 200, mirrored: true });
+    assert(pose.source === 'pose' && close(pose.yaw, 45), `Got ${pose.yaw}`);
+    assert(estimateGaze({ pose: null, width: 200, height: 200 }) === null, 'Nothing to read');
+});
+
+test('collapses readings into attention events with durations', () => {
+    const tracker = new AttentionTracker({ minDurationMs: 300 });
+    const ended = [];
+    const feed = (atCamera, from, to) => { for (let t = from; t < to; t += 100) ended.push(...tracker.update(atCamera, t)); };
+    feed(true, 0, 1000);
+    feed(false, 1000, 1200);
+    feed(true, 1200, 2000);
+    assert(ended.length === 0, 'A short glance away does not end the event');
+    feed(false, 2000, 3000);
+    assert(ended.length === 1 && ended[0].type === 'looking_at_camera' && ended[0].start === 0 && ended[0].end === 2000, `Got ${JSON.stringify(ended)}`);
+    assert(ended[0].duration === 2000, 'Duration in ms');
+    const ongoing = tracker.ongoing(3000);
+    assert(ongoing.type === 'looking_away' && ongoing.start === 2000 && ongoing.duration === 1000, 'The new event starts where the change began');
+    feed(null, 3000, 3500);
+    assert(ended.length === 2 && ended[1].end === 3000 && tracker.ongoing(3500) === null, 'Losing the head ends the event');
+});
+
+console.log('All gaze tests passed! ✓');
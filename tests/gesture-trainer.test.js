@@ -0,0 +1,133 @@
+/**
+ * MIMICA - Gesture Trainer Tests
+ * Unit tests for sample recording, DTW classification and gesture files
+ */
+import { GestureTrainer } from '../web-demo/src/gesture-trainer.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+// Torso length 100px; `raise` lifts the right wrist, `reach` moves it sideways
+function pose(raise = 0, reach = 0, scale = 1) {
+    const points = new Array(33).fill(null);
+    const base = {
+        0: [320, 60], 11: [360, 100], 12: [280, 100], 13: [400, 150], 14: [240, 150],
+        15: [370, 190], 16: [270 - reach, 190 - raise], 23: [350, 200], 24: [290, 200],
+        25: [355, 260], 26: [285, 260], 27: [350, 320], 28: [290, 320]
+    };
+    for (const [i, [x, y]] of Object.entries(base)) points[i] = { x: x * scale, y: y * scale };
+    return points;
+}
+
+const raiseArm = i => pose(Math.min(150, i * 10));
+const reachOut = i => pose(0, Math.min(150, i * 10));
+
+function recordSample(trainer, name, motion, start) {
+    trainer.startSample(name);
+    for (let i = 0; i < 20; i++) trainer.recordFrame(motion(i), start + i * 33);
+    return trainer.finishSample();
+}
+
+function trained() {
+    const trainer = new GestureTrainer();
+    let t = 0;
+    for (let n = 0; n < 2; n++) {
+        recordSample(trainer, 'raise', raiseArm, t); t += 1000;
+        recordSample(trainer, 'reach', reachOut, t); t += 1000;
+    }
+    return { trainer, t };
+}
+
+function perform(trainer, motion, start) {
+    const classifier = trainer.createLiveClassifier();
+    let scores = new Map();
+    for (let i = 0; i < 20; i++) scores = classifier.update(motion(i), start + i * 33);
+    return scores;
+}
+
+test('records samples per gesture', () => {
+    const { trainer } = trained();
+    assert(trainer.names.length === 2, 'Should know two gestures');
+    assert(trainer.countSamples('raise') === 2, 'Should have two raise samples');
+});
+
+test('classifies a performed gesture', () => {
+    const { trainer, t } = trained();
+    const scores = perform(trainer, raiseArm, t + 5000);
+    assert(scores.get('raise') > 0.9, `Expected a confident raise, got ${[...scores]}`);
+    const other = perform(trainer, reachOut, t + 10000);
+    assert(other.get('reach') > 0.9, `Expected a confident reach, got ${[...other]}`);
+});
+
+test('matches a gesture performed at a different distance', () => {
+    const { trainer, t } = trained();
+    const scores = perform(trainer, i => pose(Math.min(150, i * 10), 0, 0.5), t + 5000);
+    assert(scores.get('raise') > 0.9, 'Scaled gesture should still match');
+});
+
+test('stillness is not a gesture', () => {
+    const { trainer, t } = trained();
+    const scores = perform(trainer, () => pose(), t + 5000);
+    assert([...scores.values()].every(c => c < 0.5), 'Standing still should not match strongly');
+});
+
+test('live classifiers keep separate motion histories', () => {
+    const { trainer, t } = trained();
+    const first = trainer.createLiveClassifier();
+    const second = trainer.createLiveClassifier();
+    let raising = new Map(), reaching = new Map();
+    for (let i = 0; i < 20; i++) {
+        raising = first.update(raiseArm(i), t + 5000 + i * 33);
+        reaching = second.update(reachOut(i), t + 5000 + i * 33);
+    }
+    assert(raising.get('raise') > 0.9, 'First person should be raising');
+    assert(reaching.get('reach') > 0.9, 'Second person should be reaching');
+});
+
+test('classifies nothing while a sample is recorded', () => {
+    const { trainer, t } = trained();
+    const classifier = trainer.createLiveClassifier();
+    trainer.startSample('raise');
+    let scores = new Map();
+    for (let i = 0; i < 20; i++) {
+        trainer.recordFrame(raiseArm(i), t + i * 33);
+        scores = classifier.update(raiseArm(i), t + i * 33);
+    }
+    assert(scores.size === 0, 'Live input should not be classified while recording');
+    assert(trainer.finishSample().frames.length === trainer.frameCount, 'Sample should be stored');
+    assert(trainer.countSamples('raise') === 3, 'The new sample joins the others');
+});
+
+test('round-trips through the gesture file format', () => {
+    const { trainer } = trained();
+    const copy = new GestureTrainer();
+    copy.load(JSON.parse(JSON.stringify(trainer.toJSON())));
+    assert(copy.samples.length === 4, 'Should import all samples');
+    let thrown = false;
+    try { copy.load({ format: 'other' }); } catch { thrown = true; }
+    assert(thrown, 'Should reject foreign files');
+});
+
+test('rejects samples that are too short', () => {
+    const trainer = new GestureTrainer();
+    trainer.startSample('blip');
+    trainer.recordFrame(pose(), 0);
+    let thrown = false;
+    try { trainer.finishSample(); } catch { thrown = true; }
+    assert(thrown && trainer.samples.length === 0, 'Should not store a one-frame sample');
+});
+
+console.log('All gesture trainer tests passed! ✓');
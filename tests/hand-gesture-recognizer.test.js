@@ -0,0 +1,93 @@
+/**
+ * MIMICA - Hand Gesture Recognizer Tests
+ * Unit tests for finger states, hand sign classification and stabilization
+ */
+import { HandGestureRecognizer } from '../web-demo/src/hand-gesture-recognizer.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+// An upright hand, palm facing the camera: wrist at the bottom, fingers pointing up
+const MCP_X = { index: 0.47, middle: 0.49, ring: 0.51, pinky: 0.53 };
+const straight = x => [{ x, y: 0.65, z: 0 }, { x, y: 0.61, z: 0 }, { x, y: 0.57, z: 0 }, { x, y: 0.53, z: 0 }];
+const curled = x => [{ x, y: 0.65, z: 0 }, { x, y: 0.62, z: -0.02 }, { x, y: 0.62, z: -0.05 }, { x, y: 0.64, z: -0.05 }];
+const THUMBS = {
+    out: [{ x: 0.46, y: 0.77, z: 0 }, { x: 0.42, y: 0.74, z: 0 }, { x: 0.38, y: 0.71, z: 0 }, { x: 0.34, y: 0.68, z: 0 }],
+    folded: [{ x: 0.46, y: 0.77, z: 0 }, { x: 0.46, y: 0.72, z: 0 }, { x: 0.48, y: 0.69, z: 0 }, { x: 0.5, y: 0.7, z: 0 }],
+    up: [{ x: 0.46, y: 0.77, z: 0 }, { x: 0.45, y: 0.7, z: 0 }, { x: 0.45, y: 0.6, z: 0 }, { x: 0.45, y: 0.5, z: 0 }],
+    down: [{ x: 0.46, y: 0.77, z: 0 }, { x: 0.45, y: 0.84, z: 0 }, { x: 0.45, y: 0.94, z: 0 }, { x: 0.45, y: 1.04, z: 0 }],
+    // Tip resting on a curled index fingertip
+    touching: [{ x: 0.46, y: 0.77, z: 0 }, { x: 0.45, y: 0.72, z: -0.01 }, { x: 0.46, y: 0.68, z: -0.03 }, { x: 0.47, y: 0.645, z: -0.045 }]
+};
+
+function hand(thumb, fingers) {
+    const points = [{ x: 0.5, y: 0.8, z: 0 }, ...THUMBS[thumb]];
+    for (const name of ['index', 'middle', 'ring', 'pinky']) {
+        points.push(...(fingers.includes(name) ? straight(MCP_X[name]) : curled(MCP_X[name])));
+    }
+    return points;
+}
+
+const recognizer = new HandGestureRecognizer();
+
+test('measures finger curl', () => {
+    const states = recognizer.fingerStates(hand('out', ['index']));
+    assert(states.index.extended && states.index.curl < 0.1, `Index should be straight, curl ${states.index.curl}`);
+    assert(states.middle.curled, `Middle should be curled, curl ${states.middle.curl}`);
+    assert(states.thumb.extended, 'Thumb should be extended');
+    assert(!recognizer.fingerStates(hand('folded', [])).thumb.extended, 'Folded thumb should not count as extended');
+});
+
+test('classifies hand signs', () => {
+    const cases = [
+        ['open_palm', hand('out', ['index', 'middle', 'ring', 'pinky'])],
+        ['fist', hand('folded', [])],
+        ['pointing', hand('folded', ['index'])],
+        ['peace', hand('folded', ['index', 'middle'])],
+        ['thumbs_up', hand('up', [])],
+        ['thumbs_down', hand('down', [])],
+        ['ok', hand('touching', ['middle', 'ring', 'pinky'])],
+        ['pinch', hand('touching', [])]
+    ];
+    for (const [expected, landmarks] of cases) {
+        const sign = recognizer.classify(landmarks);
+        assert(sign === expected, `Expected ${expected}, got ${sign}`);
+    }
+});
+
+test('returns null for unrecognized shapes', () => {
+    assert(recognizer.classify(hand('folded', ['middle', 'ring'])) === null, 'Odd shape should not match');
+    assert(recognizer.classify([]) === null, 'Missing landmarks should not match');
+});
+
+test('swaps handedness for unmirrored input', () => {
+    const swapped = new HandGestureRecognizer({ minDurationMs: 0 });
+    const [result] = swapped.update({ landmarks: [hand('folded', [])], handedness: [[{ categoryName: 'Left', score: 0.9 }]] }, 0);
+    assert(result.hand === 'Right' && result.sign === 'fist', `Got ${JSON.stringify(result)}`);
+    const mirrored = new HandGestureRecognizer({ minDurationMs: 0, inputMirrored: true });
+    assert(mirrored.update({ landmarks: [hand('folded', [])], handedness: [[{ categoryName: 'Left' }]] }, 0)[0].hand === 'Left', 'Mirrored input keeps labels');
+});
+
+test('reports a sign only after it holds', () => {
+    const stable = new HandGestureRecognizer({ minDurationMs: 100 });
+    const frame = landmarks => ({ landmarks: [landmarks], handedness: [[{ categoryName: 'Right' }]] });
+    assert(stable.update(frame(hand('folded', [])), 0)[0].sign === null, 'Not yet stable');
+    assert(stable.update(frame(hand('folded', [])), 120)[0].sign === 'fist', 'Stable sign should be reported');
+    assert(stable.update(frame(hand('up', [])), 150)[0].sign === 'fist', 'A one-frame change should not flip the sign');
+    assert(stable.update(frame(hand('up', [])), 260)[0].sign === 'thumbs_up', 'A held change should');
+});
+
+console.log('All hand gesture recognizer tests passed! ✓');
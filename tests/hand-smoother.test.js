@@ -0,0 +1,95 @@
+/**
+ * MIMICA - Hand Smoother Tests
+ * Unit tests for per-hand smoothing, outlier rejection and gap filling
+ */
+import { HandSmoother } from '../web-demo/src/hand-smoother.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+// A flat open hand: wrist at (cx, cy), five straight fingers of four joints each
+function hand(cx, cy = 0.5, size = 0.1) {
+    const points = [{ x: cx, y: cy, z: 0 }];
+    for (let finger = 0; finger < 5; finger++) {
+        const dx = (finger - 2) * 0.25;
+        for (let joint = 1; joint <= 4; joint++) {
+            points.push({ x: cx + dx * size * joint / 4, y: cy - size * (0.5 + joint * 0.25), z: 0 });
+        }
+    }
+    return points;
+}
+
+const label = (name, score = 0.9) => [{ categoryName: name, score }];
+const results = (...hands) => ({ landmarks: hands.map(h => h[0]), handedness: hands.map(h => label(h[1])) });
+
+function createSmoother(options = {}) {
+    const smoother = new HandSmoother({ alpha: 0.5, ...options });
+    smoother.setFrameSize(640, 480);
+    return smoother;
+}
+
+test('keeps filter state per hand when MediaPipe reorders them', () => {
+    const smoother = createSmoother();
+    smoother.smooth(results([hand(0.2), 'Left'], [hand(0.8), 'Right']), 0);
+    const out = smoother.smooth(results([hand(0.8), 'Right'], [hand(0.2), 'Left']), 33);
+    assert(out.handedness[0][0].categoryName === 'Left', 'Left hand should come first');
+    assert(Math.abs(out.landmarks[0][0].x - 0.2) < 1e-9, `Left wrist should not be pulled towards the right hand, got ${out.landmarks[0][0].x}`);
+    assert(Math.abs(out.landmarks[1][0].x - 0.8) < 1e-9, 'Right wrist should stay put');
+});
+
+test('resolves duplicate handedness labels', () => {
+    const smoother = createSmoother();
+    const out = smoother.smooth({ landmarks: [hand(0.2), hand(0.8)], handedness: [label('Left', 0.9), label('Left', 0.6)] }, 0);
+    assert(out.landmarks.length === 2, 'Both hands should be kept');
+    assert(out.handedness.map(h => h[0].score).join() === '0.9,0.6', 'The surer detection keeps its label');
+});
+
+test('rejects impossible bone-length jumps', () => {
+    const smoother = createSmoother();
+    for (let t = 0; t <= 100; t += 33) smoother.smooth(results([hand(0.5), 'Right']), t);
+    const broken = hand(0.5);
+    broken[8] = { x: 0.9, y: 0.05, z: 0 }; // index fingertip flies off
+    const out = smoother.smooth(results([broken, 'Right']), 133);
+    assert(smoother.rejectedCount === 1, 'Outlier should be counted');
+    assert(Math.abs(out.landmarks[0][8].x - hand(0.5)[8].x) < 1e-6, 'Previous landmarks should be used instead');
+});
+
+test('accepts a hand moving towards the camera', () => {
+    const smoother = createSmoother();
+    for (let i = 0; i < 10; i++) smoother.smooth(results([hand(0.5, 0.5, 0.1 * (1 + i * 0.1)), 'Left']), i * 33);
+    assert(smoother.rejectedCount === 0, 'Gradual scaling is not an outlier');
+});
+
+test('fills short gaps and drops hands after long ones', () => {
+    const smoother = createSmoother({ gapMs: 150 });
+    smoother.smooth(results([hand(0.3), 'Left']), 0);
+    const gap = smoother.smooth(results(), 100);
+    assert(gap.landmarks.length === 1 && Math.abs(gap.landmarks[0][0].x - 0.3) < 1e-9, 'Hand should be filled in during a short gap');
+    const gone = smoother.smooth(results(), 200);
+    assert(gone.landmarks.length === 0, 'Hand should disappear after the gap limit');
+});
+
+test('starts afresh after a long run of rejections', () => {
+    const smoother = createSmoother({ gapMs: 100 });
+    smoother.smooth(results([hand(0.5, 0.5, 0.1), 'Left']), 0);
+    // A genuinely different hand (much larger) keeps being reported
+    let out;
+    for (let t = 33; t <= 231; t += 33) out = smoother.smooth(results([hand(0.5, 0.5, 0.3), 'Left']), t);
+    assert(smoother.rejectedCount > 0, 'Sudden change should first be rejected');
+    assert(Math.abs(out.landmarks[0][4].y - hand(0.5, 0.5, 0.3)[4].y) < 1e-9, 'Persistent detection should eventually be accepted');
+});
+
+console.log('All hand smoother tests passed! ✓');
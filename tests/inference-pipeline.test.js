@@ -0,0 +1,197 @@
+/**
+ * MIMICA - Inference Pipeline Tests
+ * Unit tests for frame hand-off to the inference worker, using a fake worker
+ */
+import { InferencePipeline, applyConfidenceThreshold } from '../web-demo/src/inference-pipeline.js';
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+class FakeWorker {
+    constructor() { this.posted = []; }
+    postMessage(message, transfer) { this.posted.push({ message, transfer }); }
+    reply(message) { this.onmessage({ data: message }); }
+    terminate() {}
+}
+
+function createPipeline(options = {}) {
+    const worker = new FakeWorker();
+    const results = [];
+    const statuses = [];
+    const pipeline = new InferencePipeline({
+        worker,
+        captureFrame: async (source, timestamp) => ({ source, timestamp }),
+        onResults: r => results.push(r),
+        onStatus: (...args) => statuses.push(args),
+        ...options
+    });
+    return { pipeline, worker, results, statuses };
+}
+
+const frames = worker => worker.posted.filter(p => p.message.type === 'frame');
+
+await test('sends the model configuration to the worker', () => {
+    const { pipeline, worker } = createPipeline();
+    pipeline.configure({ pose: true, hands: false });
+    assert(worker.posted[0].message.type === 'configure', 'Should post a configure message');
+    assert(worker.posted[0].message.models.pose === true, 'Should pass enabled models');
+});
+
+await test('tells the worker where the model files are', () => {
+    const assets = { tasksVision: '/models/tasks-vision', models: { pose: '/models/mediapipe/pose_landmarker_lite.task' }, tesseract: {} };
+    const { pipeline, worker } = createPipeline({ assets });
+    pipeline.configure({ pose: true });
+    const sent = worker.posted[0].message.assets;
+    assert(sent.tasksVision === '/models/tasks-vision' && sent.models.pose === assets.models.pose, 'Runtime and model URLs should be sent');
+    assert(sent.tesseract === undefined, 'Main-thread libraries are not the worker\'s business');
+});
+
+await test('does not send frames when no model is enabled', async () => {
+    const { pipeline, worker } = createPipeline();
+    pipeline.configure({ pose: false });
+    assert(await pipeline.submit('video', 1) === false, 'Should not send');
+    assert(frames(worker).length === 0, 'Worker should receive no frames');
+});
+
+await test('keeps at most one frame in flight', async () => {
+    const { pipeline, worker, results } = createPipeline();
+    pipeline.configure({ pose: true });
+    assert(await pipeline.submit('video', 0) === true, 'First frame should be sent');
+    assert(await pipeline.submit('video', 40) === false, 'Second frame should be skipped while busy');
+    const sent = frames(worker);
+    assert(sent.length === 1 && sent[0].message.timestamp === 0, 'Only the first frame should be posted');
+    assert(sent[0].transfer[0] === sent[0].message.frame, 'Frame should be transferred, not copied');
+
+    worker.reply({ type: 'results', timestamp: 0, pose: null });
+    assert(results.length === 1 && results[0].timestamp === 0, 'Results should be delivered with their timestamp');
+    assert(await pipeline.submit('video', 80) === true, 'Next frame should be sent once results arrive');
+});
+
+await test('forwards model status updates', () => {
+    const { worker, statuses } = createPipeline();
+    worker.reply({ type: 'status', model: 'hands', status: 'ready', message: 'Ready' });
+    assert(statuses.length === 1 && statuses[0].join() === 'hands,ready,Ready', 'Should pass status through');
+});
+
+await test('recovers when a frame cannot be captured', async () => {
+    const { pipeline, worker } = createPipeline({ captureFrame: async () => { throw new Error('no frame'); } });
+    pipeline.configure({ pose: true });
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert(await pipeline.submit('video', 1) === false, 'Should report the frame as not sent');
+    } finally { console.warn = warn; }
+    assert(!pipeline.busy, 'Should not stay busy');
+    assert(frames(worker).length === 0, 'Nothing should be posted');
+});
+
+await test('marks enabled models as failed when the worker crashes', () => {
+    const { pipeline, worker, statuses } = createPipeline();
+    pipeline.configure({ pose: true, hands: false, objects: true });
+    const error = console.error;
+    console.error = () => {};
+    try { worker.onerror({ message: 'boom' }); } finally { console.error = error; }
+    assert(statuses.map(s => s[0]).join() === 'pose,objects', 'Only enabled models should be marked');
+    assert(statuses.every(s => s[1] === 'error'), 'Status should be error');
+});
+
+await test('caps the rate at which frames are sent', async () => {
+    const { pipeline, worker } = createPipeline({ maxFps: 10 });
+    pipeline.configure({ pose: true });
+    // A 30 fps camera with the worker answering at once
+    for (let t = 0; t < 1000; t += 1000 / 30) {
+        if (await pipeline.submit('video', t)) worker.reply({ type: 'results', timestamp: t });
+    }
+    assert(frames(worker).length === 10, `Expected 10 frames in one second, got ${frames(worker).length}`);
+});
+
+await test('does not drop frames arriving slightly early', async () => {
+    const { pipeline, worker } = createPipeline({ maxFps: 30 });
+    pipeline.configure({ pose: true });
+    const arrivals = [0, 33, 66, 99, 133, 166, 199, 233, 266, 299];
+    for (const t of arrivals) {
+        if (await pipeline.submit('video', t)) worker.reply({ type: 'results', timestamp: t });
+    }
+    assert(frames(worker).length === arrivals.length, `Expected every frame, got ${frames(worker).length}`);
+});
+
+await test('applies option changes immediately', async () => {
+    const { pipeline, worker } = createPipeline({ maxFps: 10 });
+    pipeline.configure({ pose: true });
+    pipeline.setOptions({ maxFps: 60, confidence: 0.7 });
+    const options = worker.posted.find(p => p.message.type === 'options');
+    assert(options && options.message.confidence === 0.7, 'Confidence should be sent to the worker');
+    await pipeline.submit('video', 0);
+    worker.reply({ type: 'results', timestamp: 0 });
+    assert(await pipeline.submit('video', 17) === true, 'New cap should apply to the next frame');
+    pipeline.setOptions({ numPoses: 3 });
+    const last = worker.posted.filter(p => p.message.type === 'options').pop();
+    assert(last.message.numPoses === 3, 'Number of poses should be sent to the worker');
+    pipeline.setOptions({ maxFps: 30 });
+    assert(worker.posted.filter(p => p.message.type === 'options').length === 2, 'FPS cap alone stays on the main thread');
+});
+
+await test('processes every frame for offline analysis', async () => {
+    const { pipeline, worker } = createPipeline({ maxFps: 1 });
+    pipeline.configure({ pose: true });
+    await pipeline.submit('video', 0);
+    // Waits for the live frame in flight, then ignores the FPS cap
+    const processed = pipeline.process('file', 10);
+    await Promise.resolve();
+    assert(frames(worker).length === 1, 'Should wait for the frame in flight');
+    worker.reply({ type: 'results', timestamp: 0 });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert(frames(worker).length === 2 && frames(worker)[1].message.timestamp === 10, 'Should send the file frame next');
+    worker.reply({ type: 'results', timestamp: 10, pose: null });
+    assert((await processed).timestamp === 10, 'Should resolve with its own results');
+});
+
+await test('rejects waiting callers when the worker fails', async () => {
+    const { pipeline, worker } = createPipeline();
+    pipeline.configure({ pose: true });
+    const processed = pipeline.process('file', 0);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    worker.onerror({ message: 'boom' });
+    let thrown = null;
+    try { await processed; } catch (error) { thrown = error; }
+    assert(thrown, 'Should reject');
+    assert(pipeline.busy === false, 'Should accept frames again');
+});
+
+await test('filters results by confidence', () => {
+    const results = {
+        timestamp: 5,
+        pose: {
+            landmarks: [[{ x: 0.1, y: 0.1, visibility: 0.9 }, { x: 0.2, y: 0.2, visibility: 0.2 }]],
+            worldLandmarks: [[{ x: 0, y: 0, z: 0, visibility: 0.9 }, { x: 1, y: 1, z: 1, visibility: 0.2 }]]
+        },
+        hands: {
+            landmarks: [['left'], ['right']],
+            handedness: [[{ categoryName: 'Left', score: 0.9 }], [{ categoryName: 'Right', score: 0.3 }]]
+        },
+        objects: { detections: [{ categories: [{ categoryName: 'cup', score: 0.8 }] }, { categories: [{ categoryName: 'cat', score: 0.4 }] }] },
+        segmentation: null
+    };
+    const filtered = applyConfidenceThreshold(results, 0.5);
+    assert(filtered.timestamp === 5, 'Should keep other fields');
+    assert(filtered.pose.landmarks[0][0] && filtered.pose.landmarks[0][1] === null, 'Low-visibility joint should be null');
+    assert(filtered.pose.worldLandmarks[0][1] === null, 'World joint should be filtered too');
+    assert(filtered.hands.landmarks.length === 1 && filtered.hands.handedness[0][0].categoryName === 'Left', 'Unsure hand should be dropped');
+    assert(filtered.objects.detections.map(d => d.categories[0].categoryName).join() === 'cup', 'Low-score detection should be dropped');
+    assert(results.pose.landmarks[0][1] !== null, 'Input should not be modified');
+});
+
+console.log('All inference pipeline tests passed! ✓');
@@ -0,0 +1,128 @@
+/**
+ * MIMICA - Live Output Tests
+ * Unit tests for live frame streaming: rate limiting, dropping and reconnect backoff
+ */
+import { LiveOutput } from '../web-demo/src/live-output.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+class FakeSocket {
+    constructor(url) {
+        this.url = url;
+        this.sent = [];
+        this.bufferedAmount = 0;
+        this.closed = false;
+    }
+    send(data) { this.sent.push(data); }
+    close() { this.closed = true; }
+    open() { this.onopen?.(); }
+    drop() { this.onclose?.(); }
+}
+
+// A LiveOutput with a manual clock and timers
+function createOutput(options = {}) {
+    const env = { time: 0, sockets: [], timers: [], statuses: [] };
+    env.output = new LiveOutput({
+        createSocket: url => { const socket = new FakeSocket(url); env.sockets.push(socket); return socket; },
+        now: () => env.time,
+        setTimer: (fn, ms) => { env.timers.push({ fn, ms }); return env.timers.length; },
+        clearTimer: id => { env.timers[id - 1].cancelled = true; },
+        onStatus: status => env.statuses.push(status),
+        ...options
+    });
+    env.fireTimer = () => { const timer = env.timers.find(t => !t.cancelled && !t.fired); timer.fired = true; timer.fn(); };
+    return env;
+}
+
+test('rejects URLs that are not WebSockets', () => {
+    const { output } = createOutput();
+    let thrown = 0;
+    for (const url of ['http://localhost:8765', 'not a url']) {
+        try { output.start(url); } catch { thrown++; }
+    }
+    assert(thrown === 2 && !output.active, 'Both URLs should be rejected');
+});
+
+test('sends JSON frames once connected', () => {
+    const env = createOutput();
+    env.output.start('ws://localhost:8765');
+    assert(env.output.state === 'connecting', `Got ${env.output.state}`);
+    assert(!env.output.send({ timestamp: 0 }) && env.output.dropped === 1, 'Frames before the connection are dropped');
+    env.sockets[0].open();
+    env.time = 100;
+    assert(env.output.send({ timestamp: 100 }), 'Should send when connected');
+    assert(JSON.parse(env.sockets[0].sent[0]).timestamp === 100, 'Frame should be JSON');
+});
+
+test('sends OSC bundles in osc format', () => {
+    const env = createOutput();
+    env.output.start('ws://localhost:8765', 'osc');
+    env.sockets[0].open();
+    env.output.send({ timestamp: 0, people: [] });
+    assert(env.sockets[0].sent[0] instanceof Uint8Array, 'OSC should be binary');
+});
+
+test('limits the frame rate', () => {
+    const env = createOutput({ maxRate: 10 });
+    env.output.start('ws://localhost:8765');
+    env.sockets[0].open();
+    let sent = 0;
+    for (let frame = 0; frame < 180; frame++) {
+        env.time = frame * 1000 / 60;
+        if (env.output.send({}) && frame >= 60) sent++;
+    }
+    assert(sent === 20, `Expected 10 frames per second, got ${sent} in two seconds`);
+});
+
+test('drops frames while the send buffer is full', () => {
+    const env = createOutput({ maxBufferedBytes: 100 });
+    env.output.start('ws://localhost:8765');
+    env.sockets[0].open();
+    env.sockets[0].bufferedAmount = 101;
+    assert(!env.output.send({}) && env.output.dropped === 1, 'Frame should be dropped');
+});
+
+test('reconnects with exponential backoff, reset by a successful connection', () => {
+    const env = createOutput({ minBackoffMs: 1000, maxBackoffMs: 4000 });
+    env.output.start('ws://localhost:8765');
+    const delays = [];
+    for (let i = 0; i < 4; i++) {
+        env.sockets[env.sockets.length - 1].drop();
+        delays.push(env.timers[env.timers.length - 1].ms);
+        assert(env.output.state === 'waiting', `Got ${env.output.state}`);
+        env.fireTimer();
+        assert(env.output.state === 'reconnecting', `Got ${env.output.state}`);
+    }
+    assert(delays.join() === '1000,2000,4000,4000', `Got ${delays}`);
+    env.sockets[env.sockets.length - 1].open();
+    env.sockets[env.sockets.length - 1].drop();
+    assert(env.timers[env.timers.length - 1].ms === 1000, 'Backoff should reset after connecting');
+});
+
+test('stop closes the socket and cancels the retry', () => {
+    const env = createOutput();
+    env.output.start('ws://localhost:8765');
+    env.sockets[0].drop();
+    env.output.stop();
+    assert(env.timers[0].cancelled && env.output.state === 'off', 'Retry should be cancelled');
+    env.output.start('ws://localhost:8765');
+    env.output.stop();
+    assert(env.sockets[1].closed, 'Socket should be closed');
+    assert(env.statuses[env.statuses.length - 1].state === 'off', 'Last status should be off');
+});
+
+console.log('All live output tests passed! ✓');
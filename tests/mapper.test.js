@@ -23,6 +23,11 @@ function assert(condition, message) {
 // Test cases
 const mapper = new PoseMapper();
 
+test('joints - head landmarks use MediaPipe indices', () => {
+    const { nose, leftEye, rightEye, leftEar, rightEar } = mapper.joints;
+    assert([nose, leftEye, rightEye, leftEar, rightEar].join() === '0,2,5,7,8', 'Eye centers are 2 and 5, ears 7 and 8');
+});
+
 test('landmarksToPoints - basic conversion', () => {
     const landmarks = [{ x: 0.5, y: 0.5 }];
     const points = mapper.landmarksToPoints(landmarks, 640, 480, false);
@@ -36,6 +41,36 @@ test('landmarksToPoints - with mirroring', () => {
     assert(points[0].x === 300, 'Mirrored X should be 300');
 });
 
+test('landmarksToPoints - depth mode keeps z and visibility', () => {
+    const landmarks = [{ x: 0.5, y: 0.5, z: -0.1, visibility: 0.8 }];
+    const points = mapper.landmarksToPoints(landmarks, 640, 480, false, { depth: true });
+    assert(points[0].z === -64, 'Z should be scaled by width to -64');
+    assert(points[0].visibility === 0.8, 'Visibility should be kept');
+});
+
+test('applyIK - 3D points keep depth and visibility', () => {
+    const points = new Array(33).fill(null);
+    points[mapper.joints.leftShoulder] = { x: 0, y: 0, z: 0, visibility: 1 };
+    points[mapper.joints.leftElbow] = { x: 0.3, y: 0, z: 0.1, visibility: 0.9 };
+    points[mapper.joints.leftWrist] = { x: 0.3, y: 0, z: 0.4, visibility: 0.7 };
+    const result = mapper.applyIK(points);
+    const elbow = result[mapper.joints.leftElbow];
+    assert(Math.abs(mapper.distance(result[mapper.joints.leftShoulder], elbow) - mapper.distance(points[11], points[13])) < 1e-9, 'Upper arm length should be preserved');
+    assert(typeof elbow.z === 'number', 'Elbow should keep z');
+    assert(elbow.visibility === 0.9, 'Elbow should keep visibility');
+});
+
+test('normalizePose - hip origin and torso-length units', () => {
+    const points = new Array(33).fill(null);
+    points[11] = { x: 100, y: 100 }; points[12] = { x: 200, y: 100 };
+    points[23] = { x: 100, y: 300 }; points[24] = { x: 200, y: 300 };
+    points[0] = { x: 150, y: 50 };
+    const normalized = mapper.normalizePose(points);
+    assert(normalized[23].x === -0.25 && normalized[23].y === 0, 'Left hip should be at (-0.25, 0)');
+    assert(normalized[0].y === -1.25, 'Nose should be 1.25 torso lengths above the hips');
+    assert(mapper.normalizePose(points.map((p, i) => (i === 24 ? null : p))) === null, 'Missing hip should return null');
+});
+
 test('static lerpPoint function', () => {
     const p1 = { x: 0, y: 0 };
     const p2 = { x: 10, y: 20 };
@@ -0,0 +1,62 @@
+/**
+ * MIMICA - Model Assets Tests
+ * Unit tests for model source resolution and the model pack file list
+ */
+import { resolveModelAssets, MODEL_PACK_FILES } from '../web-demo/src/model-assets.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+test('uses the public CDNs by default', () => {
+    const assets = resolveModelAssets('');
+    assert(!assets.selfHosted && assets.baseUrl === null, 'Empty base should mean CDN');
+    assert(assets.models.pose.startsWith('https://storage.googleapis.com/'), 'Pose model should come from Google storage');
+    assert(assets.models.face.endsWith('/face_landmarker.task'), 'Face landmarks come from a MediaPipe model');
+    assert(Object.keys(assets.tesseract.options).length === 0, "Tesseract should keep its own defaults");
+});
+
+test('resolves a relative model base against the page', () => {
+    const assets = resolveModelAssets(' models/ ', 'https://lab.local/mimica/index.html');
+    assert(assets.selfHosted && assets.baseUrl === 'https://lab.local/mimica/models', `Got ${assets.baseUrl}`);
+    assert(assets.tasksVision === 'https://lab.local/mimica/models/tasks-vision', 'Runtime should be under the base');
+    assert(assets.tesseract.options.langPath === 'https://lab.local/mimica/models/tesseract/lang', 'OCR data should be under the base');
+});
+
+test('rejects an invalid model base', () => {
+    let thrown = false;
+    try { resolveModelAssets('models'); } catch { thrown = true; }
+    assert(thrown, 'A relative URL without a page to resolve against is invalid');
+});
+
+test('the model pack has every self-hosted file', () => {
+    const base = 'https://lab.local/models';
+    const assets = resolveModelAssets(base);
+    const packed = new Set(MODEL_PACK_FILES.map(f => `${base}/${f.path}`));
+    const needed = [
+        `${assets.tasksVision}/vision_bundle.cjs`, `${assets.tasksVision}/wasm/vision_wasm_internal.wasm`,
+        ...Object.values(assets.models),
+        assets.tesseract.script, assets.tesseract.options.workerPath, `${assets.tesseract.options.langPath}/eng.traineddata.gz`
+    ];
+    for (const url of needed) assert(packed.has(url), `${url} is missing from the pack`);
+});
+
+test('pack paths are unique and sources are https', () => {
+    const paths = MODEL_PACK_FILES.map(f => f.path);
+    assert(new Set(paths).size === paths.length, 'Duplicate pack path');
+    assert(MODEL_PACK_FILES.every(f => f.url.startsWith('https://')), 'Sources should be https');
+});
+
+console.log('All model assets tests passed! ✓');
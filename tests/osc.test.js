@@ -0,0 +1,108 @@
+/**
+ * MIMICA - OSC Encoding Tests
+ * Unit tests for OSC message and bundle encoding of recording frames
+ */
+import { encodeOscMessage, encodeOscBundle, frameToOsc } from '../web-demo/src/osc.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+const text = bytes => new TextDecoder().decode(bytes);
+
+// Reads the messages of a bundle back as {address, types, args}
+function decodeBundle(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    const readString = offset => {
+        let end = offset;
+        while (bytes[end] !== 0) end++;
+        return [text(bytes.subarray(offset, end)), (end + 4) & ~3];
+    };
+    assert(readString(0)[0] === '#bundle', 'Not a bundle');
+    const messages = [];
+    for (let offset = 16; offset < bytes.length;) {
+        const size = view.getInt32(offset);
+        let at = offset + 4;
+        const [address, afterAddress] = readString(at);
+        const [tags, afterTags] = readString(afterAddress);
+        at = afterTags;
+        const args = [];
+        for (const type of tags.slice(1)) {
+            if (type === 's') { const [value, next] = readString(at); args.push(value); at = next; }
+            else { args.push(type === 'i' ? view.getInt32(at) : view.getFloat32(at)); at += 4; }
+        }
+        messages.push({ address, types: tags.slice(1), args });
+        offset += 4 + size;
+    }
+    return messages;
+}
+
+test('encodes a message with padded strings and big-endian numbers', () => {
+    const bytes = encodeOscMessage('/a', 'ifs', [7, 0.5, 'hi']);
+    assert(bytes.length === 4 + 8 + 4 + 4 + 4, `Got ${bytes.length} bytes`);
+    assert(text(bytes.subarray(0, 2)) === '/a' && bytes[2] === 0, 'Address should be NUL-terminated');
+    assert(text(bytes.subarray(4, 8)) === ',ifs', 'Type tags should follow');
+    const view = new DataView(bytes.buffer);
+    assert(view.getInt32(12) === 7 && view.getFloat32(16) === 0.5, 'Numbers should be big-endian');
+    assert(text(bytes.subarray(20, 22)) === 'hi', 'String argument');
+});
+
+test('rejects mismatched or unknown type tags', () => {
+    let thrown = 0;
+    try { encodeOscMessage('/a', 'ff', [1]); } catch { thrown++; }
+    try { encodeOscMessage('/a', 'd', [1]); } catch { thrown++; }
+    assert(thrown === 2, 'Both calls should throw');
+});
+
+test('bundles carry the immediate time tag and sized elements', () => {
+    const message = encodeOscMessage('/a', 'i', [1]);
+    const bytes = encodeOscBundle([message, message]);
+    assert(bytes.length === 16 + 2 * (4 + message.length), `Got ${bytes.length} bytes`);
+    assert(bytes[15] === 1, 'Time tag should be "immediately"');
+});
+
+test('frames follow the documented address scheme', () => {
+    const pose = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.25, z: 0, visibility: 1 }));
+    pose[3] = null;
+    const frame = {
+        timestamp: 1234, expression: 'happy', expressionConfidence: 0.75,
+        face: { blendshapes: { jawOpen: 0.5 }, headPose: { yaw: 10, pitch: -5, roll: 0 }, matrix: null },
+        angles: { leftKnee: { angle: 90, velocity: -12.5 }, rightKnee: { angle: null, velocity: null } },
+        gaze: { source: 'face', headPose: { yaw: 10, pitch: -5, roll: 0 }, yaw: 0, pitch: 0, vector: { x: 0, y: 0, z: 1 }, region: 'center', atCamera: true },
+        people: [{ id: 4, action: 'waving', actionConfidence: 0.8, pose, poseWorld: null }],
+        hands: [Array.from({ length: 21 }, () => ({ x: 0.1, y: 0.2, z: 0 }))],
+        handSigns: [{ hand: 'Left', sign: null }],
+        objects: [{ label: 'cup', score: 0.9, box: { originX: 1, originY: 2, width: 3, height: 4 } }]
+    };
+    const messages = decodeBundle(frameToOsc(frame));
+    const byAddress = Object.fromEntries(messages.map(m => [m.address, m]));
+    assert(byAddress['/mimica/frame'].args.join() === '1234,1', 'Frame header');
+    const posed = byAddress['/mimica/person/4/pose'];
+    assert(posed.args.length === 33 * 4 && posed.args[12] === 0 && posed.args[15] === 0, 'Missing landmarks are zeros');
+    assert(!byAddress['/mimica/person/4/world'], 'No world message without 3D capture');
+    assert(byAddress['/mimica/person/4/action'].args[0] === 'waving', 'Action');
+    assert(byAddress['/mimica/hand/0/landmarks'].args.length === 21 * 3, 'Hand landmarks');
+    assert(byAddress['/mimica/hand/0/sign'].args.join() === 'Left,', 'No sign is an empty string');
+    assert(byAddress['/mimica/expression'].args.join() === 'happy,0.75', 'Expression');
+    const blendshapes = byAddress['/mimica/face/blendshapes'].args;
+    assert(blendshapes.length === 52 && blendshapes[25] === 0.5 && blendshapes[0] === 0, 'Blendshapes in a fixed order, missing ones 0');
+    assert(byAddress['/mimica/face/headpose'].args.join() === '10,-5,0', 'Head pose');
+    assert(byAddress['/mimica/angle/leftKnee'].args.join() === '90,-12.5' && !byAddress['/mimica/angle/rightKnee'], 'Measurable angles');
+    assert(byAddress['/mimica/gaze'].args.join() === 'center,1,0,0,0,0,1', 'Gaze');
+    assert(byAddress['/mimica/objects'].args[0] === 1 && byAddress['/mimica/object/0'].types === 'sfffff', 'Objects');
+    assert(!byAddress['/mimica/ocr'], 'No OCR message without text');
+});
+
+console.log('All OSC tests passed! ✓');
@@ -0,0 +1,76 @@
+/**
+ * MIMICA - Person Tracker Tests
+ * Unit tests for persistent IDs across frames
+ */
+import { PersonTracker } from '../web-demo/src/person-tracker.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+// A rough standing figure of 33 points centred on x, in pixels
+function person(x, y = 200, height = 300) {
+    return Array.from({ length: 33 }, (_, i) => ({ x: x + ((i % 5) - 2) * height * 0.08, y: y - height / 2 + (i / 32) * height }));
+}
+
+const ids = tracked => tracked.map(t => t.id).join();
+
+test('keeps IDs when detections are reordered', () => {
+    const tracker = new PersonTracker();
+    const first = tracker.update([person(100), person(500)], 0);
+    assert(ids(first) === '1,2', `Expected IDs 1,2, got ${ids(first)}`);
+    const swapped = tracker.update([person(505), person(103)], 33);
+    assert(ids(swapped) === '1,2', 'Same people should keep their IDs');
+    assert(swapped[0].index === 1 && swapped[1].index === 0, 'Each ID should point at its own detection');
+});
+
+test('creates state once per person', () => {
+    let created = 0;
+    const tracker = new PersonTracker({ createState: id => ({ id, created: ++created }) });
+    tracker.update([person(100)], 0);
+    const [again] = tracker.update([person(110)], 33);
+    assert(created === 1 && again.state.id === 1, 'State should survive across frames');
+    tracker.update([person(110), person(500)], 66);
+    assert(created === 2, 'A new person gets new state');
+});
+
+test('returns an ID to someone briefly occluded', () => {
+    const tracker = new PersonTracker({ maxMissedMs: 500 });
+    tracker.update([person(100), person(500)], 0);
+    const occluded = tracker.update([person(100)], 200);
+    assert(ids(occluded) === '1', 'Only the visible person is reported');
+    const back = tracker.update([person(100), person(495)], 400);
+    assert(ids(back) === '1,2', `Returning person should get ID 2 back, got ${ids(back)}`);
+});
+
+test('forgets people after maxMissedMs', () => {
+    const tracker = new PersonTracker({ maxMissedMs: 500 });
+    tracker.update([person(500)], 0);
+    tracker.update([], 600);
+    assert(ids(tracker.update([person(500)], 700)) === '2', 'A long-gone track should not be reused');
+});
+
+test('does not match distant people', () => {
+    const tracker = new PersonTracker();
+    tracker.update([person(100)], 0);
+    assert(ids(tracker.update([person(600)], 33)) === '2', 'Someone on the other side is a new person');
+});
+
+test('ignores detections without visible joints', () => {
+    const tracker = new PersonTracker();
+    assert(tracker.update([new Array(33).fill(null)], 0).length === 0, 'Empty skeleton should not become a track');
+});
+
+console.log('All person tracker tests passed! ✓');
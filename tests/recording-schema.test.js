@@ -0,0 +1,147 @@
+/**
+ * MIMICA - Recording Schema Tests
+ * Unit tests for recording validation and version migration
+ */
+import { loadRecording, migrateRecording, validateRecording, createMetadata, faceToRecordingSpace, anglesToRecording, RecordingValidationError, RECORDING_SCHEMA_VERSION } from '../web-demo/src/recording-schema.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+const legacyRecording = {
+    metadata: { date: '2024-01-01T00:00:00.000Z', durationMs: 100, sourceResolution: '640x360' },
+    frames: [
+        { timestamp: 0, action: 'standing', expression: null, pose: [{ x: 480, y: 90 }, null], hands: null, objects: null },
+        { timestamp: 33, action: 'standing', expression: null, pose: null, hands: [[{ x: 0.1, y: 0.2, z: 0 }]], objects: null }
+    ]
+};
+
+test('migrates unversioned files to the current version', () => {
+    const migrated = migrateRecording(legacyRecording);
+    assert(migrated.metadata.version === RECORDING_SCHEMA_VERSION, 'Version should be current');
+    assert(migrated.metadata.migratedFrom === 1, 'Should record the source version');
+    assert(migrated.frames[0].pose[0].x === 0.25, 'Mirrored pixel X 480 should become normalized 0.25');
+    assert(migrated.frames[0].pose[0].y === 0.25, 'Pixel Y 90 should become normalized 0.25');
+    assert(legacyRecording.frames[0].pose[0].x === 480, 'Input should not be modified');
+});
+
+test('loadRecording accepts a freshly written file', () => {
+    const recording = {
+        metadata: createMetadata({ durationMs: 10, width: 640, height: 360, mirrored: false, models: { pose: 'pose_landmarker_lite' } }),
+        frames: [{ timestamp: 0, action: null, pose: [{ x: 0.5, y: 0.5 }] }]
+    };
+    assert(validateRecording(recording).length === 0, 'Should have no errors');
+    assert(loadRecording(JSON.stringify(recording)).frames.length === 1, 'Should load one frame');
+});
+
+test('reports the path of invalid fields', () => {
+    const broken = JSON.parse(JSON.stringify(legacyRecording));
+    broken.frames[1].hands[0][0].x = 'left';
+    broken.frames[1].timestamp = -5;
+    try {
+        loadRecording(broken);
+        assert(false, 'Should have thrown');
+    } catch (error) {
+        assert(error instanceof RecordingValidationError, 'Should throw RecordingValidationError');
+        assert(error.errors.includes('frames[1].hands[0][0].x: expected a number'), 'Should point at the bad landmark');
+        assert(error.errors.some(e => e.startsWith('frames[1].timestamp')), 'Should point at the bad timestamp');
+    }
+});
+
+test('validates recorded hand signs', () => {
+    const recording = {
+        metadata: createMetadata({ durationMs: 10, width: 640, height: 360, mirrored: true, models: { hands: 'hand_landmarker' } }),
+        frames: [{ timestamp: 0, handSigns: [{ hand: 'Left', sign: 'fist' }, { hand: null, sign: null }] }]
+    };
+    assert(validateRecording(recording).length === 0, 'Valid hand signs should pass');
+    recording.frames[0].handSigns[0].hand = 'Middle';
+    assert(validateRecording(recording)[0].startsWith('frames[0].handSigns[0]'), 'Unknown hand should be reported');
+});
+
+test('validates per-person arrays', () => {
+    const recording = {
+        metadata: createMetadata({ durationMs: 10, width: 640, height: 360, mirrored: true, models: { pose: 'pose_landmarker_lite' } }),
+        frames: [{
+            timestamp: 0, action: 'standing', pose: [{ x: 0.2, y: 0.5 }],
+            people: [
+                { id: 1, action: 'standing', actionConfidence: 0.8, pose: [{ x: 0.2, y: 0.5 }], poseWorld: null },
+                { id: 3, action: 'waving_left', actionConfidence: 0.7, pose: [{ x: 0.7, y: 0.5 }], poseWorld: null }
+            ]
+        }]
+    };
+    assert(validateRecording(recording).length === 0, 'Valid people should pass');
+    recording.frames[0].people[1].id = 0;
+    recording.frames[0].people[1].pose[0].y = 'top';
+    const errors = validateRecording(recording);
+    assert(errors.includes('frames[0].people[1].id: expected a positive integer'), 'Bad ID should be reported');
+    assert(errors.includes('frames[0].people[1].pose[0].y: expected a number'), 'Bad landmark should be reported with its person');
+});
+
+test('records and validates face tracking', () => {
+    const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0.123456, 0, -50, 1];
+    const face = faceToRecordingSpace({ blendshapes: { jawOpen: 0.123456 }, headPose: { yaw: 10.04, pitch: -3.06, roll: 0 }, matrix: identity, landmarks: [] });
+    assert(face.blendshapes.jawOpen === 0.1235 && face.headPose.pitch === -3.1 && face.matrix[12] === 0.1235, 'Values are rounded');
+    assert(!('landmarks' in face), 'The mesh is not recorded');
+    const recording = {
+        metadata: createMetadata({ durationMs: 10, width: 640, height: 360, mirrored: true, models: { face: 'face_landmarker (blendshapes)' } }),
+        frames: [{ timestamp: 0, expression: 'happy', expressionConfidence: 0.8, face }, { timestamp: 33, expression: 'none', face: null }]
+    };
+    assert(validateRecording(recording).length === 0, 'Valid faces should pass');
+    recording.frames[0].face.matrix = [1, 0];
+    recording.frames[0].face.headPose = { yaw: 'left' };
+    const errors = validateRecording(recording);
+    assert(errors.includes('frames[0].face.matrix: expected 16 numbers or null'), 'Bad matrix should be reported');
+    assert(errors.includes('frames[0].face.headPose: expected {yaw, pitch, roll} or null'), 'Bad head pose should be reported');
+});
+
+test('validates gaze frames and recording events', () => {
+    const gaze = { source: 'pose', headPose: { yaw: 5, pitch: 0, roll: 1 }, yaw: 5, pitch: 0, vector: { x: 0.09, y: 0, z: 0.99 }, region: 'center', atCamera: true };
+    const recording = {
+        metadata: createMetadata({ durationMs: 1000, width: 640, height: 360, mirrored: true, models: { gaze: 'pose_landmarker (nose, eyes, ears)' } }),
+        frames: [{ timestamp: 0, gaze }, { timestamp: 33, gaze: null }],
+        events: [{ type: 'looking_at_camera', start: 0, end: 400, duration: 400 }]
+    };
+    assert(validateRecording(recording).length === 0, 'Valid gaze and events should pass');
+    recording.frames[0].gaze.atCamera = 'yes';
+    recording.events.push({ type: 'looking_away', start: 500, end: 450 });
+    const errors = validateRecording(recording);
+    assert(errors.includes('frames[0].gaze.atCamera: expected a boolean'), 'Bad gaze should be reported');
+    assert(errors.includes('events[1].end: expected a number no earlier than start'), 'Backward event should be reported');
+});
+
+test('records the chosen joint angles with their range of motion', () => {
+    const angles = anglesToRecording({ leftKnee: { angle: 92.34, velocity: -40.06 }, leftElbow: { angle: 150, velocity: null } }, ['leftKnee', 'rightKnee']);
+    assert(angles.leftKnee.angle === 92.3 && angles.leftKnee.velocity === -40.1, 'Rounded to 0.1');
+    assert(angles.rightKnee.angle === null && !('leftElbow' in angles), 'Only the chosen angles, null when not measured');
+    const recording = {
+        metadata: { ...createMetadata({ durationMs: 10, width: 640, height: 360, mirrored: true, models: {} }), rangeOfMotion: { leftKnee: { min: 92.3, max: 92.3, range: 0 } } },
+        frames: [{ timestamp: 0, angles }]
+    };
+    assert(validateRecording(recording).length === 0, 'Valid angles should pass');
+    recording.frames[0].angles.leftKnee = 92;
+    recording.metadata.rangeOfMotion.leftKnee = { min: 1 };
+    const errors = validateRecording(recording);
+    assert(errors.includes('frames[0].angles.leftKnee: expected {angle, velocity}, numbers or null'), 'Bad angle should be reported');
+    assert(errors.includes('metadata.rangeOfMotion: expected {name: {min, max, range}}'), 'Bad range should be reported');
+});
+
+test('rejects files from a newer version', () => {
+    const future = { metadata: { version: RECORDING_SCHEMA_VERSION + 1 }, frames: [] };
+    let thrown = null;
+    try { loadRecording(future); } catch (error) { thrown = error; }
+    assert(thrown && thrown.errors[0].startsWith('metadata.version'), 'Should reject newer versions');
+});
+
+console.log('All recording schema tests passed! ✓');
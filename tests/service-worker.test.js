@@ -0,0 +1,112 @@
+/**
+ * MIMICA - Service Worker Tests
+ * Unit tests for serving app files stale-while-revalidate, run against in-memory caches
+ */
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { runInNewContext } from 'node:vm';
+import { ROOT } from '../scripts/build-asset-manifest.js';
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+const SCOPE = 'https://mimica.test/';
+const workerSource = await readFile(join(ROOT, 'service-worker.js'), 'utf8');
+const manifestSource = await readFile(join(ROOT, 'web-demo/asset-manifest.js'), 'utf8');
+const manifest = runInNewContext(`${manifestSource}; self.ASSET_MANIFEST`, { self: {} });
+const APP_CACHE = `mimica-app-${manifest.version}`;
+
+// Loads the worker with empty caches; `network` answers its fetches by URL
+function startWorker(network) {
+    const stores = new Map();
+    const open = async name => {
+        if (!stores.has(name)) {
+            const entries = new Map();
+            stores.set(name, {
+                entries,
+                match: async key => entries.get(typeof key === 'string' ? key : key.url)?.clone(),
+                put: async (key, response) => { entries.set(typeof key === 'string' ? key : key.url, response); }
+            });
+        }
+        return stores.get(name);
+    };
+    const listeners = {};
+    const self = {
+        registration: { scope: SCOPE },
+        addEventListener: (type, listener) => { listeners[type] = listener; }
+    };
+    runInNewContext(workerSource, {
+        self, URL, Request, Response, crypto, console,
+        importScripts: () => runInNewContext(manifestSource, { self }),
+        caches: { open, keys: async () => [...stores.keys()] },
+        fetch: async request => network(typeof request === 'string' ? request : request.url)
+    });
+    // Resolves with the response once every background task of the fetch has settled
+    const get = async url => {
+        let responded;
+        const pending = [];
+        listeners.fetch({
+            request: new Request(url),
+            respondWith: promise => { responded = promise; },
+            waitUntil: promise => pending.push(promise)
+        });
+        const response = await responded;
+        await Promise.all(pending);
+        return response;
+    };
+    return { get, open };
+}
+
+const stylesUrl = `${SCOPE}web-demo/styles.css`;
+// The stylesheet as this version lists it, and as the next version might have it
+const current = await readFile(join(ROOT, 'web-demo/styles.css'), 'utf8');
+const next = `${current}\n/* next version */\n`;
+
+await test('the manifest hashes files the way the worker checks them', () => {
+    assert(createHash('sha256').update(current).digest('hex').slice(0, 12) === manifest.files['web-demo/styles.css'], 'Stale manifest, run npm run build');
+});
+
+await test('serves the cached copy at once and stores the background refresh', async () => {
+    let fetched = 0;
+    const worker = startWorker(() => { fetched++; return new Response(current); });
+    await (await worker.open(APP_CACHE)).put(stylesUrl, new Response('/* cached */'));
+    const response = await worker.get(`${stylesUrl}?v=1`);
+    assert(await response.text() === '/* cached */', 'The cached copy is served');
+    assert(fetched === 1, 'Refreshed in the background');
+    const stored = await (await worker.open(APP_CACHE)).match(stylesUrl);
+    assert(await stored.text() === current, 'The refreshed copy is stored for the next load');
+});
+
+await test('a refresh from another version is served but not stored', async () => {
+    const worker = startWorker(() => new Response(next));
+    await (await worker.open(APP_CACHE)).put(stylesUrl, new Response('/* cached */'));
+    await worker.get(stylesUrl);
+    assert(await (await (await worker.open(APP_CACHE)).match(stylesUrl)).text() === '/* cached */', 'The cache keeps this version');
+    const missing = `${SCOPE}index.html`;
+    const response = await worker.get(missing);
+    assert(await response.text() === next, 'Missing files come from the network');
+    assert(!(await worker.open(APP_CACHE)).entries.has(missing), 'Not stored when they do not match the manifest');
+});
+
+await test('offline, the cached copy is still served', async () => {
+    const worker = startWorker(() => { throw new TypeError('Failed to fetch'); });
+    await (await worker.open(APP_CACHE)).put(`${SCOPE}index.html`, new Response('<html></html>'));
+    const response = await worker.get(SCOPE);
+    assert(await response.text() === '<html></html>', 'The site root is index.html');
+});
+
+console.log('All service worker tests passed! ✓');
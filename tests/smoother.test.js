@@ -1,6 +1,6 @@
 /**
  * MIMICA - Smoother Tests
- * Unit tests for EMA smoothing functionality
+ * Unit tests for EMA, One Euro and Kalman smoothing
  */
 // Mock PoseMapper for the test environment
 global.PoseMapper = class MockPoseMapper {
@@ -15,7 +15,7 @@ global.PoseMapper = class MockPoseMapper {
     }
 };
 
-import { Smoother } from '../web-demo/src/smoother.js';
+import { Smoother, OneEuroFilter, KalmanFilter1D, poseJointGroup } from '../web-demo/src/smoother.js';
 
 function test(name, fn) {
     try {
@@ -47,4 +47,82 @@ test('EMA smoothing calculation', () => {
     assert(result[0].y === 10, "Smoothed Y should be 10");
 });
 
+test('dropped joints are not held', () => {
+    const smoother = new Smoother(0.5);
+    smoother.smooth([{ x: 0, y: 0 }, { x: 0, y: 0 }]);
+    const result = smoother.smooth([{ x: 10, y: 20 }, null]);
+    assert(result[1] === null, "Missing joint should stay missing");
+    const next = smoother.smooth([{ x: 10, y: 20 }, { x: 8, y: 8 }]);
+    assert(next[1].x === 8, "Reappearing joint should start from its new position");
+});
+
+// Deterministic jitter in [-amplitude, amplitude]
+const jitter = (i, amplitude) => Math.sin(i * 12.9898) * amplitude;
+const spread = values => Math.max(...values) - Math.min(...values);
+
+test('One Euro filter suppresses jitter at rest', () => {
+    const filter = new OneEuroFilter({ minCutoff: 1.0, beta: 0.005 });
+    const raw = [], out = [];
+    for (let i = 0; i < 60; i++) { raw.push(100 + jitter(i, 3)); out.push(filter.filter(raw[i], 1 / 30)); }
+    assert(spread(out.slice(30)) < spread(raw.slice(30)) / 2, `Resting output should be steadier, spread ${spread(out.slice(30))}`);
+});
+
+test('One Euro filter keeps up with fast motion', () => {
+    const filter = new OneEuroFilter({ minCutoff: 1.0, beta: 0.005 });
+    const ema = new Smoother(0.3);
+    let filtered = 0, averaged = 0;
+    for (let i = 0; i < 30; i++) {
+        const x = i * 30; // 900 px/s
+        filtered = filter.filter(x, 1 / 30);
+        averaged = ema.smooth([{ x, y: 0 }], i * 33)[0].x;
+    }
+    const target = 29 * 30;
+    assert(target - filtered < (target - averaged) / 2, `Should lag far less than EMA (${target - filtered} vs ${target - averaged})`);
+});
+
+test('Kalman filter tracks constant velocity without lag', () => {
+    const filter = new KalmanFilter1D({ processNoise: 1500, measurementNoise: 3 });
+    let value = 0;
+    for (let i = 0; i < 60; i++) value = filter.filter(i * 10 + jitter(i, 2), 1 / 30);
+    assert(Math.abs(value - 590) < 4, `Should settle on the moving target, got ${value}`);
+    assert(Math.abs(filter.v - 300) < 30, `Should estimate the velocity, got ${filter.v}`);
+});
+
+test('filter modes smooth whole poses with timestamps', () => {
+    for (const mode of ['one-euro', 'kalman']) {
+        const smoother = new Smoother(0.3, { mode });
+        let result;
+        for (let i = 0; i < 30; i++) result = smoother.smooth([{ x: 50 + jitter(i, 2), y: 50, z: 1, visibility: 0.9 }, null], i * 33);
+        assert(Math.abs(result[0].x - 50) < 2, `${mode}: should stay near the resting point`);
+        assert(result[0].visibility === 0.9 && typeof result[0].z === 'number', `${mode}: should keep z and visibility`);
+        assert(result[1] === null, `${mode}: missing joint should stay missing`);
+    }
+});
+
+test('hands and body use separate parameters', () => {
+    assert(poseJointGroup(16) === 'hands' && poseJointGroup(11) === 'body', 'Wrists are hand joints, shoulders are not');
+    const smoother = new Smoother(0.3, { mode: 'one-euro', params: { 'one-euro': { hands: { minCutoff: 9 } } } });
+    assert(smoother.filterParams(16).minCutoff === 9, 'Hand override should apply');
+    assert(smoother.filterParams(11).minCutoff === 1.0, 'Body should keep defaults');
+});
+
+test('hold mode keeps low-visibility joints briefly', () => {
+    const smoother = new Smoother(0.5, { lowVisibility: 'hold', minVisibility: 0.5, holdMs: 100 });
+    smoother.smooth([{ x: 10, y: 10, visibility: 0.9 }], 0);
+    const held = smoother.smooth([{ x: 90, y: 90, visibility: 0.1 }], 50);
+    assert(held[0] && held[0].x === 10, 'Low-visibility joint should hold its last position');
+    const expired = smoother.smooth([null], 200);
+    assert(expired[0] === null, 'Hold should expire');
+});
+
+test('setMode validates and resets', () => {
+    const smoother = new Smoother();
+    smoother.smooth([{ x: 1, y: 1 }], 0);
+    smoother.setMode('kalman');
+    assert(!smoother.isInitialized(), 'Changing mode should reset state');
+    let thrown = false;
+    try { smoother.setMode('median'); } catch { thrown = true; }
+    assert(thrown, 'Unknown mode should throw');
+});
+
 console.log('All smoother tests passed! ✓');
@@ -0,0 +1,88 @@
+/**
+ * MIMICA - Temporal Action Recognizer Tests
+ * Unit tests for windowed motion detection and label hysteresis
+ */
+import { TemporalActionRecognizer } from '../web-demo/src/temporal-action-recognizer.js';
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+// A person seen from the front, pixel coordinates, shoulder width 100px
+function basePose() {
+    const pose = new Array(33).fill(null);
+    const set = (i, x, y) => { pose[i] = { x, y }; };
+    set(0, 320, 100);
+    set(11, 370, 160); set(12, 270, 160);
+    set(13, 420, 230); set(14, 220, 230);
+    set(15, 360, 290); set(16, 280, 290);
+    set(23, 350, 300); set(24, 290, 300);
+    set(25, 352, 390); set(26, 288, 390);
+    set(27, 354, 470); set(28, 286, 470);
+    return pose;
+}
+
+function run(recognizer, frames, makePose, startFrame = 0) {
+    const labels = [];
+    for (let i = startFrame; i < startFrame + frames; i++) {
+        labels.push(recognizer.update(makePose(i), i * 33));
+    }
+    return labels;
+}
+
+const wavingPose = i => {
+    const pose = basePose();
+    pose[14] = { x: 220, y: 170 };
+    pose[16] = { x: 220 + 40 * Math.sin(i * 0.8), y: 100 };
+    return pose;
+};
+
+test('a still pose keeps one label', () => {
+    const labels = run(new TemporalActionRecognizer(), 30, basePose);
+    assert(new Set(labels.map(l => l.action)).size === 1, 'Label should not change');
+    assert(labels[29].confidence === 1, 'Confidence should be 1 for a consistent pose');
+});
+
+test('an oscillating raised wrist is waving', () => {
+    const recognizer = new TemporalActionRecognizer();
+    run(recognizer, 30, basePose);
+    const labels = run(recognizer, 40, wavingPose, 30);
+    assert(labels[labels.length - 1].action === 'waving_right', `Expected waving_right, got ${labels[labels.length - 1].action}`);
+    const switches = labels.filter((l, i) => i > 0 && l.action !== labels[i - 1].action).length;
+    assert(switches === 1, `Label should switch once, switched ${switches} times`);
+});
+
+test('a raised but still wrist is not waving', () => {
+    const stillRaised = () => { const pose = wavingPose(0); pose[16] = { x: 220, y: 100 }; return pose; };
+    const labels = run(new TemporalActionRecognizer(), 60, stillRaised);
+    assert(labels.every(l => l.action !== 'waving_right'), 'Static raised hand should not be waving');
+});
+
+test('waving is detected regardless of body size', () => {
+    const scaled = i => wavingPose(i).map(p => p && { x: p.x * 3, y: p.y * 3 });
+    const labels = run(new TemporalActionRecognizer(), 60, scaled);
+    assert(labels[59].action === 'waving_right', `Expected waving_right, got ${labels[59].action}`);
+});
+
+test('fast hip rise is jumping', () => {
+    const jumping = i => {
+        const lift = -60 * Math.max(0, Math.sin(i * 0.25));
+        return basePose().map(p => p && { x: p.x, y: p.y + lift });
+    };
+    const labels = run(new TemporalActionRecognizer(), 30, jumping);
+    assert(labels.some(l => l.action === 'jumping'), 'Should detect jumping');
+});
+
+console.log('All temporal action recognizer tests passed! ✓');
@@ -0,0 +1,71 @@
+/**
+ * MIMICA - Video File Analyzer Tests
+ * Unit tests for frame stepping, progress and cancellation
+ */
+import { VideoFileAnalyzer } from '../web-demo/src/video-file-analyzer.js';
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || "Assertion failed");
+    }
+}
+
+// A file with frames every `step` seconds; seeking shows the frame at or before the time
+function fakeFile(step) {
+    return async seconds => Math.floor(seconds / step + 1e-9) * step;
+}
+
+await test('analyzes every frame at its own timestamp', async () => {
+    const analyzed = [];
+    const analyzer = new VideoFileAnalyzer({ seek: fakeFile(0.04), analyze: async t => analyzed.push(t), duration: 1, frameRate: 25 });
+    assert(await analyzer.run() === true, 'Should finish');
+    assert(analyzed.length === 25, `Expected 25 frames, got ${analyzed.length}`);
+    assert(Math.abs(analyzed[1] - 0.04) < 1e-9, 'Timestamps should come from the file');
+});
+
+await test('skips repeated frames when the rate is overestimated', async () => {
+    const analyzed = [];
+    const analyzer = new VideoFileAnalyzer({ seek: fakeFile(0.1), analyze: async t => analyzed.push(t), duration: 1, frameRate: 30 });
+    await analyzer.run();
+    assert(analyzed.length === 10, `Each frame should be analyzed once, got ${analyzed.length}`);
+});
+
+await test('reports progress with an ETA', async () => {
+    let clock = 0;
+    const updates = [];
+    const analyzer = new VideoFileAnalyzer({
+        seek: fakeFile(0.1), analyze: async () => { clock += 50; }, duration: 1, frameRate: 10,
+        onProgress: p => updates.push(p), now: () => clock
+    });
+    await analyzer.run();
+    assert(updates.length === 10 && updates[9].fraction === 1, 'Should end at 100%');
+    assert(updates[3].etaMs === 300, `Four frames at 50 ms leave 300 ms, got ${updates[3].etaMs}`);
+});
+
+await test('stops when cancelled', async () => {
+    const analyzed = [];
+    const analyzer = new VideoFileAnalyzer({
+        seek: fakeFile(0.1), duration: 1, frameRate: 10,
+        analyze: async t => { analyzed.push(t); if (analyzed.length === 3) analyzer.cancel(); }
+    });
+    assert(await analyzer.run() === false, 'Should report cancellation');
+    assert(analyzed.length === 3, 'No frames after cancelling');
+});
+
+await test('rejects files without a duration', async () => {
+    let thrown = false;
+    try { new VideoFileAnalyzer({ seek: fakeFile(0.1), analyze: async () => {}, duration: NaN }); } catch { thrown = true; }
+    assert(thrown, 'Should throw');
+});
+
+console.log('All video file analyzer tests passed! ✓');
@@ -0,0 +1,38 @@
+// Generated by scripts/build-asset-manifest.js (npm run build). Do not edit.
+self.ASSET_MANIFEST = {
+    "version": "8347ee41d602",
+    "files": {
+        "MIMICA( Data to Video Renderer ).html": "d8b2c58ff8ed",
+        "favicon.ico": "6aa98cece321",
+        "index.html": "d264c59e1526",
+        "web-demo/assets/icon-192.png": "7457efbf52b1",
+        "web-demo/manifest.webmanifest": "fa2bbde47395",
+        "web-demo/src/action-recognizer.js": "ecea399bb51b",
+        "web-demo/src/action-rules.js": "74c0f2ebaee4",
+        "web-demo/src/app.js": "d2570c6565a6",
+        "web-demo/src/biomechanics.js": "513208b19f20",
+        "web-demo/src/bvh-exporter.js": "3dd57ecfdc5d",
+        "web-demo/src/compositor.js": "1aa8927b0cf3",
+        "web-demo/src/event-timeline.js": "1622bedd83f3",
+        "web-demo/src/exercise-counter.js": "c75896f777ce",
+        "web-demo/src/face-analysis.js": "ade71ed5c15a",
+        "web-demo/src/gaze.js": "76cabeb3f86c",
+        "web-demo/src/gesture-trainer.js": "975a73518be1",
+        "web-demo/src/hand-gesture-recognizer.js": "2d83d70e75e4",
+        "web-demo/src/hand-smoother.js": "f7689db69f91",
+        "web-demo/src/inference-pipeline.js": "09868706e5df",
+        "web-demo/src/live-output.js": "201b26d39e74",
+        "web-demo/src/mapper.js": "6344ea63dd1d",
+        "web-demo/src/matting.js": "0f11eb5e57c6",
+        "web-demo/src/model-assets.js": "cfa97a63a59d",
+        "web-demo/src/osc.js": "91b7690d416c",
+        "web-demo/src/person-tracker.js": "f17f3fd762ef",
+        "web-demo/src/poseWorker.js": "7ef13ccab47a",
+        "web-demo/src/recording-schema.js": "2d8220357a0b",
+        "web-demo/src/renderer.js": "fee803b4b086",
+        "web-demo/src/smoother.js": "b507dfd5888c",
+        "web-demo/src/temporal-action-recognizer.js": "54f2b1694b0e",
+        "web-demo/src/video-file-analyzer.js": "48236289b459",
+        "web-demo/styles.css": "7ed540a1a519"
+    }
+};
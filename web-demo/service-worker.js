@@ -1,60 +0,0 @@
-/**
- * MIMICA - Service Worker
- * Handles offline caching for PWA functionality.
- */
-
-const CACHE_NAME = 'mimica-cache-v1';
-const URLS_TO_CACHE = [
-    '/',
-    '/index.html',
-    '/web-demo/styles.css',
-    '/web-demo/src/app.js',
-    '/web-demo/src/mapper.js',
-    '/web-demo/src/renderer.js',
-    '/web-demo/src/smoother.js',
-    '/web-demo/manifest.webmanifest'
-    // Note: MediaPipe scripts are loaded from a CDN and are not cached here.
-    // The browser's standard HTTP cache will handle them.
-];
-
-// Install the service worker and cache the static assets
-self.addEventListener('install', event => {
-    event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then(cache => {
-                console.log('Opened cache');
-                return cache.addAll(URLS_TO_CACHE);
-            })
-    );
-});
-
-// Serve cached content when offline
-self.addEventListener('fetch', event => {
-    event.respondWith(
-        caches.match(event.request)
-            .then(response => {
-                // Cache hit - return response
-                if (response) {
-                    return response;
-                }
-                // Not in cache - fetch from network
-                return fetch(event.request);
-            })
-    );
-});
-
-// Clean up old caches
-self.addEventListener('activate', event => {
-    const cacheWhitelist = [CACHE_NAME];
-    event.waitUntil(
-        caches.keys().then(cacheNames => {
-            return Promise.all(
-                cacheNames.map(cacheName => {
-                    if (cacheWhitelist.indexOf(cacheName) === -1) {
-                        return caches.delete(cacheName);
-                    }
-                })
-            );
-        })
-    );
-});
\ No newline at end of file
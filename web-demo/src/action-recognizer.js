@@ -1,13 +1,34 @@
 /**
  * MIMICA - Action Recognizer
  * Analyzes pose landmarks to classify a wide range of common actions.
+ * Poses are normalized first, so every distance threshold below is in torso lengths
+ * (shoulder midpoint to hip midpoint) rather than pixels.
  */
+import { PoseMapper } from './mapper.js';
+
 export class ActionRecognizer {
     constructor() {
-        // Thresholds can be tuned for better accuracy
-        this.SITTING_HIP_KNEE_THRESHOLD = 20;
-        this.PICKING_HAND_HIP_THRESHOLD = 50;
-        this.KICKING_KNEE_HIP_THRESHOLD = 40;
+        this.mapper = new PoseMapper();
+        // Thresholds can be tuned for better accuracy (torso lengths)
+        this.SITTING_HIP_KNEE_THRESHOLD = 0.17;
+        this.PICKING_HAND_HIP_THRESHOLD = 0.4;
+        this.KICKING_KNEE_HIP_THRESHOLD = 0.33;
+
+        this.customRules = null;
+        this.customRulesMode = 'alongside';
+    }
+
+    /**
+     * Installs user-defined rules (see action-rules.js).
+     * 'alongside': rules with priority >= 0 are checked before the built-in chain, rules
+     * with a negative priority only when the built-in chain falls back to "standing".
+     * 'replace': only the rules are checked.
+     * @param {ActionRuleSet|null} ruleSet
+     * @param {'alongside'|'replace'} mode
+     */
+    setCustomRules(ruleSet, mode = 'alongside') {
+        this.customRules = ruleSet && ruleSet.size > 0 ? ruleSet : null;
+        this.customRulesMode = mode;
     }
 
     // Helper to safely get a point from the pose array
@@ -17,7 +38,7 @@ export class ActionRecognizer {
 
     /**
      * Recognizes the current action based on a pose.
-     * @param {Array} pose - An array of 33 landmark points {x, y, visibility}.
+     * @param {Array} pose - An array of 33 landmark points {x, y, visibility}, in any pixel scale.
      * @returns {string} The name of the recognized action.
      */
     recognize(pose) {
@@ -25,6 +46,30 @@ export class ActionRecognizer {
             return "unknown";
         }
 
+        pose = this.mapper.normalizePose(pose);
+        if (!pose) {
+            return "unknown";
+        }
+
+        if (!this.customRules) {
+            return this.recognizeBuiltIn(pose);
+        }
+        if (this.customRulesMode === 'replace') {
+            return this.customRules.evaluate(pose) || "standing";
+        }
+        const action = this.customRules.evaluate(pose, rule => rule.priority >= 0) || this.recognizeBuiltIn(pose);
+        if (action === "standing") {
+            return this.customRules.evaluate(pose, rule => rule.priority < 0) || action;
+        }
+        return action;
+    }
+
+    /**
+     * The built-in rule chain.
+     * @param {Array} pose - A pose normalized by PoseMapper.normalizePose.
+     * @returns {string} The name of the recognized action.
+     */
+    recognizeBuiltIn(pose) {
         // --- Retrieve all necessary landmark points first ---
         const nose = this.getPoint(pose, 0);
         const leftShoulder = this.getPoint(pose, 11);
@@ -49,7 +94,7 @@ export class ActionRecognizer {
         // --- Setup: Helper Variables and Functions ---
 
         // Helper function to check if three points are roughly collinear
-        const arePointsCollinear = (p1, p2, p3, threshold = 25) => {
+        const arePointsCollinear = (p1, p2, p3, threshold = 0.2) => {
             if (!p1 || !p2 || !p3) return false;
             const dist12 = Math.hypot(p1.x - p2.x, p1.y - p2.y);
             const dist23 = Math.hypot(p2.x - p3.x, p2.y - p3.y);
@@ -65,10 +110,10 @@ export class ActionRecognizer {
         // --- Action Recognition Logic (Ordered by Specificity) ---
 
         // Category 1: Gestures & Poses
-        const isTPose = arePointsCollinear(leftShoulder, leftElbow, leftWrist) && arePointsCollinear(rightShoulder, rightElbow, rightWrist) && Math.abs(leftShoulder.y - leftElbow.y) < 30 && Math.abs(rightShoulder.y - rightElbow.y) < 30;
+        const isTPose = arePointsCollinear(leftShoulder, leftElbow, leftWrist) && arePointsCollinear(rightShoulder, rightElbow, rightWrist) && Math.abs(leftShoulder.y - leftElbow.y) < 0.25 && Math.abs(rightShoulder.y - rightElbow.y) < 0.25;
         if (isTPose) return "t_pose";
 
-        const isCrossedArms = (Math.hypot(leftWrist.x - rightElbow.x, leftWrist.y - rightElbow.y) < 100) && (Math.hypot(rightWrist.x - leftElbow.x, rightWrist.y - leftElbow.y) < 100);
+        const isCrossedArms = (Math.hypot(leftWrist.x - rightElbow.x, leftWrist.y - rightElbow.y) < 0.8) && (Math.hypot(rightWrist.x - leftElbow.x, rightWrist.y - leftElbow.y) < 0.8);
         if (isCrossedArms) return "crossed_arms";
 
         const isVictoryPose = leftWrist.y < leftShoulder.y && rightWrist.y < rightShoulder.y && leftWrist.x < leftShoulder.x && rightWrist.x > rightShoulder.x;
@@ -77,25 +122,25 @@ export class ActionRecognizer {
         const isHandsUp = leftWrist.y < leftShoulder.y && rightWrist.y < rightShoulder.y;
         if (isHandsUp) return "hands_up";
 
-        const isWavingRight = rightWrist.y < rightElbow.y && Math.abs(rightElbow.y - rightShoulder.y) < 50;
+        const isWavingRight = rightWrist.y < rightElbow.y && Math.abs(rightElbow.y - rightShoulder.y) < 0.4;
         if (isWavingRight) return "waving_right";
 
-        const isWavingLeft = leftWrist.y < leftElbow.y && Math.abs(leftElbow.y - leftShoulder.y) < 50;
+        const isWavingLeft = leftWrist.y < leftElbow.y && Math.abs(leftElbow.y - leftShoulder.y) < 0.4;
         if (isWavingLeft) return "waving_left";
 
-        const isPunchingRight = arePointsCollinear(rightShoulder, rightElbow, rightWrist) && Math.abs(rightShoulder.y - rightWrist.y) < 40;
+        const isPunchingRight = arePointsCollinear(rightShoulder, rightElbow, rightWrist) && Math.abs(rightShoulder.y - rightWrist.y) < 0.33;
         if (isPunchingRight) return "punching_right";
 
-        const isPunchingLeft = arePointsCollinear(leftShoulder, leftElbow, leftWrist) && Math.abs(leftShoulder.y - leftWrist.y) < 40;
+        const isPunchingLeft = arePointsCollinear(leftShoulder, leftElbow, leftWrist) && Math.abs(leftShoulder.y - leftWrist.y) < 0.33;
         if (isPunchingLeft) return "punching_left";
 
-        const isPointingRight = arePointsCollinear(rightShoulder, rightElbow, rightWrist) && rightWrist.y < (rightHip.y + 100);
+        const isPointingRight = arePointsCollinear(rightShoulder, rightElbow, rightWrist) && rightWrist.y < (rightHip.y + 0.8);
         if (isPointingRight) return "pointing_right";
 
-        const isPointingLeft = arePointsCollinear(leftShoulder, leftElbow, leftWrist) && leftWrist.y < (leftHip.y + 100);
+        const isPointingLeft = arePointsCollinear(leftShoulder, leftElbow, leftWrist) && leftWrist.y < (leftHip.y + 0.8);
         if (isPointingLeft) return "pointing_left";
 
-        const isClapping = wristDistance < 80 && leftWrist.y > shoulderMidpoint.y && rightWrist.y > shoulderMidpoint.y;
+        const isClapping = wristDistance < 0.65 && leftWrist.y > shoulderMidpoint.y && rightWrist.y > shoulderMidpoint.y;
         if (isClapping) return "clapping";
 
         const isThumbsUpRight = rightWrist.y < rightElbow.y && rightElbow.y > rightShoulder.y;
@@ -105,16 +150,16 @@ export class ActionRecognizer {
         if (isThumbsUpLeft) return "thumbs_up_left";
 
         // Category 2: Daily Works & Tasks
-        const isDrinkingRight = Math.hypot(rightWrist.x - nose.x, rightWrist.y - nose.y) < 60 && nose.y < rightShoulder.y;
+        const isDrinkingRight = Math.hypot(rightWrist.x - nose.x, rightWrist.y - nose.y) < 0.5 && nose.y < rightShoulder.y;
         if (isDrinkingRight) return "drinking_right_hand";
 
-        const isDrinkingLeft = Math.hypot(leftWrist.x - nose.x, leftWrist.y - nose.y) < 60 && nose.y < leftShoulder.y;
+        const isDrinkingLeft = Math.hypot(leftWrist.x - nose.x, leftWrist.y - nose.y) < 0.5 && nose.y < leftShoulder.y;
         if (isDrinkingLeft) return "drinking_left_hand";
 
-        const isBrushingTeethRight = Math.hypot(rightWrist.x - nose.x, rightWrist.y - nose.y) < 80;
+        const isBrushingTeethRight = Math.hypot(rightWrist.x - nose.x, rightWrist.y - nose.y) < 0.65;
         if (isBrushingTeethRight) return "brushing_teeth_right";
 
-        const isBrushingTeethLeft = Math.hypot(leftWrist.x - nose.x, leftWrist.y - nose.y) < 80;
+        const isBrushingTeethLeft = Math.hypot(leftWrist.x - nose.x, leftWrist.y - nose.y) < 0.65;
         if (isBrushingTeethLeft) return "brushing_teeth_left";
 
         const isCombingHairRight = rightWrist.y < nose.y;
@@ -123,10 +168,10 @@ export class ActionRecognizer {
         const isCombingHairLeft = leftWrist.y < nose.y;
         if (isCombingHairLeft) return "combing_hair_left";
 
-        const isTyping = wristDistance < 150 && Math.abs(leftWrist.y - hipMidpoint.y) < 100 && Math.abs(rightWrist.y - hipMidpoint.y) < 100;
+        const isTyping = wristDistance < 1.25 && Math.abs(leftWrist.y - hipMidpoint.y) < 0.8 && Math.abs(rightWrist.y - hipMidpoint.y) < 0.8;
         if (isTyping) return "typing_on_keyboard";
 
-        const isReadingBook = wristDistance < 120 && leftWrist.y > shoulderMidpoint.y && leftWrist.y < hipMidpoint.y && nose.y > shoulderMidpoint.y;
+        const isReadingBook = wristDistance < 1.0 && leftWrist.y > shoulderMidpoint.y && leftWrist.y < hipMidpoint.y && nose.y > shoulderMidpoint.y;
         if (isReadingBook) return "reading_a_book";
 
         // Category 3: Sports & Exercise
@@ -154,17 +199,17 @@ export class ActionRecognizer {
         const isSideBendLeft = nose.x < hipMidpoint.x - (shoulderToHipDist * 0.2) && leftWrist.y < shoulderMidpoint.y;
         if (isSideBendLeft) return "stretching_side_bend_left";
 
-        const isBoxingStance = Math.hypot(leftWrist.x - nose.x, leftWrist.y - nose.y) < 150 && Math.hypot(rightWrist.x - nose.x, rightWrist.y - nose.y) < 150;
+        const isBoxingStance = Math.hypot(leftWrist.x - nose.x, leftWrist.y - nose.y) < 1.25 && Math.hypot(rightWrist.x - nose.x, rightWrist.y - nose.y) < 1.25;
         if (isBoxingStance) return "boxing_stance";
 
         // Category 4-8 & Other Actions
-        const isSaluting = Math.hypot(rightWrist.x - nose.x, rightWrist.y - nose.y) < 80 && arePointsCollinear(rightElbow, rightShoulder, leftShoulder) === false;
+        const isSaluting = Math.hypot(rightWrist.x - nose.x, rightWrist.y - nose.y) < 0.65 && arePointsCollinear(rightElbow, rightShoulder, leftShoulder) === false;
         if (isSaluting) return "saluting";
 
-        const isFacepalmRight = Math.hypot(rightWrist.x - nose.x, rightWrist.y - nose.y) < 50 && nose.y > shoulderMidpoint.y;
+        const isFacepalmRight = Math.hypot(rightWrist.x - nose.x, rightWrist.y - nose.y) < 0.4 && nose.y > shoulderMidpoint.y;
         if (isFacepalmRight) return "facepalm_right";
 
-        const isFacepalmLeft = Math.hypot(leftWrist.x - nose.x, leftWrist.y - nose.y) < 50 && nose.y > shoulderMidpoint.y;
+        const isFacepalmLeft = Math.hypot(leftWrist.x - nose.x, leftWrist.y - nose.y) < 0.4 && nose.y > shoulderMidpoint.y;
         if (isFacepalmLeft) return "facepalm_left";
 
         const isSitting = hipMidpoint.y > (shoulderMidpoint.y + shoulderToHipDist * 0.5) && leftKnee.y < leftAnkle.y && rightKnee.y < rightAnkle.y;
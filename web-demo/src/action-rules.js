@@ -0,0 +1,175 @@
+/**
+ * MIMICA - Custom Action Rules
+ * Declarative, JSON-based action definitions evaluated by ActionRecognizer.
+ *
+ * A rule file is an array of rules (or {"rules": [...]}). Each rule names an action,
+ * an optional priority (higher runs first, default 0) and predicates combined with
+ * "all" (every one must hold) and/or "any" (at least one must hold):
+ *
+ *   { "name": "left_hand_raised", "priority": 5, "all": [
+ *       { "joint": "leftWrist", "above": "nose" },
+ *       { "angle": ["rightShoulder", "rightElbow", "rightWrist"], "between": [160, 180] },
+ *       { "distance": ["leftWrist", "rightWrist"], "greaterThan": 1.5 } ] }
+ *
+ * Joints are PoseMapper.joints names or landmark indices. Predicates are checked on
+ * the normalized pose, so distances and the optional "by" margin of relations are in
+ * torso lengths. Angles are in degrees at the middle joint. "leftOf"/"rightOf" refer to
+ * the image as displayed.
+ */
+
+import { PoseMapper } from './mapper.js';
+
+const RELATIONS = ['above', 'below', 'leftOf', 'rightOf'];
+
+export class RuleValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid action rules:\n${errors.slice(0, 5).join('\n')}${errors.length > 5 ? `\n...and ${errors.length - 5} more` : ''}`);
+        this.name = 'RuleValidationError';
+        this.errors = errors;
+    }
+}
+
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+export class ActionRuleSet {
+    /**
+     * @param {Array} rules - Rule objects; validated, throws RuleValidationError.
+     */
+    constructor(rules = []) {
+        this.joints = new PoseMapper().joints;
+        const errors = this.validate(rules);
+        if (errors.length > 0) throw new RuleValidationError(errors);
+        this.rules = rules.map(rule => ({ priority: 0, ...rule }));
+        // Stable sort keeps file order between rules of equal priority
+        this.sorted = [...this.rules].sort((a, b) => b.priority - a.priority);
+    }
+
+    /** Builds a rule set from JSON text or an already-parsed value. */
+    static parse(input) {
+        let parsed = input;
+        if (typeof input === 'string') {
+            try { parsed = JSON.parse(input); }
+            catch (error) { throw new RuleValidationError([`root: not valid JSON (${error.message})`]); }
+        }
+        const rules = Array.isArray(parsed) ? parsed : parsed?.rules;
+        if (!Array.isArray(rules)) throw new RuleValidationError(["root: expected an array of rules or an object with a 'rules' array"]);
+        return new ActionRuleSet(rules);
+    }
+
+    get size() { return this.rules.length; }
+
+    toJSON() { return this.rules; }
+
+    resolveJoint(joint) {
+        if (Number.isInteger(joint) && joint >= 0 && joint < 33) return joint;
+        return typeof joint === 'string' && joint in this.joints ? this.joints[joint] : null;
+    }
+
+    validate(rules) {
+        if (!Array.isArray(rules)) return ['rules: expected an array'];
+        const errors = [];
+        const names = new Set();
+        rules.forEach((rule, i) => {
+            const path = `rules[${i}]`;
+            if (typeof rule !== 'object' || rule === null) { errors.push(`${path}: expected an object`); return; }
+            if (typeof rule.name !== 'string' || rule.name.trim() === '') errors.push(`${path}.name: expected a non-empty string`);
+            else if (names.has(rule.name)) errors.push(`${path}.name: duplicate rule '${rule.name}'`);
+            else names.add(rule.name);
+            if (rule.priority !== undefined && !isNumber(rule.priority)) errors.push(`${path}.priority: expected a number`);
+            if (rule.all === undefined && rule.any === undefined) errors.push(`${path}: expected an 'all' or 'any' list of predicates`);
+            for (const key of ['all', 'any']) {
+                if (rule[key] === undefined) continue;
+                if (!Array.isArray(rule[key]) || rule[key].length === 0) { errors.push(`${path}.${key}: expected a non-empty array`); continue; }
+                rule[key].forEach((predicate, j) => this.validatePredicate(predicate, `${path}.${key}[${j}]`, errors));
+            }
+        });
+        return errors;
+    }
+
+    validatePredicate(predicate, path, errors) {
+        if (typeof predicate !== 'object' || predicate === null) { errors.push(`${path}: expected an object`); return; }
+        const checkJoint = (joint, where) => {
+            if (this.resolveJoint(joint) === null) errors.push(`${where}: unknown joint ${JSON.stringify(joint)}`);
+        };
+
+        if (predicate.joint !== undefined) {
+            checkJoint(predicate.joint, `${path}.joint`);
+            const relations = RELATIONS.filter(r => predicate[r] !== undefined);
+            if (relations.length !== 1) errors.push(`${path}: expected exactly one of ${RELATIONS.join(', ')}`);
+            else checkJoint(predicate[relations[0]], `${path}.${relations[0]}`);
+            if (predicate.by !== undefined && !isNumber(predicate.by)) errors.push(`${path}.by: expected a number`);
+        } else if (predicate.angle !== undefined) {
+            if (!Array.isArray(predicate.angle) || predicate.angle.length !== 3) errors.push(`${path}.angle: expected three joints`);
+            else predicate.angle.forEach((joint, k) => checkJoint(joint, `${path}.angle[${k}]`));
+            const range = predicate.between;
+            if (!Array.isArray(range) || range.length !== 2 || !range.every(isNumber) || range[0] > range[1]) {
+                errors.push(`${path}.between: expected [min, max] in degrees`);
+            }
+        } else if (predicate.distance !== undefined) {
+            if (!Array.isArray(predicate.distance) || predicate.distance.length !== 2) errors.push(`${path}.distance: expected two joints`);
+            else predicate.distance.forEach((joint, k) => checkJoint(joint, `${path}.distance[${k}]`));
+            if (predicate.lessThan === undefined && predicate.greaterThan === undefined) errors.push(`${path}: expected 'lessThan' and/or 'greaterThan'`);
+            for (const key of ['lessThan', 'greaterThan']) {
+                if (predicate[key] !== undefined && !isNumber(predicate[key])) errors.push(`${path}.${key}: expected a number`);
+            }
+        } else {
+            errors.push(`${path}: expected a 'joint', 'angle' or 'distance' predicate`);
+        }
+    }
+
+    // --- Evaluation ---
+
+    jointAngle(a, b, c) {
+        const v1 = { x: a.x - b.x, y: a.y - b.y };
+        const v2 = { x: c.x - b.x, y: c.y - b.y };
+        const magnitude = Math.hypot(v1.x, v1.y) * Math.hypot(v2.x, v2.y);
+        if (magnitude === 0) return null;
+        const cos = Math.max(-1, Math.min(1, (v1.x * v2.x + v1.y * v2.y) / magnitude));
+        return Math.acos(cos) * 180 / Math.PI;
+    }
+
+    // Any predicate that needs a missing joint is false
+    test(predicate, pose) {
+        const point = joint => pose[this.resolveJoint(joint)] || null;
+
+        if (predicate.joint !== undefined) {
+            const relation = RELATIONS.find(r => predicate[r] !== undefined);
+            const a = point(predicate.joint), b = point(predicate[relation]);
+            if (!a || !b) return false;
+            const by = predicate.by || 0;
+            switch (relation) {
+                case 'above': return a.y < b.y - by;
+                case 'below': return a.y > b.y + by;
+                case 'leftOf': return a.x < b.x - by;
+                case 'rightOf': return a.x > b.x + by;
+            }
+        }
+        if (predicate.angle !== undefined) {
+            const [a, b, c] = predicate.angle.map(point);
+            const angle = a && b && c ? this.jointAngle(a, b, c) : null;
+            return angle !== null && angle >= predicate.between[0] && angle <= predicate.between[1];
+        }
+        const [a, b] = predicate.distance.map(point);
+        if (!a || !b) return false;
+        const distance = Math.hypot(a.x - b.x, a.y - b.y);
+        if (predicate.lessThan !== undefined && !(distance < predicate.lessThan)) return false;
+        if (predicate.greaterThan !== undefined && !(distance > predicate.greaterThan)) return false;
+        return true;
+    }
+
+    matches(rule, pose) {
+        if (rule.all && !rule.all.every(p => this.test(p, pose))) return false;
+        if (rule.any && !rule.any.some(p => this.test(p, pose))) return false;
+        return true;
+    }
+
+    /**
+     * Returns the name of the highest-priority matching rule, or null.
+     * @param {Array} pose - A pose normalized by PoseMapper.normalizePose.
+     * @param {function} [filter] - Restricts which rules are considered.
+     */
+    evaluate(pose, filter = () => true) {
+        const rule = this.sorted.find(r => filter(r) && this.matches(r, pose));
+        return rule ? rule.name : null;
+    }
+}
@@ -1,8 +1,25 @@
 import { PoseRenderer } from './renderer.js';
 import { PoseMapper } from './mapper.js';
 import { Smoother } from './smoother.js';
-import { ActionRecognizer } from './action-recognizer.js';
-import { HandLandmarker, FilesetResolver, PoseLandmarker, ObjectDetector, ImageSegmenter } from "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.12/vision_bundle.mjs";
+import { HandSmoother } from './hand-smoother.js';
+import { HandGestureRecognizer } from './hand-gesture-recognizer.js';
+import { TemporalActionRecognizer } from './temporal-action-recognizer.js';
+import { ActionRuleSet } from './action-rules.js';
+import { GestureTrainer } from './gesture-trainer.js';
+import { BvhExporter } from './bvh-exporter.js';
+import { createMetadata, poseToRecordingSpace, worldPoseToRecordingSpace, faceToRecordingSpace, gazeToRecordingSpace, anglesToRecording, validateRecording } from './recording-schema.js';
+import { InferencePipeline, applyConfidenceThreshold } from './inference-pipeline.js';
+import { PersonTracker } from './person-tracker.js';
+import { VideoFileAnalyzer, seekVideo, estimateFrameRate } from './video-file-analyzer.js';
+import { resolveModelAssets, loadScript } from './model-assets.js';
+import { LiveOutput } from './live-output.js';
+import { Compositor, normalizeLayers, moveLayer, LAYERS, BACKGROUND_MODES } from './compositor.js';
+import { mattingActive } from './matting.js';
+import { ExpressionClassifier, headPoseFromMatrix } from './face-analysis.js';
+import { estimateGaze, AttentionTracker } from './gaze.js';
+import { computeJointAngles, BiomechanicsTracker, JOINT_ANGLES, rangeOfMotion } from './biomechanics.js';
+import { ExerciseCounter, EXERCISES, FORM_ISSUES } from './exercise-counter.js';
+import { timelineEvents, eventsSidecar, eventsToCsv, eventsToWebVtt } from './event-timeline.js';
 
 class MimicaApp {
     constructor() {
@@ -11,27 +28,55 @@ class MimicaApp {
         this.ctx = this.canvas.getContext('2d');
         
         this.renderer = new PoseRenderer(this.ctx);
+        this.compositor = new Compositor(this.ctx);
+        // The clean output view (?output) shows only the canvas, for OBS and other capture
+        this.outputMode = new URLSearchParams(window.location.search).has('output');
+        // The background image or video element, and a file picked for it this session
+        this.backgroundMedia = null;
+        this.backgroundFile = null;
         this.mapper = new PoseMapper();
-        this.smoother = new Smoother();
-        this.actionRecognizer = new ActionRecognizer();
-        
-        this.pose = null;
+        this.handSmoother = new HandSmoother();
+        this.handGestureRecognizer = new HandGestureRecognizer();
+        this.gestureTrainer = new GestureTrainer();
+        this.actionRuleSet = null;
+        // Every tracked person has their own smoothers and action recognizer
+        this.personTracker = new PersonTracker({ createState: () => this.createPersonState() });
+        // {id, pose, poseWorld, action} per person in the latest results, ordered by id
+        this.people = [];
         this.settings = this.loadSettings();
+        this.applySmoothingSettings();
         
         this.cameraReady = false;
         this.animationStarted = false;
         
+        // pose, hands, face, objects and segmentation run in the inference worker
         this.models = {
-            pose: { ready: false, loading: false, instance: null },
-            hands: { ready: false, loading: false, instance: null },
+            pose: { ready: false, loading: false },
+            hands: { ready: false, loading: false },
             face: { ready: false, loading: false },
-            objects: { ready: false, loading: false, instance: null },
-            segmentation: { ready: false, loading: false, instance: null },
+            objects: { ready: false, loading: false },
+            segmentation: { ready: false, loading: false },
             ocr: { ready: false, loading: false, instance: null },
         };
+        this.modelAssets = this.resolveModelSource();
+        this.inference = this.createInferencePipeline();
+        this.inferenceCount = 0;
         
-        this.lastExpression = 'neutral';
+        this.expressionClassifier = new ExpressionClassifier();
+        // {landmarks, blendshapes, matrix, headPose, expression} of the first face, or null
+        this.lastFace = null;
+        this.lastGaze = null;
+        this.lastGazeTimestamp = 0;
+        this.attentionTracker = new AttentionTracker();
+        // Joint angle metrics of the first tracked person, see updateBiomechanics
+        this.biomechanics = new BiomechanicsTracker();
+        this.lastMetrics = null;
+        this.metricsPersonId = null;
+        // Reps of the first tracked person, see updateExercise
+        this.exerciseCounter = new ExerciseCounter({ exercise: EXERCISES[this.settings.exercise] ? this.settings.exercise : null });
+        this.exercisePersonId = null;
         this.lastHandResults = null;
+        this.lastHandSigns = [];
         this.lastObjectDetections = null;
         this.lastSegmentationResult = null;
         this.lastOcrResult = null;
@@ -41,14 +86,28 @@ class MimicaApp {
         this.mediaRecorder = null;
         this.recordedChunks = [];
         this.recordedActions = [];
+        // Events (see recording-schema.js) that ended during the recording
+        this.recordedEvents = [];
         this.isRecording = false;
         this.recordingStartTime = 0;
+        this.recordingModels = {};
+        // {video, analyzer, frames, events, models} while a video file is being analyzed
+        this.analysis = null;
+
+        this.liveOutput = new LiveOutput({
+            maxRate: Number(this.settings.liveOutputRate),
+            onStatus: status => this.updateLiveOutputStatus(status)
+        });
+        this.liveOutputStartTime = 0;
+        this.lastLiveStatusTime = 0;
 
         this.init();
     }
 
     async init() {
+        if (this.outputMode) document.body.classList.add('output-mode');
         this.setupUI();
+        this.registerServiceWorker();
         await this.setupCamera();
         
         if (this.cameraReady) {
@@ -79,30 +138,60 @@ class MimicaApp {
 
     loadSettings() {
         const defaults = {
-            characterMode: 'blocky', resolution: '640x360', smoothing: 0.3, 
-            fpsCap: 30, confidence: 0.5, mirror: true, ik: false,
-            recordBackground: true, expression: false, bodyModeEnabled: false,
+            characterMode: 'blocky', resolution: '640x360', smoothing: 0.3,
+            smoothingMode: 'ema', lowVisibility: 'drop',
+            fpsCap: 30, confidence: 0.5, maxPeople: 1, mirror: true, ik: false, capture3d: false,
+            recordBackground: true, expression: false, gazeEnabled: false, bodyModeEnabled: false,
+            biomechanicsEnabled: false, recordedAngles: [], exercise: 'off',
             handTrackingEnabled: false, selectedCameraId: '',
-            objectDetectionEnabled: false, segmentationEnabled: false, ocrEnabled: false
+            objectDetectionEnabled: false, segmentationEnabled: false, ocrEnabled: false,
+            customRules: [], customRulesMode: 'alongside', trainedGestures: null,
+            // Empty loads models from the public CDNs, see model-assets.js
+            modelBaseUrl: '',
+            liveOutputEnabled: false, liveOutputUrl: 'ws://localhost:8765', liveOutputFormat: 'json', liveOutputRate: 30,
+            // Drawing order and look of the canvas, see compositor.js
+            layers: normalizeLayers(), backgroundMode: 'none', backgroundColor: '#00ff00', backgroundImageUrl: '', backgroundBlur: 12,
+            matteFeather: 2, hairColor: '#8e44ad', hairStrength: 0, clothesColor: '#e67e22', clothesStrength: 0
         };
+        let settings;
         try {
             const saved = JSON.parse(localStorage.getItem('mimica-settings')) || {};
-            return { ...defaults, ...saved };
-        } catch { return defaults; }
+            settings = { ...defaults, ...saved };
+        } catch { settings = defaults; }
+        if (this.outputMode) {
+            // The output URL carries its own settings, since capture tools keep separate storage
+            try { Object.assign(settings, JSON.parse(new URLSearchParams(window.location.search).get('config')) || {}); }
+            catch { console.warn('Ignoring the invalid config of the output URL.'); }
+            settings.liveOutputEnabled = false;
+        }
+        settings.layers = normalizeLayers(settings.layers);
+        if (!BACKGROUND_MODES.includes(settings.backgroundMode)) settings.backgroundMode = 'none';
+        if (!EXERCISES[settings.exercise]) settings.exercise = 'off';
+        settings.recordedAngles = Object.keys(JOINT_ANGLES).filter(name => Array.isArray(settings.recordedAngles) && settings.recordedAngles.includes(name));
+        return settings;
     }
 
-    saveSettings() { try { localStorage.setItem('mimica-settings', JSON.stringify(this.settings)); } catch (e) { console.warn('Could not save settings:', e); } }
+    saveSettings() { if (this.outputMode) return; try { localStorage.setItem('mimica-settings', JSON.stringify(this.settings)); } catch (e) { console.warn('Could not save settings:', e); } }
 
     setupUI() {
         const controls = {
             'body-mode-toggle': 'bodyModeEnabled', 'hand-tracking-toggle': 'handTrackingEnabled',
-            'expression-toggle': 'expression', 'object-detection-toggle': 'objectDetectionEnabled',
+            'expression-toggle': 'expression', 'gaze-toggle': 'gazeEnabled', 'object-detection-toggle': 'objectDetectionEnabled',
             'segmentation-toggle': 'segmentationEnabled', 'ocr-toggle': 'ocrEnabled', 
             'camera-select': 'selectedCameraId', 'character-mode-select': 'characterMode', 
             'resolution-select': 'resolution', 'smoothing-slider': 'smoothing', 
-            'fps-slider': 'fpsCap', 'confidence-slider': 'confidence', 
-            'mirror-toggle': 'mirror', 'ik-toggle': 'ik', 
-            'record-background-toggle': 'recordBackground'
+            'smoothing-mode-select': 'smoothingMode', 'low-visibility-select': 'lowVisibility',
+            'fps-slider': 'fpsCap', 'confidence-slider': 'confidence', 'max-people-select': 'maxPeople',
+            'mirror-toggle': 'mirror', 'ik-toggle': 'ik', 'capture-3d-toggle': 'capture3d',
+            'record-background-toggle': 'recordBackground', 'custom-rules-mode-select': 'customRulesMode',
+            'model-base-url-input': 'modelBaseUrl', 'live-output-toggle': 'liveOutputEnabled',
+            'live-output-url-input': 'liveOutputUrl', 'live-output-format-select': 'liveOutputFormat',
+            'live-output-rate-select': 'liveOutputRate', 'background-mode-select': 'backgroundMode',
+            'background-color-input': 'backgroundColor', 'background-image-url-input': 'backgroundImageUrl',
+            'background-blur-select': 'backgroundBlur', 'matte-feather-select': 'matteFeather',
+            'hair-color-input': 'hairColor', 'hair-strength-slider': 'hairStrength',
+            'clothes-color-input': 'clothesColor', 'clothes-strength-slider': 'clothesStrength',
+            'biomechanics-toggle': 'biomechanicsEnabled', 'exercise-select': 'exercise'
         };
         
         for (const [id, key] of Object.entries(controls)) {
@@ -115,18 +204,14 @@ class MimicaApp {
             el[isCheckbox ? 'checked' : 'value'] = this.settings[key];
             
             el.addEventListener('change', e => {
-                const value = isCheckbox ? e.target.checked : e.target.value;
+                const value = isCheckbox ? e.target.checked : el.type === 'range' ? Number(e.target.value) : e.target.value;
                 this.settings[key] = value;
                 this.saveSettings();
+                this.applySetting(key);
                 
-                if (isCheckbox || key === 'resolution' || key === 'selectedCameraId') {
-                    window.location.reload();
-                } else {
-                     if (key === 'smoothing') this.smoother.setAlpha(this.settings.smoothing);
-                     if (id.includes('slider')) {
-                        const valueEl = document.getElementById(id.replace('-slider', '-value'));
-                        if (valueEl) valueEl.textContent = parseFloat(value).toFixed(1);
-                    }
+                if (id.includes('slider')) {
+                    const valueEl = document.getElementById(id.replace('-slider', '-value'));
+                    if (valueEl) valueEl.textContent = key === 'fpsCap' ? value : value.toFixed(1);
                 }
             });
 
@@ -136,13 +221,327 @@ class MimicaApp {
             }
         }
         
-        document.getElementById('calibrate-btn').addEventListener('click', () => this.smoother.reset());
+        document.getElementById('calibrate-btn').addEventListener('click', () => { this.resetPeople(); this.handSmoother.reset(); });
         document.getElementById('refresh-btn').addEventListener('click', () => window.location.reload(true));
         document.getElementById('record-btn').addEventListener('click', () => { if (this.isRecording) this.stopRecording(); else this.startRecording(); });
         document.getElementById('fullscreen-btn').addEventListener('click', () => this.toggleFullScreen());
         document.getElementById('ocr-btn').addEventListener('click', () => this.detectText());
+        document.getElementById('custom-rules-file').addEventListener('change', e => this.loadCustomRulesFile(e.target));
+        document.getElementById('custom-rules-clear-btn').addEventListener('click', () => {
+            this.settings.customRules = [];
+            this.saveSettings();
+            this.applyCustomRules();
+        });
         
+        document.getElementById('record-sample-btn').addEventListener('click', () => this.toggleGestureSample());
+        document.getElementById('gesture-export-btn').addEventListener('click', () => this.exportGestures());
+        document.getElementById('gesture-import-file').addEventListener('change', e => this.importGestures(e.target));
+        document.getElementById('video-file-input').addEventListener('change', e => this.analyzeVideoFile(e.target));
+        document.getElementById('analysis-cancel-btn').addEventListener('click', () => this.analysis?.analyzer.cancel());
+        document.getElementById('background-image-file').addEventListener('change', e => this.loadBackgroundFile(e.target));
+        document.getElementById('copy-output-url-btn').addEventListener('click', () => this.copyOutputUrl());
+        document.getElementById('open-output-btn').addEventListener('click', () => window.open(this.outputUrl(), 'mimica-output', 'width=960,height=540'));
+        document.getElementById('biomechanics-reset-btn').addEventListener('click', () => this.resetBiomechanics());
+        document.getElementById('exercise-reset-btn').addEventListener('click', () => this.exerciseCounter.reset());
+        document.getElementById('gesture-clear-btn').addEventListener('click', () => {
+            this.gestureTrainer.clear();
+            this.saveGestures();
+        });
+        
+        this.applyCustomRules();
+        this.restoreGestures();
+        this.updateAllStatusIndicators();
+        this.applyLiveOutput();
+        this.renderLayerControls();
+        this.renderBiomechanicsPanel();
+        this.loadBackgroundMedia();
+    }
+
+    // Applies a changed setting to the running session; nothing here reloads the page
+    applySetting(key) {
+        switch (key) {
+            case 'bodyModeEnabled': case 'handTrackingEnabled': case 'objectDetectionEnabled':
+            case 'segmentationEnabled': case 'expression': case 'ocrEnabled': case 'gazeEnabled':
+                this.loadEnabledModels();
+                break;
+            case 'resolution': case 'selectedCameraId':
+                this.switchCamera();
+                break;
+            case 'mirror':
+                // Poses are kept in display space, so history from the other orientation is invalid
+                this.resetPeople();
+                break;
+            case 'capture3d':
+                for (const { state } of this.personTracker.tracks.values()) state.worldSmoother.reset();
+                for (const person of this.people) person.poseWorld = null;
+                break;
+            case 'customRulesMode': this.applyCustomRules(); break;
+            case 'biomechanicsEnabled': this.resetBiomechanics(); break;
+            case 'exercise':
+                this.exerciseCounter.setExercise(EXERCISES[this.settings.exercise] ? this.settings.exercise : null);
+                this.exercisePersonId = null;
+                if (this.isRecording) Object.assign(this.recordingModels, this.getRecordingModels());
+                break;
+            case 'fpsCap': case 'confidence': case 'maxPeople': this.applyInferenceOptions(); break;
+            case 'smoothing': case 'smoothingMode': case 'lowVisibility':
+                this.applySmoothingSettings();
+                break;
+            case 'modelBaseUrl': this.applyModelSource(); break;
+            case 'liveOutputEnabled': case 'liveOutputUrl': case 'liveOutputFormat': this.applyLiveOutput(); break;
+            case 'liveOutputRate': this.liveOutput.setMaxRate(Number(this.settings.liveOutputRate)); break;
+            case 'backgroundMode': this.loadEnabledModels(); this.loadBackgroundMedia(); break;
+            case 'hairStrength': case 'clothesStrength': this.loadEnabledModels(); break;
+            case 'backgroundImageUrl':
+                // A typed URL replaces a file picked before
+                if (this.backgroundFile) URL.revokeObjectURL(this.backgroundFile.url);
+                this.backgroundFile = null;
+                this.loadBackgroundMedia();
+                break;
+        }
+    }
+
+    createInferencePipeline() {
+        return new InferencePipeline({
+            maxFps: Number(this.settings.fpsCap),
+            assets: this.modelAssets,
+            onResults: (results) => this.handleInferenceResults(results),
+            onStatus: (model, status, message) => this.handleModelStatus(model, status, message)
+        });
+    }
+
+    resolveModelSource() {
+        try { return resolveModelAssets(this.settings.modelBaseUrl, document.baseURI); }
+        catch (error) {
+            console.warn(`${error.message} Using the public CDNs.`);
+            return resolveModelAssets();
+        }
+    }
+
+    /** Switches to the configured model source; models that were loaded are loaded again from it. */
+    applyModelSource() {
+        let assets;
+        try { assets = resolveModelAssets(this.settings.modelBaseUrl, document.baseURI); }
+        catch (error) { alert(error.message); return; }
+        this.modelAssets = assets;
+        // The worker keeps the runtime it loaded first, so it is replaced
+        this.inference.terminate();
+        this.inference = this.createInferencePipeline();
+        for (const key of ['pose', 'hands', 'face', 'objects', 'segmentation']) this.models[key] = { ready: false, loading: false };
         this.updateAllStatusIndicators();
+        if (this.models.ocr.instance) this.closeOcr();
+        this.loadEnabledModels();
+        this.syncModelPack();
+    }
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.addEventListener('message', e => {
+            if (e.data?.type === 'model-pack-status') this.updateModelPackStatus(e.data);
+        });
+        // A new version takes over only when the user accepts the update prompt
+        const hadController = !!navigator.serviceWorker.controller;
+        navigator.serviceWorker.addEventListener('controllerchange', () => { if (hadController) window.location.reload(); });
+        // Served from the site root, so its default scope covers index.html without any
+        // special headers. Update checks bypass the HTTP cache, for the imported asset manifest as well.
+        navigator.serviceWorker.register('service-worker.js', { updateViaCache: 'none' })
+            .then(registration => {
+                this.watchForUpdates(registration);
+                this.syncModelPack();
+            })
+            .catch(error => console.warn('Service worker registration failed; offline use is unavailable:', error));
+    }
+
+    /** Shows the update prompt whenever a new version has installed and is waiting. */
+    watchForUpdates(registration) {
+        const promptIfWaiting = () => {
+            // Without a controller this is the first install, which activates by itself
+            if (registration.waiting && navigator.serviceWorker.controller) this.showUpdatePrompt(registration.waiting);
+        };
+        promptIfWaiting();
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => { if (worker.state === 'installed') promptIfWaiting(); });
+        });
+        // Long-running sessions check for a deploy every hour
+        setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+    }
+
+    showUpdatePrompt(worker) {
+        const banner = document.getElementById('update-banner');
+        if (!banner) return;
+        banner.style.display = 'flex';
+        document.getElementById('update-reload-btn').onclick = () => {
+            if (this.isRecording && !confirm('Reloading stops the recording in progress. Reload anyway?')) return;
+            // The page reloads on 'controllerchange' once the new version is active
+            worker.postMessage({ type: 'skip-waiting' });
+        };
+    }
+
+    /** Asks the service worker to precache the self-hosted model pack, or to update it. */
+    syncModelPack() {
+        const statusEl = document.getElementById('model-pack-status');
+        if (!this.modelAssets.selfHosted) {
+            if (statusEl) statusEl.textContent = 'Offline Models: Not Used (CDN)';
+            return;
+        }
+        if (!('serviceWorker' in navigator)) return;
+        // The worker may be active before it controls this page, so it is messaged directly
+        navigator.serviceWorker.ready.then(registration => {
+            registration.active.postMessage({ type: 'sync-model-pack', baseUrl: this.modelAssets.baseUrl });
+        });
+    }
+
+    updateModelPackStatus({ status, done, total, version }) {
+        const statusEl = document.getElementById('model-pack-status');
+        if (!statusEl) return;
+        const text = {
+            caching: `Downloading (${done}/${total} files)`,
+            ready: `Ready for Offline Use (v${version})`,
+            offline: `Offline, Using Cached Pack (v${version})`,
+            error: 'Error (see console)'
+        };
+        statusEl.textContent = `Offline Models: ${text[status] || status}`;
+    }
+
+    createPersonState() {
+        const state = {
+            smoother: new Smoother(),
+            // World landmarks are in meters; the filters are tuned in pixels
+            worldSmoother: new Smoother(0.3, { unitScale: 500 }),
+            actionRecognizer: new TemporalActionRecognizer()
+        };
+        this.configureSmoothers(state);
+        state.actionRecognizer.staticRecognizer.setCustomRules(this.actionRuleSet, this.settings.customRulesMode);
+        state.actionRecognizer.setGestureClassifier(this.gestureTrainer.createLiveClassifier());
+        return state;
+    }
+
+    configureSmoothers({ smoother, worldSmoother }) {
+        for (const s of [smoother, worldSmoother]) {
+            if (s.mode !== this.settings.smoothingMode) s.setMode(this.settings.smoothingMode);
+            s.setAlpha(Number(this.settings.smoothing));
+            s.setLowVisibility(this.settings.lowVisibility);
+        }
+    }
+
+    /** Forgets all tracked people; they get new IDs and fresh filters when next seen. */
+    resetPeople() {
+        this.personTracker.reset();
+        this.people = [];
+    }
+
+    applySmoothingSettings() {
+        for (const { state } of this.personTracker.tracks.values()) this.configureSmoothers(state);
+        if (this.handSmoother.mode !== this.settings.smoothingMode) this.handSmoother.setMode(this.settings.smoothingMode);
+        this.handSmoother.setAlpha(Number(this.settings.smoothing));
+        // The alpha slider only drives the EMA; the other filters adapt to motion on their own
+        const slider = document.getElementById('smoothing-slider');
+        if (slider) slider.disabled = this.settings.smoothingMode !== 'ema';
+    }
+
+    restoreGestures() {
+        if (this.settings.trainedGestures) {
+            try { this.gestureTrainer.load(this.settings.trainedGestures); }
+            catch (error) { console.warn('Saved gestures are invalid and were ignored:', error); }
+        }
+        this.resetPeople();
+        this.updateGestureStatus();
+    }
+
+    saveGestures() {
+        this.settings.trainedGestures = this.gestureTrainer.samples.length > 0 ? this.gestureTrainer.toJSON() : null;
+        this.saveSettings();
+        for (const { state } of this.personTracker.tracks.values()) state.actionRecognizer.reset();
+        this.updateGestureStatus();
+    }
+
+    updateGestureStatus() {
+        const statusEl = document.getElementById('gesture-status');
+        if (!statusEl) return;
+        const trainer = this.gestureTrainer;
+        if (trainer.isRecording) { statusEl.textContent = `Recording '${trainer.recording.name}'... (${trainer.recording.frames.length} frames)`; return; }
+        const names = trainer.names;
+        statusEl.textContent = names.length > 0 ? `Gestures: ${names.map(n => `${n} (${trainer.countSamples(n)})`).join(', ')}` : 'Gestures: None';
+    }
+
+    toggleGestureSample() {
+        const button = document.getElementById('record-sample-btn');
+        if (this.gestureTrainer.isRecording) {
+            button.textContent = 'Record Sample';
+            try {
+                this.gestureTrainer.finishSample();
+                this.saveGestures();
+            } catch (error) {
+                alert(error.message);
+                this.updateGestureStatus();
+            }
+            return;
+        }
+        if (!this.settings.bodyModeEnabled) {
+            alert("Please enable Body Tracking in the Config section first.");
+            return;
+        }
+        try {
+            this.gestureTrainer.startSample(document.getElementById('gesture-name-input').value);
+            button.textContent = 'Stop Sample';
+            this.updateGestureStatus();
+        } catch (error) { alert(error.message); }
+    }
+
+    exportGestures() {
+        if (this.gestureTrainer.samples.length === 0) { alert("There are no trained gestures to export."); return; }
+        const blob = new Blob([JSON.stringify(this.gestureTrainer.toJSON(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'mimica-gestures.json';
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importGestures(input) {
+        const file = input.files[0];
+        if (!file) return;
+        try {
+            this.gestureTrainer.load(JSON.parse(await file.text()));
+            this.saveGestures();
+        } catch (error) {
+            console.error('Could not import gestures:', error);
+            alert(error.message);
+        } finally {
+            input.value = '';
+        }
+    }
+
+    applyCustomRules() {
+        const statusEl = document.getElementById('custom-rules-status');
+        try {
+            const ruleSet = new ActionRuleSet(this.settings.customRules);
+            this.actionRuleSet = ruleSet;
+            if (statusEl) statusEl.textContent = ruleSet.size > 0 ? `Rules: ${ruleSet.rules.map(r => r.name).join(', ')}` : 'Rules: None';
+        } catch (error) {
+            console.warn('Saved custom action rules are invalid and were ignored:', error);
+            this.actionRuleSet = null;
+            if (statusEl) statusEl.textContent = 'Rules: Error (see console)';
+        }
+        // Recognizers pick up the rules when they are created
+        this.resetPeople();
+    }
+
+    async loadCustomRulesFile(input) {
+        const file = input.files[0];
+        if (!file) return;
+        try {
+            const ruleSet = ActionRuleSet.parse(await file.text());
+            this.settings.customRules = ruleSet.toJSON();
+            this.saveSettings();
+            this.applyCustomRules();
+        } catch (error) {
+            console.error('Could not load custom action rules:', error);
+            alert(error.message);
+        } finally {
+            input.value = '';
+        }
     }
     
     updateStatus(modelKey, status, message) {
@@ -167,13 +566,48 @@ class MimicaApp {
         }
     }
 
+    applyInferenceOptions() {
+        this.inference.setOptions({
+            maxFps: Number(this.settings.fpsCap), confidence: Number(this.settings.confidence), numPoses: Number(this.settings.maxPeople)
+        });
+    }
+
+    /**
+     * Brings the loaded models in line with the settings: enabled models are loaded,
+     * disabled ones are closed and their last results cleared. Safe to call at any time.
+     */
     loadEnabledModels() {
-        if (this.settings.bodyModeEnabled && !this.models.pose.instance && !this.models.pose.loading) this.loadPoseLandmarker();
-        if (this.settings.handTrackingEnabled && !this.models.hands.instance && !this.models.hands.loading) this.loadHandLandmarker();
-        if (this.settings.expression && !this.models.face.ready && !this.models.face.loading) this.loadFaceAPI();
-        if (this.settings.objectDetectionEnabled && !this.models.objects.instance && !this.models.objects.loading) this.loadObjectDetector();
-        if (this.settings.segmentationEnabled && !this.models.segmentation.instance && !this.models.segmentation.loading) this.loadImageSegmenter();
+        this.applyInferenceOptions();
+        this.inference.configure({
+            pose: this.settings.bodyModeEnabled,
+            hands: this.settings.handTrackingEnabled,
+            face: this.settings.expression,
+            objects: this.settings.objectDetectionEnabled,
+            segmentation: this.segmentationNeeded
+        });
         if (this.settings.ocrEnabled && !this.models.ocr.instance && !this.models.ocr.loading) this.setupOcr();
+        if (!this.settings.ocrEnabled && this.models.ocr.instance) this.closeOcr();
+
+        // With no model left running no more results arrive, so stale ones are cleared here
+        if (!this.settings.bodyModeEnabled) this.resetPeople();
+        if (!this.settings.handTrackingEnabled) {
+            this.lastHandResults = null; this.lastHandSigns = [];
+            this.handSmoother.reset(); this.handGestureRecognizer.reset();
+        }
+        if (!this.settings.expression) { this.lastFace = null; this.expressionClassifier.reset(); }
+        if (!this.settings.gazeEnabled) { this.lastGaze = null; this.attentionTracker.reset(); }
+        if (!this.settings.objectDetectionEnabled) this.lastObjectDetections = null;
+        if (!this.segmentationNeeded) this.lastSegmentationResult = null;
+        if (this.isRecording) Object.assign(this.recordingModels, this.getRecordingModels());
+    }
+
+    handleModelStatus(model, status, message) {
+        const state = this.models[model];
+        if (!state) return;
+        state.loading = status === 'loading';
+        state.ready = status === 'ready';
+        const indicators = { pose: 'body', hands: 'hand', face: 'expression', objects: 'object', segmentation: 'segmentation' };
+        this.updateStatus(indicators[model], status, message);
     }
 
     async setupCamera() {
@@ -194,8 +628,11 @@ class MimicaApp {
             await new Promise((resolve, reject) => {
                 this.video.onloadeddata = () => {
                     this.video.play();
-                    this.canvas.width = this.video.videoWidth;
-                    this.canvas.height = this.video.videoHeight;
+                    // During file analysis the canvas keeps the file's size until it ends
+                    if (!this.analysis) {
+                        this.canvas.width = this.video.videoWidth;
+                        this.canvas.height = this.video.videoHeight;
+                    }
                     this.cameraReady = true;
                     resolve();
                 };
@@ -207,6 +644,15 @@ class MimicaApp {
         }
     }
 
+    /** Reopens the camera with the current resolution and device, keeping everything else running. */
+    async switchCamera() {
+        await this.setupCamera();
+        if (!this.cameraReady) return;
+        document.getElementById('loading-message').style.display = 'none';
+        this.resetPeople();
+        this.lastVideoTime = -1;
+    }
+
     async populateCameraList() {
         try {
             const cameraSelect = document.getElementById('camera-select');
@@ -249,30 +695,25 @@ class MimicaApp {
     }
 
     startRecording() {
-        if (!this.canvas) return;
+        if (!this.canvas || this.analysis) return;
         this.isRecording = true;
         this.recordingStartTime = performance.now();
         this.recordedChunks = [];
         this.recordedActions = [];
+        this.recordedEvents = [];
+        // Models switched on during the recording are added to this
+        this.recordingModels = this.getRecordingModels();
         document.getElementById('download-area').style.display = 'none';
         const stream = this.canvas.captureStream(30);
         this.mediaRecorder = new MediaRecorder(stream, { mimeType: 'video/webm; codecs=vp9' });
         this.mediaRecorder.ondataavailable = (event) => { if (event.data.size > 0) this.recordedChunks.push(event.data); };
         this.mediaRecorder.onstop = () => {
-            const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
-            const videoBlob = new Blob(this.recordedChunks, { type: 'video/webm' });
-            const videoLink = document.getElementById('download-link-video');
-            videoLink.href = URL.createObjectURL(videoBlob);
-            videoLink.download = `mimica-recording-${timestamp}.webm`;
-            const jsonData = {
-                metadata: { date: new Date().toISOString(), durationMs: performance.now() - this.recordingStartTime, sourceResolution: `${this.canvas.width}x${this.canvas.height}` },
-                frames: this.recordedActions
-            };
-            const jsonBlob = new Blob([JSON.stringify(jsonData, null, 2)], { type: 'application/json' });
-            const jsonLink = document.getElementById('download-link-json');
-            jsonLink.href = URL.createObjectURL(jsonBlob);
-            jsonLink.download = `mimica-data-${timestamp}.json`;
-            document.getElementById('download-area').style.display = 'flex';
+            const jsonData = this.recordingData(createMetadata({
+                durationMs: performance.now() - this.recordingStartTime,
+                width: this.canvas.width, height: this.canvas.height,
+                mirrored: this.settings.mirror, models: this.recordingModels
+            }), this.recordedActions, this.recordedEvents);
+            this.offerDownloads(jsonData, new Blob(this.recordedChunks, { type: 'video/webm' }));
         };
         this.mediaRecorder.start();
         const recordBtn = document.getElementById('record-btn');
@@ -281,7 +722,57 @@ class MimicaApp {
         document.getElementById('recording-indicator').style.display = 'inline';
     }
 
+    /**
+     * A recording (see recording-schema.js) from its parts, with the range of motion of the
+     * recorded angles and the events read off the frames (see event-timeline.js).
+     */
+    recordingData(metadata, frames, events) {
+        const ranges = rangeOfMotion(frames);
+        if (Object.keys(ranges).length > 0) metadata.rangeOfMotion = ranges;
+        return { metadata, frames, events: [...events, ...timelineEvents(frames)].sort((a, b) => a.start - b.start) };
+    }
+
+    /** Shows the download links for a finished recording; `videoBlob` is null for file analysis. */
+    offerDownloads(jsonData, videoBlob) {
+        const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
+        const videoLink = document.getElementById('download-link-video');
+        if (videoBlob) {
+            videoLink.href = URL.createObjectURL(videoBlob);
+            videoLink.download = `mimica-recording-${timestamp}.webm`;
+        }
+        videoLink.style.display = videoBlob ? '' : 'none';
+        const schemaErrors = validateRecording(jsonData);
+        if (schemaErrors.length > 0) console.warn('Recording does not match the schema:', schemaErrors);
+        const jsonBlob = new Blob([JSON.stringify(jsonData, null, 2)], { type: 'application/json' });
+        const jsonLink = document.getElementById('download-link-json');
+        jsonLink.href = URL.createObjectURL(jsonBlob);
+        jsonLink.download = `mimica-data-${timestamp}.json`;
+        const bvhLink = document.getElementById('download-link-bvh');
+        try {
+            const bvhBlob = new Blob([new BvhExporter().export(jsonData)], { type: 'text/plain' });
+            bvhLink.href = URL.createObjectURL(bvhBlob);
+            bvhLink.download = `mimica-motion-${timestamp}.bvh`;
+            bvhLink.style.display = '';
+        } catch (error) {
+            console.warn('BVH export skipped:', error.message);
+            bvhLink.style.display = 'none';
+        }
+        // Named like the video, so players pick the subtitles up
+        const downloads = {
+            'download-link-vtt': [eventsToWebVtt(jsonData.events), 'text/vtt', `mimica-recording-${timestamp}.vtt`],
+            'download-link-events-csv': [eventsToCsv(jsonData.events), 'text/csv', `mimica-events-${timestamp}.csv`],
+            'download-link-events-json': [JSON.stringify(eventsSidecar(jsonData), null, 2), 'application/json', `mimica-events-${timestamp}.json`]
+        };
+        for (const [id, [content, type, filename]] of Object.entries(downloads)) {
+            const link = document.getElementById(id);
+            link.href = URL.createObjectURL(new Blob([content], { type }));
+            link.download = filename;
+        }
+        document.getElementById('download-area').style.display = 'flex';
+    }
+
     stopRecording() {
+        if (this.isRecording) this.closeEvents(performance.now());
         if (this.mediaRecorder) this.mediaRecorder.stop();
         this.isRecording = false;
         const recordBtn = document.getElementById('record-btn');
@@ -290,66 +781,33 @@ class MimicaApp {
         document.getElementById('recording-indicator').style.display = 'none';
     }
 
-    async loadPoseLandmarker() {
-        this.models.pose.loading = true; this.updateStatus('body', 'loading', 'Loading...');
-        try {
-            const vision = await FilesetResolver.forVisionTasks("https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.12/wasm");
-            this.models.pose.instance = await PoseLandmarker.createFromOptions(vision, {
-                baseOptions: { modelAssetPath: `https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task`, delegate: "CPU" },
-                runningMode: "VIDEO", numPoses: 1
-            });
-            this.models.pose.ready = true; this.updateStatus('body', 'ready', 'Ready');
-        } catch(error) { 
-            console.error('Failed to load pose models.', error); this.updateStatus('body', 'error', 'Error');
-        } finally { this.models.pose.loading = false; }
-    }
-
-    async loadHandLandmarker() {
-        this.models.hands.loading = true; this.updateStatus('hand', 'loading', 'Loading...');
-        try {
-            const vision = await FilesetResolver.forVisionTasks("https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.12/wasm");
-            this.models.hands.instance = await HandLandmarker.createFromOptions(vision, {
-                baseOptions: { modelAssetPath: `https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`, delegate: "CPU" },
-                runningMode: "VIDEO", numHands: 2
-            });
-            this.models.hands.ready = true; this.updateStatus('hand', 'ready', 'Ready');
-        } catch (error) { console.error("Hand Landmarker failed to load:", error); this.updateStatus('hand', 'error', 'Error'); } 
-        finally { this.models.hands.loading = false; }
-    }
-
-    async loadObjectDetector() {
-        this.models.objects.loading = true; this.updateStatus('object', 'loading', 'Loading...');
-        try {
-            const vision = await FilesetResolver.forVisionTasks("https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.12/wasm");
-            this.models.objects.instance = await ObjectDetector.createFromOptions(vision, {
-                baseOptions: { modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/object_detector/efficientdet_lite0/float16/1/efficientdet_lite0.tflite', delegate: 'CPU' },
-                runningMode: 'VIDEO', maxResults: 5
-            });
-            this.models.objects.ready = true; this.updateStatus('object', 'ready', 'Ready');
-        } catch (error) { console.error("Object Detector failed to load:", error); this.updateStatus('object', 'error', 'Error'); } 
-        finally { this.models.objects.loading = false; }
-    }
-    
-    async loadImageSegmenter() {
-        this.models.segmentation.loading = true; this.updateStatus('segmentation', 'loading', 'Loading...');
-        try {
-            const vision = await FilesetResolver.forVisionTasks("https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.12/wasm");
-            this.models.segmentation.instance = await ImageSegmenter.createFromOptions(vision, {
-                baseOptions: { modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/image_segmenter/selfie_multiclass_256x256/float32/latest/selfie_multiclass_256x256.tflite', delegate: 'CPU' },
-                runningMode: 'VIDEO', outputCategoryMask: true,
-            });
-            this.models.segmentation.ready = true; this.updateStatus('segmentation', 'ready', 'Ready');
-        } catch(error) { console.error("Image Segmenter failed to load:", error); this.updateStatus('segmentation', 'error', 'Error'); } 
-        finally { this.models.segmentation.loading = false; }
+    getRecordingModels() {
+        const models = {};
+        if (this.settings.bodyModeEnabled) models.pose = 'pose_landmarker_lite';
+        if (this.settings.handTrackingEnabled) models.hands = 'hand_landmarker';
+        if (this.settings.expression) models.face = 'face_landmarker (blendshapes)';
+        if (this.settings.biomechanicsEnabled && this.settings.recordedAngles.length > 0) {
+            models.angles = this.settings.capture3d ? 'joint angles (3D world landmarks)' : 'joint angles (2D image landmarks)';
+        }
+        if (this.exerciseCounter.exercise) models.exercise = `${this.exerciseCounter.exercise} rep counter (joint angles)`;
+        if (this.settings.gazeEnabled) models.gaze = this.settings.expression ? 'face_landmarker (head matrix + iris)' : 'pose_landmarker (nose, eyes, ears)';
+        if (this.settings.objectDetectionEnabled) models.objects = 'efficientdet_lite0';
+        if (this.segmentationNeeded) models.segmentation = 'selfie_multiclass_256x256';
+        if (this.settings.ocrEnabled) models.ocr = 'tesseract.js eng';
+        return models;
     }
 
     async setupOcr() {
         if (this.models.ocr.instance || this.models.ocr.loading) return;
         this.models.ocr.loading = true; this.updateAllStatusIndicators();
         try {
-            this.tesseractWorker = await Tesseract.createWorker('eng');
+            const { script, options } = this.modelAssets.tesseract;
+            await loadScript(script);
+            this.tesseractWorker = await Tesseract.createWorker('eng', 1, options);
             this.models.ocr.instance = this.tesseractWorker;
             this.models.ocr.ready = true;
+            // Turned off while it was loading
+            if (!this.settings.ocrEnabled) await this.closeOcr();
         } catch (error) {
             console.error("Tesseract.js worker failed to create:", error);
             this.models.ocr.ready = false;
@@ -359,51 +817,31 @@ class MimicaApp {
         }
     }
 
-    async loadFaceAPI() {
-        this.models.face.loading = true; this.updateStatus('expression', 'loading', 'Loading...');
-        try {
-            await faceapi.nets.tinyFaceDetector.loadFromUri('https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model');
-            await faceapi.nets.faceExpressionNet.loadFromUri('https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model');
-            this.models.face.ready = true;
-            this.updateStatus('expression', 'ready', 'Ready');
-        } catch (error) { console.error('face-api.js models failed to load:', error); this.updateStatus('expression', 'error', 'Error'); } 
-        finally { this.models.face.loading = false; }
+    async closeOcr() {
+        const worker = this.models.ocr.instance;
+        this.models.ocr.instance = null;
+        this.models.ocr.ready = false;
+        this.tesseractWorker = null;
+        this.lastOcrResult = null;
+        this.updateAllStatusIndicators();
+        try { await worker.terminate(); }
+        catch (error) { console.warn('Tesseract.js worker did not terminate cleanly:', error); }
     }
-    
+
+    /** Whether the view is mirrored: the live camera follows the setting, video files never are. */
+    get mirrored() { return !this.analysis && this.settings.mirror; }
+
     startAnimation() {
         if (this.animationStarted) return;
         this.animationStarted = true;
         let lastFpsTime = performance.now();
         let frameCount = 0;
         const animate = (now) => {
-            if (this.cameraReady && this.video.readyState >= 3 && this.video.currentTime !== this.lastVideoTime) {
-                const startTimeMs = performance.now();
-                
-                if (this.settings.bodyModeEnabled && this.models.pose.ready) {
-                    const poseResults = this.models.pose.instance.detectForVideo(this.video, startTimeMs);
-                    if (poseResults.landmarks && poseResults.landmarks.length > 0) {
-                        let points = this.mapper.landmarksToPoints(poseResults.landmarks[0], this.canvas.width, this.canvas.height, this.settings.mirror);
-                        const smoothedPoints = this.smoother.smooth(points);
-                        this.pose = this.settings.ik ? this.mapper.applyIK(smoothedPoints) : smoothedPoints;
-                    }
-                } else { this.pose = null; }
+            // While a video file is analyzed it drives inference and the camera is left alone
+            if (!this.analysis && this.cameraReady && this.video.readyState >= 3 && this.video.currentTime !== this.lastVideoTime) {
+                // Inference runs in the worker; until its results arrive the latest ones are drawn and recorded
+                this.inference.submit(this.video, performance.now());
 
-                if (this.settings.handTrackingEnabled && this.models.hands.ready) {
-                    this.lastHandResults = this.models.hands.instance.detectForVideo(this.video, startTimeMs);
-                } else { this.lastHandResults = null; }
-
-                if (this.settings.objectDetectionEnabled && this.models.objects.ready) {
-                    this.lastObjectDetections = this.models.objects.instance.detectForVideo(this.video, startTimeMs);
-                } else { this.lastObjectDetections = null; }
-                
-                if (this.settings.segmentationEnabled && this.models.segmentation.ready) {
-                    this.models.segmentation.instance.segmentForVideo(this.video, startTimeMs, (result) => {
-                        this.lastSegmentationResult = result;
-                    });
-                } else { this.lastSegmentationResult = null; }
-
-                if (this.settings.expression && this.models.face.ready) this.detectExpression();
-                
                 this.updateDataAndRecording();
                 this.lastVideoTime = this.video.currentTime;
             }
@@ -411,23 +849,182 @@ class MimicaApp {
             this.render();
             frameCount++;
             if (now - lastFpsTime >= 1000) {
-                document.getElementById('fps-counter').textContent = `FPS: ${frameCount}`;
-                frameCount = 0; lastFpsTime = now;
+                const inferenceRate = this.inference.active ? ` | Inference: ${this.inferenceCount}` : '';
+                document.getElementById('fps-counter').textContent = `FPS: ${frameCount}${inferenceRate}`;
+                frameCount = 0; this.inferenceCount = 0; lastFpsTime = now;
             }
             requestAnimationFrame(animate);
         };
         requestAnimationFrame(animate);
     }
 
-    async detectExpression() {
-        if (!this.settings.expression || !this.models.face.ready) { this.lastExpression = '--'; return; };
-        const now = performance.now();
-        if (now - (this.lastFaceDetectionTime || 0) < 1000) return;
-        this.lastFaceDetectionTime = now;
-        try {
-            const detections = await faceapi.detectSingleFace(this.video, new faceapi.TinyFaceDetectorOptions()).withFaceExpressions();
-            this.lastExpression = detections ? Object.keys(detections.expressions).reduce((a, b) => detections.expressions[a] > detections.expressions[b] ? a : b) : 'none';
-        } catch (error) { this.lastExpression = 'error'; }
+    handleInferenceResults(rawResults) {
+        this.inferenceCount++;
+        // Low-confidence joints and detections are dropped before smoothing, so they are neither drawn nor recorded
+        const results = applyConfidenceThreshold(rawResults, Number(this.settings.confidence));
+        if (results.pose) {
+            const { landmarks = [], worldLandmarks = [] } = results.pose;
+            const poses = landmarks.map(l => this.mapper.landmarksToPoints(l, this.canvas.width, this.canvas.height, this.mirrored, { depth: this.settings.capture3d }));
+            this.people = this.personTracker.update(poses, results.timestamp).map(({ id, index, state }) => {
+                const smoothedPoints = state.smoother.smooth(poses[index], results.timestamp);
+                const pose = this.settings.ik ? this.mapper.applyIK(smoothedPoints) : smoothedPoints;
+                let poseWorld = null;
+                if (this.settings.capture3d && worldLandmarks[index]) {
+                    const smoothedWorld = state.worldSmoother.smooth(this.mapper.worldLandmarksToPoints(worldLandmarks[index]), results.timestamp);
+                    poseWorld = this.settings.ik ? this.mapper.applyIK(smoothedWorld) : smoothedWorld;
+                }
+                // Recognized once per inference result, on the capture timeline, so display-rate repeats do not skew it
+                return { id, pose, poseWorld, action: state.actionRecognizer.update(pose, results.timestamp) };
+            });
+        } else { this.people = []; }
+        if (this.settings.biomechanicsEnabled) this.updateBiomechanics(results.timestamp);
+        if (this.exerciseCounter.exercise) this.updateExercise(results.timestamp);
+
+        if (this.gestureTrainer.isRecording) {
+            // Samples are taken from the first tracked person
+            if (this.people.length > 0) this.gestureTrainer.recordFrame(this.people[0].pose, results.timestamp);
+            this.updateGestureStatus();
+        }
+
+        if (results.hands) {
+            this.handSmoother.setFrameSize(this.canvas.width, this.canvas.height);
+            this.lastHandResults = this.handSmoother.smooth(results.hands, results.timestamp);
+            this.handGestureRecognizer.setFrameSize(this.canvas.width, this.canvas.height);
+            this.lastHandSigns = this.handGestureRecognizer.update(this.lastHandResults, results.timestamp);
+        } else { this.lastHandResults = null; this.lastHandSigns = []; }
+        this.lastFace = results.face ? this.readFace(results.face, results.timestamp) : null;
+        if (this.settings.gazeEnabled) this.updateGaze(results.timestamp);
+        this.lastObjectDetections = results.objects;
+        this.lastSegmentationResult = results.segmentation;
+    }
+
+    // Only the first face is tracked; its expression is classified on the capture timeline, like the actions
+    readFace({ landmarks, blendshapes, matrices }, timestamp) {
+        if (!landmarks?.length || !blendshapes?.[0]) { this.expressionClassifier.reset(); return null; }
+        const matrix = matrices?.[0] || null;
+        return {
+            landmarks: landmarks[0],
+            blendshapes: blendshapes[0],
+            matrix,
+            headPose: matrix ? headPoseFromMatrix(matrix) : null,
+            expression: this.expressionClassifier.update(blendshapes[0], timestamp)
+        };
+    }
+
+    // Measured on the first tracked person, in 3D when world landmarks are captured; when
+    // someone else becomes the first person, velocities and ranges start afresh
+    updateBiomechanics(timestamp) {
+        const person = this.people[0];
+        if (!person) { this.lastMetrics = null; return; }
+        if (person.id !== this.metricsPersonId) { this.biomechanics.reset(); this.metricsPersonId = person.id; }
+        const angles = person.poseWorld ? computeJointAngles(person.poseWorld, { depth: true }) : computeJointAngles(person.pose);
+        this.lastMetrics = this.biomechanics.update(angles, timestamp);
+    }
+
+    resetBiomechanics() {
+        this.biomechanics.reset();
+        this.lastMetrics = null;
+        this.metricsPersonId = null;
+        this.updateBiomechanicsPanel();
+    }
+
+    /** One row per joint angle, with a checkbox that adds the angle to recordings. */
+    renderBiomechanicsPanel() {
+        const body = document.getElementById('biomechanics-rows');
+        if (!body) return;
+        body.replaceChildren();
+        for (const [name, { label }] of Object.entries(JOINT_ANGLES)) {
+            const row = document.createElement('tr');
+            row.dataset.angle = name;
+            const record = document.createElement('input');
+            record.type = 'checkbox';
+            record.title = 'Add to recordings';
+            record.checked = this.settings.recordedAngles.includes(name);
+            record.addEventListener('change', () => {
+                const chosen = this.settings.recordedAngles.filter(n => n !== name);
+                // Kept in JOINT_ANGLES order
+                this.settings.recordedAngles = Object.keys(JOINT_ANGLES).filter(n => n === name ? record.checked : chosen.includes(n));
+                this.saveSettings();
+                if (this.isRecording) Object.assign(this.recordingModels, this.getRecordingModels());
+            });
+            const cells = [label, '--', '--', '--'].map(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                return cell;
+            });
+            const recordCell = document.createElement('td');
+            recordCell.appendChild(record);
+            row.append(...cells, recordCell);
+            body.appendChild(row);
+        }
+    }
+
+    // Counted on the first tracked person like the joint angles; someone else taking
+    // their place starts the count afresh. Finished reps become rep events.
+    updateExercise(timestamp) {
+        const person = this.people[0];
+        if (!person) { this.exerciseCounter.update(null, timestamp); return; }
+        if (person.id !== this.exercisePersonId) { this.exerciseCounter.reset(); this.exercisePersonId = person.id; }
+        const rep = person.poseWorld ? this.exerciseCounter.update(person.poseWorld, timestamp, { depth: true })
+            : this.exerciseCounter.update(person.pose, timestamp);
+        if (rep) this.addEvents([{ type: 'rep', ...rep, depth: Math.round(rep.depth * 10) / 10 }]);
+    }
+
+    /** What the exercise layer draws, see PoseRenderer.drawExerciseStats. */
+    exerciseStats() {
+        const counter = this.exerciseCounter;
+        return {
+            label: EXERCISES[counter.exercise].label,
+            count: counter.count,
+            phase: counter.phase,
+            cadence: counter.cadence,
+            lastRep: counter.lastRep,
+            issues: (counter.lastRep?.flags || []).map(flag => FORM_ISSUES[flag])
+        };
+    }
+
+    updateBiomechanicsPanel() {
+        const panel = document.getElementById('biomechanics-section');
+        if (!panel?.open) return;
+        const format = (value, unit) => (value === null || value === undefined ? '--' : `${Math.round(value)}${unit}`);
+        for (const row of document.querySelectorAll('#biomechanics-rows tr')) {
+            const metric = this.settings.biomechanicsEnabled ? this.lastMetrics?.[row.dataset.angle] : null;
+            const [, angle, velocity, range] = row.cells;
+            angle.textContent = format(metric?.angle, '°');
+            velocity.textContent = format(metric?.velocity, '°/s');
+            range.textContent = !metric || metric.min === null ? '--' : `${Math.round(metric.min)}–${Math.round(metric.max)}° (${Math.round(metric.range)}°)`;
+        }
+    }
+
+    // From the face mesh when face tracking is on, else from the first person's head
+    updateGaze(timestamp) {
+        const { width, height } = this.canvas;
+        this.lastGaze = estimateGaze({ face: this.lastFace, pose: this.people[0]?.pose, width, height, mirrored: this.mirrored });
+        this.lastGazeTimestamp = timestamp;
+        this.addEvents(this.attentionTracker.update(this.lastGaze ? this.lastGaze.atCamera : null, timestamp));
+    }
+
+    /**
+     * Adds events that ended, timed on the capture timeline, to the recording or file
+     * analysis in progress. Recorded events are timed from the start of the recording.
+     */
+    addEvents(events) {
+        const target = this.analysis ? this.analysis.events : this.isRecording ? this.recordedEvents : null;
+        if (!target) return;
+        const offset = this.analysis ? 0 : this.recordingStartTime;
+        for (const event of events) {
+            if (event.end <= offset) continue;
+            const start = Math.max(0, Math.round(event.start - offset)), end = Math.round(event.end - offset);
+            target.push({ ...event, start, end, duration: end - start });
+        }
+    }
+
+    // Events still going on when a recording or analysis ends are cut off there
+    closeEvents(timestamp) {
+        const attention = this.attentionTracker.ongoing(timestamp);
+        if (attention) this.addEvents([attention]);
+        const events = this.analysis ? this.analysis.events : this.recordedEvents;
+        events.sort((a, b) => a.start - b.start);
     }
 
     async detectText() {
@@ -458,63 +1055,373 @@ class MimicaApp {
     }
 
     updateDataAndRecording() {
-        const actionName = this.pose ? this.actionRecognizer.recognize(this.pose) : "unknown";
-        document.getElementById('action-display').textContent = `Action: ${this.settings.bodyModeEnabled ? actionName : '--'}`;
-        document.getElementById('expression-display').textContent = `Expression: ${this.settings.expression ? this.lastExpression : '--'}`;
+        this.updateDisplays();
+        const streaming = this.liveOutput.connected;
+        if (!this.isRecording && !streaming) return;
+        const now = performance.now();
+        // Built once for both: building a frame consumes the latest OCR result
+        const frame = this.buildFrameData(Math.round(now - (this.isRecording ? this.recordingStartTime : this.liveOutputStartTime)));
+        if (this.isRecording) this.recordedActions.push(frame);
+        if (!streaming) return;
+        // Live frames are timed from when streaming was switched on, also while recording
+        this.liveOutput.send({ ...frame, timestamp: Math.round(now - this.liveOutputStartTime) });
+        if (now - this.lastLiveStatusTime > 1000) this.updateLiveOutputStatus(this.liveOutput.status);
+    }
+
+    /** Starts, restarts or stops the live output to match the settings. */
+    applyLiveOutput() {
+        if (!this.settings.liveOutputEnabled) { this.liveOutput.stop(); return; }
+        try {
+            this.liveOutput.start(this.settings.liveOutputUrl.trim(), this.settings.liveOutputFormat);
+            this.liveOutputStartTime = performance.now();
+        } catch (error) {
+            alert(error.message);
+            this.settings.liveOutputEnabled = false;
+            this.saveSettings();
+            document.getElementById('live-output-toggle').checked = false;
+            this.liveOutput.stop();
+        }
+    }
+
+    updateLiveOutputStatus({ state, attempt, retryInMs, sent, dropped }) {
+        this.lastLiveStatusTime = performance.now();
+        const text = {
+            off: 'Off',
+            connecting: 'Connecting...',
+            reconnecting: `Reconnecting (attempt ${attempt})...`,
+            waiting: `Disconnected, retrying in ${Math.round(retryInMs / 1000)}s`,
+            connected: `Streaming (${sent} sent, ${dropped} dropped)`
+        };
+        const statusEl = document.getElementById('live-output-status');
+        if (statusEl) statusEl.textContent = `Status: ${text[state] || state}`;
+        const display = { off: 'Off', connected: 'On', connecting: '...', reconnecting: '...', waiting: 'Retrying' };
+        document.getElementById('live-output-display').textContent = `Live: ${display[state] || state}`;
+    }
+
+    updateDisplays() {
+        const people = this.settings.bodyModeEnabled ? this.people : [];
+        const describe = ({ action, confidence }) => `${action} (${Math.round(confidence * 100)}%)`;
+        const actions = people.length > 1 ? people.map(p => `#${p.id} ${describe(p.action)}`).join(', ')
+            : describe(people[0]?.action || { action: 'unknown', confidence: 0 });
+        document.getElementById('action-display').textContent = `Action: ${this.settings.bodyModeEnabled ? actions : '--'}`;
+        const handSigns = this.lastHandSigns.filter(h => h.sign).map(h => `${h.hand || '?'} ${h.sign}`).join(', ') || '--';
+        document.getElementById('hand-sign-display').textContent = `Hands: ${this.settings.handTrackingEnabled ? handSigns : '--'}`;
+        const expression = this.lastFace ? describe({ action: this.lastFace.expression.expression, confidence: this.lastFace.expression.confidence }) : 'none';
+        document.getElementById('expression-display').textContent = `Expression: ${this.settings.expression ? expression : '--'}`;
+        const attention = this.attentionTracker.ongoing(this.lastGazeTimestamp);
+        const gaze = this.lastGaze ? `${this.lastGaze.region}${attention ? ` (${attention.type === 'looking_at_camera' ? 'at camera' : 'away'} ${(attention.duration / 1000).toFixed(1)}s)` : ''}` : 'none';
+        document.getElementById('gaze-display').textContent = `Gaze: ${this.settings.gazeEnabled ? gaze : '--'}`;
+        this.updateBiomechanicsPanel();
         const objectNames = this.lastObjectDetections?.detections.map(d => d.categories[0].categoryName).join(', ') || '--';
         document.getElementById('objects-display').textContent = `Objects: ${this.settings.objectDetectionEnabled ? objectNames : '--'}`;
         const ocrText = this.lastOcrResult?.text.trim().substring(0, 20) || '--';
         document.getElementById('ocr-display').textContent = `OCR: ${ocrText}`;
+    }
 
-        if (this.isRecording) {
-            const frameData = {
-                timestamp: Math.round(performance.now() - this.recordingStartTime),
-                action: this.settings.bodyModeEnabled ? actionName : null,
-                expression: this.settings.expression ? this.lastExpression : null,
-                pose: this.settings.bodyModeEnabled && this.pose ? this.pose.map(p => p ? {x: Math.round(p.x), y: Math.round(p.y)} : null) : null,
-                hands: this.settings.handTrackingEnabled && this.lastHandResults ? this.lastHandResults.landmarks : null,
-                objects: this.settings.objectDetectionEnabled && this.lastObjectDetections ? this.lastObjectDetections.detections.map(d => ({ label: d.categories[0].categoryName, score: d.categories[0].score, box: d.boundingBox })) : null,
-            };
-            if (this.lastOcrResult) {
-                frameData.ocr = this.lastOcrResult.words.map(w => ({ text: w.text, confidence: w.confidence, bbox: w.bbox }));
-                this.lastOcrResult = null;
-            }
-            this.recordedActions.push(frameData);
+    /** One recording frame (see recording-schema.js) from the latest results. */
+    buildFrameData(timestamp) {
+        const people = this.settings.bodyModeEnabled ? this.people : [];
+        const recordedPeople = people.map(person => ({
+            id: person.id,
+            action: person.action.action,
+            actionConfidence: Math.round(person.action.confidence * 100) / 100,
+            pose: poseToRecordingSpace(person.pose, this.canvas.width, this.canvas.height, this.mirrored),
+            poseWorld: this.settings.capture3d && person.poseWorld ? worldPoseToRecordingSpace(person.poseWorld) : null
+        }));
+        const first = recordedPeople[0];
+        const frameData = {
+            timestamp,
+            action: this.settings.bodyModeEnabled ? (first?.action ?? 'unknown') : null,
+            actionConfidence: this.settings.bodyModeEnabled ? (first?.actionConfidence ?? 0) : null,
+            expression: this.settings.expression ? (this.lastFace?.expression.expression ?? 'none') : null,
+            expressionConfidence: this.settings.expression ? Math.round((this.lastFace?.expression.confidence ?? 0) * 100) / 100 : null,
+            face: this.settings.expression ? faceToRecordingSpace(this.lastFace) : null,
+            gaze: this.settings.gazeEnabled ? gazeToRecordingSpace(this.lastGaze) : null,
+            pose: first ? first.pose : null,
+            poseWorld: first ? first.poseWorld : null,
+            people: this.settings.bodyModeEnabled ? recordedPeople : null,
+            hands: this.settings.handTrackingEnabled && this.lastHandResults ? this.lastHandResults.landmarks : null,
+            handSigns: this.settings.handTrackingEnabled ? this.lastHandSigns : null,
+            objects: this.settings.objectDetectionEnabled && this.lastObjectDetections ? this.lastObjectDetections.detections.map(d => ({ label: d.categories[0].categoryName, score: d.categories[0].score, box: d.boundingBox })) : null,
+        };
+        if (this.settings.biomechanicsEnabled && this.settings.recordedAngles.length > 0) {
+            frameData.angles = anglesToRecording(this.lastMetrics, this.settings.recordedAngles);
+        }
+        if (this.lastOcrResult) {
+            frameData.ocr = this.lastOcrResult.words.map(w => ({ text: w.text, confidence: w.confidence, bbox: w.bbox }));
+            this.lastOcrResult = null;
         }
+        return frameData;
     }
 
-    render() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        if ((!this.isRecording || this.settings.recordBackground) && this.cameraReady) {
-            this.ctx.save();
-            if (this.settings.mirror) { this.ctx.scale(-1, 1); this.ctx.translate(-this.canvas.width, 0); }
-            this.ctx.globalAlpha = 0.3;
-            this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
-            this.ctx.restore();
+    /**
+     * Runs the enabled models over every frame of a video file and offers the result as
+     * a recording. The camera view is paused meanwhile; results use the file's timeline.
+     */
+    async analyzeVideoFile(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file || this.analysis) return;
+        if (!this.inference.active) {
+            alert("Please enable at least one model in the Config section first.");
+            return;
         }
-        
-        this.ctx.globalAlpha = 1.0;
-        if (this.settings.segmentationEnabled && this.lastSegmentationResult) {
-            this.renderer.drawImageSegmentation(this.lastSegmentationResult, this.settings.mirror);
+        if (this.isRecording) this.stopRecording();
+
+        const statusEl = document.getElementById('analysis-status');
+        const progressEl = document.getElementById('analysis-progress');
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.src = URL.createObjectURL(file);
+        try {
+            await new Promise((resolve, reject) => {
+                video.onloadeddata = resolve;
+                video.onerror = () => reject(new Error(`${file.name} cannot be played by this browser.`));
+            });
+            statusEl.textContent = 'Status: Measuring frame rate...';
+            const frameRate = await estimateFrameRate(video);
+            const analyzer = new VideoFileAnalyzer({
+                duration: video.duration, frameRate,
+                seek: seconds => seekVideo(video, seconds),
+                analyze: mediaTime => this.analyzeVideoFrame(video, mediaTime),
+                onProgress: ({ done, total, fraction, etaMs }) => {
+                    progressEl.value = fraction;
+                    const eta = etaMs === null ? '--' : `${Math.floor(etaMs / 60000)}:${String(Math.round(etaMs / 1000) % 60).padStart(2, '0')}`;
+                    statusEl.textContent = `Status: ${Math.round(fraction * 100)}% (${done}/${total} frames, ETA ${eta})`;
+                }
+            });
+            this.analysis = { video, analyzer, frames: [], events: [], models: this.getRecordingModels() };
+            this.beginAnalysis(video);
+            progressEl.style.display = '';
+            document.getElementById('analysis-cancel-btn').style.display = '';
+            statusEl.textContent = 'Status: Starting...';
+
+            const finished = await analyzer.run();
+            this.closeEvents(this.analysis.frames.at(-1)?.timestamp ?? 0);
+            const jsonData = this.recordingData(createMetadata({
+                durationMs: Math.round(video.duration * 1000), width: video.videoWidth, height: video.videoHeight,
+                mirrored: false, models: this.analysis.models, source: file.name
+            }), this.analysis.frames, this.analysis.events);
+            if (finished) this.offerDownloads(jsonData, null);
+            statusEl.textContent = finished ? `Status: Done (${jsonData.frames.length} frames)` : 'Status: Cancelled';
+        } catch (error) {
+            console.error('Video analysis failed:', error);
+            statusEl.textContent = 'Status: Error';
+            alert(error.message);
+        } finally {
+            this.endAnalysis();
+            URL.revokeObjectURL(video.src);
+            progressEl.style.display = 'none';
+            document.getElementById('analysis-cancel-btn').style.display = 'none';
+        }
+    }
+
+    async analyzeVideoFrame(video, mediaTime) {
+        const timestamp = mediaTime * 1000;
+        // Models switched on mid-analysis are listed too
+        Object.assign(this.analysis.models, this.getRecordingModels());
+        if (this.inference.active) await this.inference.process(video, timestamp);
+        this.updateDisplays();
+        this.analysis.frames.push(this.buildFrameData(Math.round(timestamp)));
+    }
+
+    // Results from the two timelines must not mix, so tracking starts afresh on each switch
+    resetTrackingState() {
+        this.resetPeople();
+        this.handSmoother.reset(); this.handGestureRecognizer.reset();
+        this.lastHandResults = null; this.lastHandSigns = [];
+        this.lastObjectDetections = null; this.lastSegmentationResult = null; this.lastOcrResult = null;
+        this.lastFace = null; this.expressionClassifier.reset();
+        this.lastGaze = null; this.attentionTracker.reset();
+        this.biomechanics.reset(); this.lastMetrics = null; this.metricsPersonId = null;
+        this.exerciseCounter.reset(); this.exercisePersonId = null;
+    }
+
+    beginAnalysis(video) {
+        this.resetTrackingState();
+        this.canvas.width = video.videoWidth;
+        this.canvas.height = video.videoHeight;
+    }
+
+    endAnalysis() {
+        this.analysis = null;
+        this.resetTrackingState();
+        if (this.cameraReady) {
+            this.canvas.width = this.video.videoWidth;
+            this.canvas.height = this.video.videoHeight;
         }
-        if (this.settings.bodyModeEnabled && this.pose) {
+        this.lastVideoTime = -1;
+    }
+
+    render() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        const source = this.analysis ? this.analysis.video : this.video;
+        const showVideo = (this.analysis || this.cameraReady) && (!this.isRecording || this.settings.recordBackground);
+        this.compositor.compose(this.settings.layers, {
+            video: showVideo && (() => this.compositor.drawVideo(source, {
+                mirrored: this.mirrored,
+                segmentation: this.lastSegmentationResult,
+                background: this.backgroundOptions,
+                effects: this.mattingEffects
+            })),
+            segmentation: this.settings.segmentationEnabled && this.lastSegmentationResult
+                && (() => this.renderer.drawImageSegmentation(this.lastSegmentationResult, this.mirrored)),
+            character: this.settings.bodyModeEnabled && (() => this.drawCharacters()),
+            face: this.settings.expression && this.lastFace
+                && (() => this.renderer.drawFaceLandmarks([this.lastFace.landmarks], this.mirrored)),
+            gaze: this.settings.gazeEnabled && this.lastGaze && (() => this.renderer.drawGazeArrow(this.lastGaze, this.mirrored)),
+            hands: this.settings.handTrackingEnabled && this.lastHandResults
+                && (() => this.renderer.drawHandLandmarks(this.lastHandResults.landmarks, this.mirrored)),
+            objects: this.settings.objectDetectionEnabled && this.lastObjectDetections
+                && (() => this.renderer.drawObjectDetections(this.lastObjectDetections.detections, this.mirrored)),
+            exercise: this.exerciseCounter.exercise && (() => this.renderer.drawExerciseStats(this.exerciseStats())),
+            ocr: this.lastOcrResult && (() => this.renderer.drawOcrResults(this.lastOcrResult, this.mirrored))
+        });
+    }
+
+    drawCharacters() {
+        // With more than one person allowed, each gets their own color and an ID label
+        const multiPerson = Number(this.settings.maxPeople) > 1;
+        for (const { id, pose } of this.people) {
+            const color = multiPerson ? this.renderer.personColor(id) : undefined;
             switch (this.settings.characterMode) {
-                case 'skeleton': this.renderer.drawSkeleton(this.pose); break;
-                case 'filled': this.renderer.drawFilledCharacter(this.pose); break;
-                case 'blocky': this.renderer.drawBlockyCharacter(this.pose); break;
+                case 'skeleton': this.renderer.drawSkeleton(pose, color); break;
+                case 'filled': this.renderer.drawFilledCharacter(pose, color); break;
+                case 'blocky': this.renderer.drawBlockyCharacter(pose, color); break;
             }
+            if (multiPerson) this.renderer.drawPersonLabel(pose, id, color);
+        }
+    }
+
+    get backgroundOptions() {
+        const { backgroundMode: mode, backgroundColor: color, backgroundBlur } = this.settings;
+        return { mode, color, image: this.backgroundMedia, blur: Number(backgroundBlur) };
+    }
+
+    get mattingEffects() {
+        const { matteFeather, hairColor, hairStrength, clothesColor, clothesStrength } = this.settings;
+        return { feather: Number(matteFeather), hairColor, hairStrength: Number(hairStrength), clothesColor, clothesStrength: Number(clothesStrength) };
+    }
+
+    get segmentationNeeded() { return this.settings.segmentationEnabled || mattingActive(this.backgroundOptions, this.mattingEffects); }
+
+    /** One row per layer, top of the stack first: visibility, opacity and order. */
+    renderLayerControls() {
+        const list = document.getElementById('layer-list');
+        if (!list) return;
+        list.replaceChildren();
+        const layers = this.settings.layers;
+        [...layers].reverse().forEach((layer, row) => {
+            const el = document.createElement('div');
+            el.className = 'layer-row';
+            const label = document.createElement('label');
+            const visible = document.createElement('input');
+            visible.type = 'checkbox';
+            visible.checked = layer.visible;
+            visible.addEventListener('change', () => this.updateLayers(layers.map(l => l.id === layer.id ? { ...l, visible: visible.checked } : l)));
+            label.append(visible, ` ${LAYERS.find(l => l.id === layer.id).label}`);
+            const opacity = document.createElement('input');
+            opacity.type = 'range';
+            opacity.min = 0; opacity.max = 1; opacity.step = 0.05;
+            opacity.value = layer.opacity;
+            opacity.title = 'Opacity';
+            opacity.addEventListener('change', () => this.updateLayers(layers.map(l => l.id === layer.id ? { ...l, opacity: Number(opacity.value) } : l)));
+            const button = (text, title, delta, disabled) => {
+                const btn = document.createElement('button');
+                btn.className = 'btn btn-secondary';
+                btn.textContent = text;
+                btn.title = title;
+                btn.disabled = disabled;
+                btn.addEventListener('click', () => this.updateLayers(moveLayer(layers, layer.id, delta)));
+                return btn;
+            };
+            el.append(label, opacity, button('▲', 'Move up', 1, row === 0), button('▼', 'Move down', -1, row === layers.length - 1));
+            list.appendChild(el);
+        });
+    }
+
+    updateLayers(layers) {
+        this.settings.layers = layers;
+        this.saveSettings();
+        this.renderLayerControls();
+    }
+
+    /** Loads the background image or video from its URL, or from the file picked this session. */
+    loadBackgroundMedia() {
+        const statusEl = document.getElementById('background-image-status');
+        const url = this.backgroundFile?.url || this.settings.backgroundImageUrl.trim();
+        if (this.settings.backgroundMode !== 'image' || !url) {
+            if (statusEl) statusEl.textContent = url ? 'Background: Not Used' : 'Background: None';
+            this.backgroundMedia?.pause?.();
+            return;
         }
-        if (this.settings.handTrackingEnabled && this.lastHandResults) {
-            this.renderer.drawHandLandmarks(this.lastHandResults.landmarks, this.settings.mirror);
+        if (this.backgroundMedia?.dataset.url === url) {
+            this.backgroundMedia.play?.().catch(() => {});
+            return;
         }
-        if (this.settings.objectDetectionEnabled && this.lastObjectDetections) {
-            this.renderer.drawObjectDetections(this.lastObjectDetections.detections, this.settings.mirror);
+        this.backgroundMedia?.pause?.();
+        const isVideo = this.backgroundFile ? this.backgroundFile.isVideo : /\.(mp4|webm|mov|m4v|ogv)([?#]|$)/i.test(url);
+        const media = isVideo ? document.createElement('video') : new Image();
+        // Without CORS media from another site would taint the canvas and stop recording
+        media.crossOrigin = 'anonymous';
+        media.dataset.url = url;
+        const loaded = () => {
+            if (media.dataset.url !== (this.backgroundFile?.url || this.settings.backgroundImageUrl.trim())) return;
+            this.backgroundMedia = media;
+            const [width, height] = isVideo ? [media.videoWidth, media.videoHeight] : [media.naturalWidth, media.naturalHeight];
+            if (statusEl) statusEl.textContent = `Background: ${isVideo ? 'Video' : 'Image'} Loaded (${width}×${height})`;
+        };
+        media.onerror = () => {
+            if (statusEl) statusEl.textContent = 'Background: Could not load (check the URL and that it allows CORS)';
+        };
+        if (isVideo) {
+            Object.assign(media, { muted: true, loop: true, playsInline: true });
+            media.onloadeddata = () => { loaded(); media.play().catch(() => {}); };
+        } else {
+            media.onload = loaded;
         }
-        if (this.lastOcrResult) {
-            this.renderer.drawOcrResults(this.lastOcrResult, this.settings.mirror);
+        if (statusEl) statusEl.textContent = 'Background: Loading...';
+        media.src = url;
+    }
+
+    // A picked file is not saved with the settings; it lasts until the page is closed
+    loadBackgroundFile(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+        if (this.backgroundFile) URL.revokeObjectURL(this.backgroundFile.url);
+        this.backgroundFile = { url: URL.createObjectURL(file), isVideo: file.type.startsWith('video/') };
+        if (this.settings.backgroundMode !== 'image') {
+            this.settings.backgroundMode = 'image';
+            this.saveSettings();
+            document.getElementById('background-mode-select').value = 'image';
+            this.loadEnabledModels();
         }
+        this.loadBackgroundMedia();
     }
-    
+
+    /** The clean output view with the current settings; camera and gesture data stay local. */
+    outputUrl() {
+        const { trainedGestures, customRules, selectedCameraId, liveOutputEnabled, ...config } = this.settings;
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('output', '1');
+        url.searchParams.set('config', JSON.stringify(config));
+        return url.href;
+    }
+
+    async copyOutputUrl() {
+        const url = this.outputUrl();
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('Clean output URL copied. Add it in OBS as a Browser Source.');
+        } catch {
+            prompt('Copy the clean output URL:', url);
+        }
+    }
+
     showError(message) {
         const errorDiv = document.getElementById('error-message');
         const refreshBtn = document.getElementById('refresh-btn');
@@ -0,0 +1,135 @@
+/**
+ * MIMICA - Biomechanics
+ * Joint angles from pose landmarks, with their angular velocity and the range of
+ * motion seen over a session.
+ *
+ * Angles are in degrees. Elbows, knees and hips are the angle inside the joint, 180
+ * when the limb is straight. Shoulders are the angle between the trunk and the upper
+ * arm, 0 with the arm at the side and 180 straight overhead. Trunk lean is the angle
+ * between the trunk (hips to shoulders) and vertical, 0 when upright.
+ * With world landmarks (3D capture) angles are measured in 3D; from image landmarks
+ * they are the angles as seen by the camera, which is only true for movement across
+ * the image, not toward the camera.
+ */
+
+// MediaPipe pose landmarks: [first, joint, last] of the angle at `joint`
+export const JOINT_ANGLES = {
+    leftElbow: { label: 'Left Elbow', points: [11, 13, 15] },
+    rightElbow: { label: 'Right Elbow', points: [12, 14, 16] },
+    leftShoulder: { label: 'Left Shoulder', points: [23, 11, 13] },
+    rightShoulder: { label: 'Right Shoulder', points: [24, 12, 14] },
+    leftHip: { label: 'Left Hip', points: [11, 23, 25] },
+    rightHip: { label: 'Right Hip', points: [12, 24, 26] },
+    leftKnee: { label: 'Left Knee', points: [23, 25, 27] },
+    rightKnee: { label: 'Right Knee', points: [24, 26, 28] },
+    trunkLean: { label: 'Trunk Lean' }
+};
+
+const SHOULDERS = [11, 12];
+const HIPS = [23, 24];
+const DEGREES = 180 / Math.PI;
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: (a.z ?? 0) - (b.z ?? 0) });
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: ((a.z ?? 0) + (b.z ?? 0)) / 2 });
+
+function angleBetween(u, v) {
+    const magnitude = Math.hypot(u.x, u.y, u.z) * Math.hypot(v.x, v.y, v.z);
+    if (magnitude < 1e-12) return null;
+    return Math.acos(Math.max(-1, Math.min(1, (u.x * v.x + u.y * v.y + u.z * v.z) / magnitude))) * DEGREES;
+}
+
+/**
+ * @param {Array<{x: number, y: number, z?: number}|null>} points - 33 pose landmarks, either
+ *     image points (x and y in the same units; z is ignored) or world landmarks.
+ * @param {object} [options]
+ * @param {boolean} [options.depth] - Use z; for world landmarks.
+ * @returns {Object<string, number|null>} Every JOINT_ANGLES angle, null where a landmark is missing.
+ */
+export function computeJointAngles(points, { depth = false } = {}) {
+    const at = i => {
+        const p = points?.[i];
+        return p ? { x: p.x, y: p.y, z: depth ? (p.z ?? 0) : 0 } : null;
+    };
+    const angles = {};
+    for (const [name, { points: indices }] of Object.entries(JOINT_ANGLES)) {
+        if (!indices) continue;
+        const [a, joint, c] = indices.map(at);
+        angles[name] = a && joint && c ? angleBetween(sub(a, joint), sub(c, joint)) : null;
+    }
+    const [ls, rs, lh, rh] = [...SHOULDERS, ...HIPS].map(at);
+    // Image and world y both point down, so "up" is -y
+    angles.trunkLean = ls && rs && lh && rh ? angleBetween(sub(midpoint(ls, rs), midpoint(lh, rh)), { x: 0, y: -1, z: 0 }) : null;
+    return angles;
+}
+
+/**
+ * Follows joint angles over time: the angular velocity of each (smoothed, since
+ * landmark jitter is amplified by differencing) and its range of motion.
+ */
+export class BiomechanicsTracker {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.smoothingMs] - Time constant of the velocity smoothing.
+     * @param {number} [options.maxGapMs] - Longer gaps between readings restart the velocity.
+     */
+    constructor({ smoothingMs = 100, maxGapMs = 500 } = {}) {
+        this.smoothingMs = smoothingMs;
+        this.maxGapMs = maxGapMs;
+        this.reset();
+    }
+
+    /** Clears the velocities and the ranges of motion. */
+    reset() {
+        this.state = {};
+    }
+
+    /**
+     * @param {Object<string, number|null>} angles - From computeJointAngles.
+     * @param {number} timestamp - ms.
+     * @returns {Object<string, {angle: number|null, velocity: number|null, min: number|null, max: number|null, range: number}>}
+     *     velocity in degrees per second, positive while the angle grows.
+     */
+    update(angles, timestamp) {
+        const metrics = {};
+        for (const [name, angle] of Object.entries(angles)) {
+            const state = this.state[name] ??= { min: null, max: null, last: null, velocity: null };
+            if (angle === null) {
+                state.last = null;
+                state.velocity = null;
+            } else {
+                const elapsed = state.last ? timestamp - state.last.timestamp : Infinity;
+                if (elapsed > 0 && elapsed <= this.maxGapMs) {
+                    const velocity = (angle - state.last.angle) / elapsed * 1000;
+                    const alpha = 1 - Math.exp(-elapsed / this.smoothingMs);
+                    state.velocity = state.velocity === null ? velocity : state.velocity + alpha * (velocity - state.velocity);
+                } else if (elapsed !== 0) {
+                    state.velocity = null;
+                }
+                state.last = { angle, timestamp };
+                state.min = state.min === null ? angle : Math.min(state.min, angle);
+                state.max = state.max === null ? angle : Math.max(state.max, angle);
+            }
+            metrics[name] = { angle, velocity: state.velocity, min: state.min, max: state.max, range: state.min === null ? 0 : state.max - state.min };
+        }
+        return metrics;
+    }
+}
+
+/**
+ * The range of motion of each recorded angle over a recording's frames.
+ * @param {Array<{angles?: Object<string, {angle: number|null}>}>} frames
+ * @returns {Object<string, {min: number, max: number, range: number}>}
+ */
+export function rangeOfMotion(frames) {
+    const ranges = {};
+    for (const frame of frames) {
+        for (const [name, { angle }] of Object.entries(frame.angles || {})) {
+            if (typeof angle !== 'number') continue;
+            const range = ranges[name] ??= { min: angle, max: angle, range: 0 };
+            range.min = Math.min(range.min, angle);
+            range.max = Math.max(range.max, angle);
+            range.range = range.max - range.min;
+        }
+    }
+    return ranges;
+}
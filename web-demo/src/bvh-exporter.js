@@ -0,0 +1,296 @@
+/**
+ * MIMICA - BVH Exporter
+ * Converts a recording's pose frames into a BVH skeleton with per-frame joint rotations.
+ *
+ * The rest pose is a T-pose (Y up, character facing +Z, character's left on +X) with
+ * bone lengths averaged over the recording. Limb chains are derived from
+ * PoseMapper.joints and PoseRenderer.POSE_CONNECTIONS. Recordings made with 3D capture
+ * use `poseWorld` (units: centimeters); otherwise `pose` is scaled to source pixels.
+ */
+
+import { PoseMapper } from './mapper.js';
+import { PoseRenderer } from './renderer.js';
+import { parseResolution } from './recording-schema.js';
+
+const TORSO_JOINTS = ['leftShoulder', 'rightShoulder', 'leftHip', 'rightHip'];
+const RAD_TO_DEG = 180 / Math.PI;
+
+// --- 3x3 rotation helpers (row-major arrays) ---
+
+const IDENTITY = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: (a.z + b.z) / 2 });
+const len = v => Math.hypot(v.x, v.y, v.z);
+const unit = v => { const l = len(v); return l > 1e-9 ? { x: v.x / l, y: v.y / l, z: v.z / l } : null; };
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const transpose = m => [0, 1, 2].map(i => [0, 1, 2].map(j => m[j][i]));
+const matMul = (a, b) => [0, 1, 2].map(i => [0, 1, 2].map(j => a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j]));
+const apply = (m, v) => ({
+    x: m[0][0] * v.x + m[0][1] * v.y + m[0][2] * v.z,
+    y: m[1][0] * v.x + m[1][1] * v.y + m[1][2] * v.z,
+    z: m[2][0] * v.x + m[2][1] * v.y + m[2][2] * v.z
+});
+
+// Rotation about a unit axis (Rodrigues)
+function axisAngle(axis, angle) {
+    const c = Math.cos(angle), s = Math.sin(angle), t = 1 - c;
+    const { x, y, z } = axis;
+    return [
+        [t * x * x + c, t * x * y - s * z, t * x * z + s * y],
+        [t * x * y + s * z, t * y * y + c, t * y * z - s * x],
+        [t * x * z - s * y, t * y * z + s * x, t * z * z + c]
+    ];
+}
+
+// Shortest rotation taking unit vector `from` onto unit vector `to`
+function swing(from, to) {
+    const axis = cross(from, to);
+    const cos = Math.max(-1, Math.min(1, dot(from, to)));
+    if (len(axis) < 1e-9) {
+        if (cos > 0) return IDENTITY;
+        const perpendicular = unit(cross(from, Math.abs(from.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 1, z: 0 }));
+        return axisAngle(perpendicular, Math.PI);
+    }
+    return axisAngle(unit(axis), Math.acos(cos));
+}
+
+// Orientation whose X axis follows `side` and whose Y axis is as close to `up` as possible
+function basis(side, up) {
+    const x = unit(side);
+    const z = x && unit(cross(x, up));
+    if (!z) return null;
+    const y = cross(z, x);
+    return [[x.x, y.x, z.x], [x.y, y.y, z.y], [x.z, y.z, z.z]];
+}
+
+// Decomposes R = Rz * Rx * Ry, matching the "Zrotation Xrotation Yrotation" channel order
+function toEulerZXY(m) {
+    const x = Math.asin(Math.max(-1, Math.min(1, m[2][1])));
+    let z, y;
+    if (Math.abs(m[2][1]) < 0.99999) {
+        z = Math.atan2(-m[0][1], m[1][1]);
+        y = Math.atan2(-m[2][0], m[2][2]);
+    } else {
+        z = Math.atan2(m[1][0], m[0][0]);
+        y = 0;
+    }
+    return [z * RAD_TO_DEG, x * RAD_TO_DEG, y * RAD_TO_DEG];
+}
+
+const capitalize = name => name.charAt(0).toUpperCase() + name.slice(1);
+
+export class BvhExporter {
+    constructor({ fps = 30 } = {}) {
+        this.fps = fps;
+        this.joints = new PoseMapper().joints;
+        this.hierarchy = this.buildHierarchy();
+    }
+
+    /**
+     * Follows POSE_CONNECTIONS outward from a torso joint, through landmarks named in
+     * PoseMapper.joints, e.g. leftShoulder -> leftElbow -> leftWrist.
+     */
+    traceChain(startName) {
+        const names = Object.fromEntries(Object.entries(this.joints).map(([name, index]) => [index, name]));
+        const torso = new Set(TORSO_JOINTS.map(name => this.joints[name]));
+        const chain = [this.joints[startName]];
+        let current = chain[0];
+        for (;;) {
+            const next = PoseRenderer.POSE_CONNECTIONS
+                .map(([a, b]) => (a === current ? b : b === current ? a : null))
+                .find(index => index !== null && names[index] && !torso.has(index) && !chain.includes(index));
+            if (next === undefined) break;
+            chain.push(next);
+            current = next;
+        }
+        return chain.map(index => ({ name: names[index], index }));
+    }
+
+    buildHierarchy() {
+        const limb = (startName, restDir) => {
+            const chain = this.traceChain(startName);
+            // Every chain member except the last is a rotating joint; the last is its End Site
+            const nodes = chain.slice(0, -1).map((joint, i) => ({
+                name: capitalize(joint.name), index: joint.index, aim: chain[i + 1].index, restDir, children: []
+            }));
+            for (let i = 0; i < nodes.length - 1; i++) nodes[i].children.push(nodes[i + 1]);
+            nodes[nodes.length - 1].endSite = true;
+            return nodes[0];
+        };
+        const side = name => (name.startsWith('left') ? 1 : -1);
+        const down = { x: 0, y: -1, z: 0 };
+
+        const neck = { name: 'Neck', virtual: 'chest', aim: this.joints.nose, restDir: { x: 0, y: 1, z: 0 }, children: [], endSite: true };
+        const chest = {
+            name: 'Chest', virtual: 'chest', orientation: 'shoulders', children: [
+                limb('leftShoulder', { x: side('left'), y: 0, z: 0 }),
+                limb('rightShoulder', { x: side('right'), y: 0, z: 0 }),
+                neck
+            ]
+        };
+        return {
+            name: 'Hips', virtual: 'hips', orientation: 'hips', root: true, children: [
+                limb('leftHip', down),
+                limb('rightHip', down),
+                chest
+            ]
+        };
+    }
+
+    // --- Input conversion ---
+
+    /** Picks the 3D world pose when the recording has one, else the normalized 2D pose. */
+    extractPoses(recording) {
+        const useWorld = recording.frames.some(f => Array.isArray(f.poseWorld));
+        const resolution = parseResolution(recording.metadata.sourceResolution) || { width: 1, height: 1 };
+        // Camera space (x right, y down, z away) to BVH space (Y up, facing +Z) is a 180° turn about X
+        const toBvh = useWorld
+            ? p => ({ x: p.x * 100, y: -p.y * 100, z: -p.z * 100 })
+            : p => ({ x: p.x * resolution.width, y: -p.y * resolution.height, z: -(p.z || 0) * resolution.width });
+        const key = useWorld ? 'poseWorld' : 'pose';
+        return recording.frames
+            .filter(f => Array.isArray(f[key]))
+            .map(f => ({ timestamp: f.timestamp, points: f[key].map(p => (p ? toBvh(p) : null)) }));
+    }
+
+    resample(poses) {
+        const frameTime = 1000 / this.fps;
+        const start = poses[0].timestamp;
+        const end = poses[poses.length - 1].timestamp;
+        const count = Math.round((end - start) / frameTime) + 1;
+        const result = [];
+        let i = 0;
+        for (let n = 0; n < count; n++) {
+            const t = Math.min(end, start + n * frameTime);
+            while (i < poses.length - 2 && poses[i + 1].timestamp <= t) i++;
+            const a = poses[i], b = poses[Math.min(i + 1, poses.length - 1)];
+            const span = b.timestamp - a.timestamp;
+            const k = span > 0 ? Math.max(0, Math.min(1, (t - a.timestamp) / span)) : 0;
+            result.push(a.points.map((p, j) => PoseMapper.lerpPoint(p, b.points[j], k)));
+        }
+        return result;
+    }
+
+    position(points, node) {
+        const { leftHip, rightHip, leftShoulder, rightShoulder } = this.joints;
+        if (node.virtual === 'hips') return points[leftHip] && points[rightHip] ? mid(points[leftHip], points[rightHip]) : null;
+        if (node.virtual === 'chest') return points[leftShoulder] && points[rightShoulder] ? mid(points[leftShoulder], points[rightShoulder]) : null;
+        return points[node.index] || null;
+    }
+
+    // --- Rest pose ---
+
+    averageLength(frames, getA, getB) {
+        let total = 0, count = 0;
+        for (const points of frames) {
+            const a = getA(points), b = getB(points);
+            if (a && b) { total += len(sub(b, a)); count++; }
+        }
+        return count > 0 ? total / count : 0;
+    }
+
+    computeOffsets(frames, node, parent = null) {
+        const aimPoint = points => points[node.aim] || null;
+        const here = points => this.position(points, node);
+        const there = parent ? points => this.position(points, parent) : null;
+
+        if (node.root) {
+            node.offset = { x: 0, y: 0, z: 0 };
+        } else if (node.virtual === 'chest' && parent.virtual === 'chest') {
+            node.offset = { x: 0, y: 0, z: 0 };
+        } else if (node.virtual === 'chest') {
+            node.offset = { x: 0, y: this.averageLength(frames, there, here), z: 0 };
+        } else if (parent.restDir) {
+            const l = this.averageLength(frames, there, here);
+            node.offset = { x: parent.restDir.x * l, y: parent.restDir.y * l, z: parent.restDir.z * l };
+        } else {
+            // First joint of a limb hangs sideways off the hips or chest
+            const l = this.averageLength(frames, there, here);
+            const sideSign = node.name.startsWith('Left') ? 1 : -1;
+            node.offset = { x: sideSign * l, y: 0, z: 0 };
+        }
+
+        if (node.endSite) {
+            const l = this.averageLength(frames, here, aimPoint);
+            node.endOffset = { x: node.restDir.x * l, y: node.restDir.y * l, z: node.restDir.z * l };
+        }
+        node.children.forEach(child => this.computeOffsets(frames, child, node));
+    }
+
+    // --- Per-frame rotations ---
+
+    worldOrientation(points, node) {
+        const { leftHip, rightHip, leftShoulder, rightShoulder } = this.joints;
+        const hips = this.position(points, { virtual: 'hips' });
+        const chest = this.position(points, { virtual: 'chest' });
+        if (!hips || !chest) return null;
+        const up = sub(chest, hips);
+        if (node.orientation === 'hips') return basis(sub(points[leftHip], points[rightHip]), up);
+        return basis(sub(points[leftShoulder], points[rightShoulder]), up);
+    }
+
+    collectRotations(points, node, parentWorld, previous, out) {
+        let world = null;
+        if (node.orientation) {
+            world = this.worldOrientation(points, node);
+        } else {
+            const from = this.position(points, node);
+            const to = points[node.aim];
+            const direction = from && to ? unit(sub(to, from)) : null;
+            if (direction) world = matMul(parentWorld, swing(node.restDir, apply(transpose(parentWorld), direction)));
+        }
+        // Hold the last known rotation when landmarks are missing this frame
+        const local = world ? matMul(transpose(parentWorld), world) : (previous.get(node.name) || IDENTITY);
+        previous.set(node.name, local);
+        out.push(...toEulerZXY(local));
+        const nextWorld = world || matMul(parentWorld, local);
+        node.children.forEach(child => this.collectRotations(points, child, nextWorld, previous, out));
+    }
+
+    // --- Output ---
+
+    writeHierarchy(node, depth, lines) {
+        const pad = '\t'.repeat(depth);
+        const f = v => v.toFixed(4);
+        lines.push(`${pad}${node.root ? 'ROOT' : 'JOINT'} ${node.name}`);
+        lines.push(`${pad}{`);
+        lines.push(`${pad}\tOFFSET ${f(node.offset.x)} ${f(node.offset.y)} ${f(node.offset.z)}`);
+        lines.push(node.root
+            ? `${pad}\tCHANNELS 6 Xposition Yposition Zposition Zrotation Xrotation Yrotation`
+            : `${pad}\tCHANNELS 3 Zrotation Xrotation Yrotation`);
+        node.children.forEach(child => this.writeHierarchy(child, depth + 1, lines));
+        if (node.endSite) {
+            lines.push(`${pad}\tEnd Site`, `${pad}\t{`, `${pad}\t\tOFFSET ${f(node.endOffset.x)} ${f(node.endOffset.y)} ${f(node.endOffset.z)}`, `${pad}\t}`);
+        }
+        lines.push(`${pad}}`);
+    }
+
+    /**
+     * @param {object} recording - A recording in the current schema (see loadRecording).
+     * @returns {string} BVH file contents.
+     */
+    export(recording) {
+        const poses = this.extractPoses(recording);
+        if (poses.length === 0) throw new Error('Recording has no pose frames to export.');
+        const frames = this.resample(poses);
+
+        const root = this.hierarchy;
+        this.computeOffsets(frames, root);
+
+        const lines = ['HIERARCHY'];
+        this.writeHierarchy(root, 0, lines);
+        lines.push('MOTION', `Frames: ${frames.length}`, `Frame Time: ${(1 / this.fps).toFixed(6)}`);
+
+        const previous = new Map();
+        let lastPosition = { x: 0, y: 0, z: 0 };
+        for (const points of frames) {
+            const position = this.position(points, root) || lastPosition;
+            lastPosition = position;
+            const values = [position.x, position.y, position.z];
+            this.collectRotations(points, root, IDENTITY, previous, values);
+            lines.push(values.map(v => v.toFixed(4)).join(' '));
+        }
+        return lines.join('\n') + '\n';
+    }
+}
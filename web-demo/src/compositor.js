@@ -0,0 +1,217 @@
+/**
+ * MIMICA - Compositor
+ * Draws the canvas as a stack of layers, each with its own visibility, opacity and
+ * place in the order, and replaces the camera background using the segmentation mask.
+ *
+ * Layers (bottom to top by default):
+ *   video         - the camera or video file, with the background replaced if set
+ *   segmentation  - the segmentation categories in palette colors
+ *   character     - the body tracking character(s)
+ *   face, gaze, hands, objects - face mesh, gaze arrow, hand landmarks, object boxes
+ *   exercise      - the exercise counter's rep count and last rep
+ *   ocr           - recognized text
+ *
+ * Background modes need the segmentation model, whose category 0 is the background:
+ *   none          - the video as captured
+ *   color         - a solid color behind the people
+ *   image         - an image or video behind the people, scaled to cover the canvas
+ *   blur          - the video itself, blurred, behind the people
+ *   transparent   - nothing behind the people (for the clean output view)
+ * The video layer is matted on the GPU (see matting.js), which also feathers the edges
+ * and recolors hair and clothes. Without WebGL the background is replaced by canvas
+ * compositing instead, and the class effects are skipped.
+ */
+
+import { WebGLMatting, mattingActive } from './matting.js';
+
+export const LAYERS = [
+    { id: 'video', label: 'Video', opacity: 0.3 },
+    { id: 'segmentation', label: 'Segmentation', opacity: 1 },
+    { id: 'character', label: 'Character', opacity: 1 },
+    { id: 'face', label: 'Face', opacity: 1 },
+    { id: 'gaze', label: 'Gaze', opacity: 1 },
+    { id: 'hands', label: 'Hands', opacity: 1 },
+    { id: 'objects', label: 'Objects', opacity: 1 },
+    { id: 'exercise', label: 'Exercise Stats', opacity: 1 },
+    { id: 'ocr', label: 'Text (OCR)', opacity: 1 }
+];
+
+export const BACKGROUND_MODES = ['none', 'color', 'image', 'blur', 'transparent'];
+
+/**
+ * Saved layer settings made complete: unknown layers are dropped, missing ones added
+ * in their default place, and opacities clamped to 0..1.
+ * @param {Array<{id: string, visible?: boolean, opacity?: number}>} [saved]
+ * @returns {Array<{id: string, visible: boolean, opacity: number}>} In drawing order.
+ */
+export function normalizeLayers(saved) {
+    const known = new Map(LAYERS.map(layer => [layer.id, layer]));
+    const layers = [];
+    for (const entry of Array.isArray(saved) ? saved : []) {
+        const defaults = known.get(entry?.id);
+        if (!defaults || layers.some(layer => layer.id === entry.id)) continue;
+        const opacity = Number(entry.opacity);
+        layers.push({
+            id: entry.id,
+            visible: entry.visible !== false,
+            opacity: Number.isFinite(opacity) ? Math.min(1, Math.max(0, opacity)) : defaults.opacity
+        });
+    }
+    // A missing layer goes right above the one it follows by default
+    LAYERS.forEach((defaults, index) => {
+        if (layers.some(layer => layer.id === defaults.id)) return;
+        const after = index === 0 ? -1 : layers.findIndex(layer => layer.id === LAYERS[index - 1].id);
+        layers.splice(after + 1, 0, { id: defaults.id, visible: true, opacity: defaults.opacity });
+    });
+    return layers;
+}
+
+/** A copy of `layers` with layer `id` moved `delta` places up (+) or down (-) the stack. */
+export function moveLayer(layers, id, delta) {
+    const from = layers.findIndex(layer => layer.id === id);
+    const moved = layers.slice();
+    if (from < 0) return moved;
+    const to = Math.min(moved.length - 1, Math.max(0, from + delta));
+    moved.splice(to, 0, ...moved.splice(from, 1));
+    return moved;
+}
+
+/**
+ * RGBA pixels that are opaque where the category mask shows a person (any category
+ * but 0, the background) and transparent elsewhere.
+ * @param {Uint8Array} mask - Category id per pixel.
+ * @param {Uint8ClampedArray} [out] - Reused when given; length must be mask.length * 4.
+ */
+export function maskToAlpha(mask, out = new Uint8ClampedArray(mask.length * 4)) {
+    for (let i = 0; i < mask.length; i++) out[i * 4 + 3] = mask[i] === 0 ? 0 : 255;
+    return out;
+}
+
+export class Compositor {
+    /**
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {function(): HTMLCanvasElement|OffscreenCanvas} [createCanvas] - For the scratch canvases
+     * @param {function(): WebGLMatting|null} [createMatting] - Called once, when matting is first needed
+     */
+    constructor(ctx, createCanvas = () => document.createElement('canvas'), createMatting = () => WebGLMatting.create()) {
+        this.ctx = ctx;
+        this.maskCanvas = createCanvas();
+        this.personCanvas = createCanvas();
+        this.createMatting = createMatting;
+        this.matting = undefined;
+        this.lastMask = null;
+        this.maskPixels = null;
+    }
+
+    /**
+     * Draws the visible layers in order, each at its opacity.
+     * @param {Array<{id: string, visible: boolean, opacity: number}>} layers
+     * @param {Object<string, function(): void>} drawers - Draw function per layer id; missing ones are skipped.
+     */
+    compose(layers, drawers) {
+        for (const layer of layers) {
+            const draw = drawers[layer.id];
+            if (!draw || !layer.visible || layer.opacity <= 0) continue;
+            this.ctx.save();
+            this.ctx.globalAlpha = layer.opacity;
+            draw();
+            this.ctx.restore();
+        }
+    }
+
+    /**
+     * Draws the video with its background replaced and the class effects applied.
+     * Without a mask yet, or with nothing to change, the video is drawn as it is.
+     * @param {CanvasImageSource} source
+     * @param {object} options
+     * @param {boolean} options.mirrored
+     * @param {{mode: string, color?: string, image?: CanvasImageSource, blur?: number}} options.background
+     * @param {{width: number, height: number, mask: Uint8Array}|null} options.segmentation
+     * @param {object} [options.effects] - Feather and recoloring, see WebGLMatting.render
+     */
+    drawVideo(source, { mirrored, background, segmentation, effects = {} }) {
+        const { ctx } = this;
+        const { width, height } = ctx.canvas;
+        const mode = background?.mode || 'none';
+        if (!segmentation?.mask || !mattingActive(background, effects)) {
+            this.drawMirrored(ctx, source, mirrored);
+            return;
+        }
+        if (this.matting === undefined) this.matting = this.createMatting();
+        const matted = this.matting?.render(source, segmentation, { width, height, mirrored, background, effects });
+        if (matted) {
+            this.drawMirrored(ctx, matted, mirrored);
+            return;
+        }
+        if (mode === 'none') {
+            this.drawMirrored(ctx, source, mirrored);
+            return;
+        }
+
+        switch (mode) {
+            case 'color':
+                ctx.fillStyle = background.color || '#00ff00';
+                ctx.fillRect(0, 0, width, height);
+                break;
+            case 'image':
+                if (background.image) this.drawCover(background.image);
+                break;
+            case 'blur':
+                ctx.save();
+                ctx.filter = `blur(${background.blur ?? 12}px)`;
+                this.drawMirrored(ctx, source, mirrored);
+                ctx.restore();
+                break;
+        }
+        ctx.drawImage(this.cutOutPeople(source, mirrored, segmentation, effects.feather ?? 2), 0, 0);
+    }
+
+    // The video with everything but the people made transparent
+    cutOutPeople(source, mirrored, segmentation, feather) {
+        const { width, height } = this.ctx.canvas;
+        this.updateMask(segmentation);
+        const person = this.personCanvas;
+        if (person.width !== width || person.height !== height) { person.width = width; person.height = height; }
+        const personCtx = person.getContext('2d');
+        personCtx.clearRect(0, 0, width, height);
+        this.drawMirrored(personCtx, source, mirrored);
+        personCtx.save();
+        personCtx.globalCompositeOperation = 'destination-in';
+        // The feather is in mask pixels, as in the WebGL path
+        if (feather > 0) personCtx.filter = `blur(${feather * width / segmentation.width / 2}px)`;
+        this.drawMirrored(personCtx, this.maskCanvas, mirrored);
+        personCtx.restore();
+        return person;
+    }
+
+    // The mask canvas is redrawn only when a new segmentation result has arrived
+    updateMask(segmentation) {
+        if (segmentation === this.lastMask) return;
+        this.lastMask = segmentation;
+        const { width, height, mask } = segmentation;
+        const canvas = this.maskCanvas;
+        if (canvas.width !== width || canvas.height !== height) { canvas.width = width; canvas.height = height; }
+        const maskCtx = canvas.getContext('2d');
+        if (this.maskPixels?.width !== width || this.maskPixels?.height !== height) this.maskPixels = maskCtx.createImageData(width, height);
+        maskToAlpha(mask, this.maskPixels.data);
+        maskCtx.putImageData(this.maskPixels, 0, 0);
+    }
+
+    drawMirrored(ctx, image, mirrored) {
+        const { width, height } = ctx.canvas;
+        ctx.save();
+        if (mirrored) { ctx.scale(-1, 1); ctx.translate(-width, 0); }
+        ctx.drawImage(image, 0, 0, width, height);
+        ctx.restore();
+    }
+
+    drawCover(image) {
+        const { width, height } = this.ctx.canvas;
+        const imageWidth = image.naturalWidth || image.videoWidth || image.width;
+        const imageHeight = image.naturalHeight || image.videoHeight || image.height;
+        if (!imageWidth || !imageHeight) return;
+        const scale = Math.max(width / imageWidth, height / imageHeight);
+        const drawWidth = imageWidth * scale, drawHeight = imageHeight * scale;
+        this.ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * MIMICA - Event Timeline
+ * Turns a recording's per-frame labels into events (see recording-schema.js), so that
+ * "when did they wave" is a lookup instead of a scan over every frame, and exports a
+ * recording's events as a CSV or JSON sidecar and as WebVTT subtitles.
+ *
+ * Segments last while a label holds: actions (per person when `people` is recorded),
+ * expressions and hand gestures (per hand), with the mean confidence of their frames.
+ * Discrete events have no duration (end === start): OCR scans, and objects appearing
+ * and disappearing. An object that flickers out for less than `objectGapMs` is taken
+ * to have stayed. Event timestamps are the frames' own, so subtitles line up with the
+ * video recorded alongside them (or with the analyzed file).
+ */
+
+import { FORM_ISSUES } from './exercise-counter.js';
+
+export const EVENTS_SCHEMA = 'mimica.events';
+export const EVENTS_SCHEMA_VERSION = 1;
+
+export const CSV_COLUMNS = ['type', 'label', 'start', 'end', 'duration', 'confidence', 'details'];
+
+// Subtitles stay up at least this long, so that discrete events can be read
+const MIN_CUE_MS = 1000;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Collapses per-frame labels into segments.
+ * @param {Array<{timestamp: number}>} frames - Ordered by timestamp.
+ * @param {function(object): Array<{type: string, key?: string, label: string, confidence?: number}>} read -
+ *     The labels of a frame. Labels with the same key (default: the type) follow each other;
+ *     any other fields are copied onto the segment.
+ * @param {object} [options]
+ * @param {number} [options.minDurationMs] - Shorter segments are dropped.
+ * @param {number} [options.maxGapMs] - A label missing for less than this carries on.
+ * @returns {Array<{type: string, label: string, start: number, end: number, duration: number, confidence?: number}>}
+ *     Ordered by start. A segment ends when its label changes or goes, or with the last frame.
+ */
+export function labelSegments(frames, read, { minDurationMs = 0, maxGapMs = 0 } = {}) {
+    const open = new Map(), segments = [];
+    const close = (key, end) => {
+        const { type, label, fields, start, confidenceSum, confidenceCount } = open.get(key);
+        open.delete(key);
+        if (end - start < minDurationMs) return;
+        const confidence = confidenceCount > 0 ? { confidence: round(confidenceSum / confidenceCount) } : {};
+        segments.push({ type, label, start, end, duration: end - start, ...confidence, ...fields });
+    };
+    for (const frame of frames) {
+        const t = frame.timestamp;
+        const seen = new Set();
+        for (const { type, key = type, label, confidence, ...fields } of read(frame)) {
+            seen.add(key);
+            let segment = open.get(key);
+            const gone = segment && segment.missingSince !== null && t - segment.missingSince >= maxGapMs;
+            if (segment && (segment.label !== label || gone)) { close(key, segment.missingSince ?? t); segment = null; }
+            if (!segment) {
+                segment = { type, label, fields, start: t, missingSince: null, confidenceSum: 0, confidenceCount: 0 };
+                open.set(key, segment);
+            }
+            segment.missingSince = null;
+            if (typeof confidence === 'number') { segment.confidenceSum += confidence; segment.confidenceCount++; }
+        }
+        for (const [key, segment] of open) {
+            if (seen.has(key)) continue;
+            segment.missingSince ??= t;
+            if (t - segment.missingSince >= maxGapMs) close(key, segment.missingSince);
+        }
+    }
+    const last = frames.at(-1)?.timestamp;
+    for (const [key, segment] of open) close(key, segment.missingSince ?? last);
+    return segments.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * The events that can be read off a recording's frames.
+ * @param {Array<object>} frames - Recording frames (see recording-schema.js).
+ * @param {object} [options]
+ * @param {number} [options.minDurationMs] - Shorter segments are dropped as flicker.
+ * @param {number} [options.objectGapMs]
+ * @returns {Array<object>} Ordered by start.
+ */
+export function timelineEvents(frames, { minDurationMs = 200, objectGapMs = 500 } = {}) {
+    const actions = labelSegments(frames, frame => (frame.people
+        ? frame.people.filter(p => p.action && p.action !== 'unknown')
+            .map(p => ({ type: 'action', key: `action:${p.id}`, label: p.action, confidence: p.actionConfidence, personId: p.id }))
+        : frame.action && frame.action !== 'unknown' ? [{ type: 'action', label: frame.action, confidence: frame.actionConfidence }] : []), { minDurationMs });
+    const expressions = labelSegments(frames, frame => (frame.expression && frame.expression !== 'none'
+        ? [{ type: 'expression', label: frame.expression, confidence: frame.expressionConfidence }] : []), { minDurationMs });
+    const gestures = labelSegments(frames, frame => (frame.handSigns || []).filter(h => h.sign)
+        .map(h => ({ type: 'gesture', key: `gesture:${h.hand}`, label: h.sign, hand: h.hand })), { minDurationMs });
+
+    // Objects are present while any of their label is detected, at the best score of the frame
+    const presence = labelSegments(frames, frame => {
+        const best = new Map();
+        for (const { label, score } of frame.objects || []) best.set(label, Math.max(score, best.get(label) ?? 0));
+        return [...best].map(([label, score]) => ({ type: 'object', key: `object:${label}`, label, confidence: score }));
+    }, { minDurationMs, maxGapMs: objectGapMs });
+    const last = frames.at(-1)?.timestamp;
+    const objects = presence.flatMap(({ label, start, end, confidence }) => [
+        { type: 'object_appeared', label, start, end: start, duration: 0, confidence },
+        // Still in view when the recording stopped
+        ...(end < last ? [{ type: 'object_disappeared', label, start: end, end, duration: 0 }] : [])
+    ]);
+
+    const scans = frames.filter(frame => frame.ocr?.length).map(({ timestamp, ocr }) => ({
+        type: 'ocr_scan', label: ocr.map(word => word.text).join(' '), start: timestamp, end: timestamp, duration: 0,
+        confidence: round(ocr.reduce((sum, word) => sum + word.confidence, 0) / ocr.length / 100)
+    }));
+
+    return [...actions, ...expressions, ...gestures, ...objects, ...scans].sort((a, b) => a.start - b.start);
+}
+
+/** A recording's events on their own, for the JSON sidecar. */
+export function eventsSidecar({ metadata, events = [] }) {
+    return {
+        schema: EVENTS_SCHEMA,
+        version: EVENTS_SCHEMA_VERSION,
+        durationMs: metadata.durationMs,
+        ...(metadata.source ? { source: metadata.source } : {}),
+        events
+    };
+}
+
+/** Events as CSV with CSV_COLUMNS; fields beyond the common ones go into `details` as JSON. */
+export function eventsToCsv(events) {
+    const cell = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = events.map(event => {
+        const { type, label, start, end, duration, confidence, ...details } = event;
+        return [type, label, start, end, duration, confidence, Object.keys(details).length ? JSON.stringify(details) : ''].map(cell).join(',');
+    });
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/** One subtitle line for an event. */
+export function describeEvent(event) {
+    const percent = event.confidence === undefined ? '' : ` (${Math.round(event.confidence * 100)}%)`;
+    switch (event.type) {
+        case 'action': return `${event.personId ? `#${event.personId} ` : ''}${event.label}${percent}`;
+        case 'expression': return `Expression: ${event.label}${percent}`;
+        case 'gesture': return `Gesture: ${event.hand ? `${event.hand} ` : ''}${event.label}`;
+        case 'object_appeared': return `Object appeared: ${event.label}`;
+        case 'object_disappeared': return `Object gone: ${event.label}`;
+        case 'ocr_scan': return `Text: ${event.label.length > 60 ? `${event.label.slice(0, 57)}...` : event.label}`;
+        case 'looking_at_camera': return 'Looking at the camera';
+        case 'looking_away': return 'Looking away';
+        case 'rep': {
+            const issues = (event.flags || []).map(flag => FORM_ISSUES[flag] || flag);
+            return `${event.exercise} rep ${event.rep}${issues.length ? ` - ${issues.join(', ')}` : ''}`;
+        }
+        default: return `${event.type.replace(/_/g, ' ')}${event.label ? `: ${event.label}` : ''}`;
+    }
+}
+
+function vttTime(ms) {
+    const total = Math.max(0, Math.round(ms));
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(total / 3600000))}:${pad(Math.floor(total / 60000) % 60)}:${pad(Math.floor(total / 1000) % 60)}.${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Events as WebVTT subtitles, one cue per event; cues overlap where events do.
+ * Every cue lasts at least a second, so discrete events show too.
+ */
+export function eventsToWebVtt(events) {
+    const cues = [...events].sort((a, b) => a.start - b.start).map(event => {
+        const end = Math.max(event.end, event.start + MIN_CUE_MS);
+        // Cue text is HTML-like, and must not contain "-->"
+        const text = describeEvent(event).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return `${vttTime(event.start)} --> ${vttTime(end)}\n${text}`;
+    });
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
@@ -0,0 +1,203 @@
+/**
+ * MIMICA - Exercise Counter
+ * Counts exercise repetitions from joint-angle cycles (see biomechanics.js), times
+ * each rep's way down and up, measures its depth and flags form issues.
+ *
+ * Each exercise follows one angle: the knees for squats and lunges, the elbows for
+ * push-ups and curls, the shoulders for jumping jacks. A rep starts when the angle
+ * leaves its rest zone, counts once it gets past `count`, and ends back at rest.
+ * Depth is the furthest the angle got from rest; not reaching `target` flags the rep
+ * as shallow. Other form checks look at the working half of the movement (past the
+ * midpoint between rest and count) and flag a rep when they hold for a good part of it.
+ * Angle thresholds are degrees.
+ */
+
+import { computeJointAngles } from './biomechanics.js';
+
+export const FORM_ISSUES = {
+    shallow: 'Not deep enough',
+    knees_caving: 'Knees caving in',
+    forward_lean: 'Leaning too far forward',
+    hips_out_of_line: 'Hips out of line',
+    elbow_drift: 'Elbows drifting forward',
+    legs_narrow: 'Feet not jumping wide'
+};
+
+// A check flags a rep when it holds in this share of the working half's frames
+const FLAG_SHARE = 0.3;
+// Degrees the angle has to come back from its extreme before the way up starts
+const TURN_DEGREES = 5;
+
+const mean = (a, b) => (a === null ? b : b === null ? a : (a + b) / 2);
+const least = (a, b) => (a === null ? b : b === null ? a : Math.min(a, b));
+const width = (points, left, right) => (points[left] && points[right] ? Math.abs(points[left].x - points[right].x) : null);
+// Side-on, left and right overlap and widths say nothing: the shoulders have to span a good part of the trunk's height
+const facing = points => {
+    const [ls, rs, lh, rh] = [11, 12, 23, 24].map(i => points[i]);
+    return Boolean(ls && rs && lh && rh) && Math.abs(ls.x - rs.x) > 0.4 * Math.abs((lh.y + rh.y - ls.y - rs.y) / 2);
+};
+
+export const EXERCISES = {
+    squat: {
+        label: 'Squats', direction: -1, rest: 160, count: 120, target: 100,
+        signal: a => mean(a.leftKnee, a.rightKnee),
+        checks: {
+            // Facing the camera, knees closer together than the ankles
+            knees_caving: points => {
+                const knees = width(points, 25, 26), ankles = width(points, 27, 28);
+                return facing(points) && knees !== null && ankles !== null && knees < ankles * 0.8;
+            },
+            forward_lean: (points, a) => a.trunkLean !== null && a.trunkLean > 45
+        }
+    },
+    pushup: {
+        label: 'Push-ups', direction: -1, rest: 150, count: 110, target: 90,
+        signal: a => mean(a.leftElbow, a.rightElbow),
+        checks: {
+            // Shoulders, hips and knees should stay in a line
+            hips_out_of_line: (points, a) => {
+                const hip = mean(a.leftHip, a.rightHip);
+                return hip !== null && hip < 155;
+            }
+        }
+    },
+    lunge: {
+        label: 'Lunges', direction: -1, rest: 155, count: 125, target: 100,
+        // The front knee bends the most
+        signal: a => least(a.leftKnee, a.rightKnee),
+        checks: {
+            forward_lean: (points, a) => a.trunkLean !== null && a.trunkLean > 30
+        }
+    },
+    curl: {
+        label: 'Bicep Curls', direction: -1, rest: 140, count: 90, target: 60,
+        signal: a => least(a.leftElbow, a.rightElbow),
+        checks: {
+            // The upper arm should stay by the side
+            elbow_drift: (points, a) => {
+                const curling = a.leftElbow !== null && (a.rightElbow === null || a.leftElbow <= a.rightElbow) ? a.leftShoulder : a.rightShoulder;
+                return curling !== null && curling > 35;
+            }
+        }
+    },
+    jumpingJack: {
+        label: 'Jumping Jacks', direction: 1, rest: 50, count: 110, target: 150,
+        signal: a => mean(a.leftShoulder, a.rightShoulder),
+        checks: {
+            legs_narrow: points => {
+                const hips = width(points, 23, 24), ankles = width(points, 27, 28);
+                return facing(points) && hips !== null && ankles !== null && ankles < hips * 1.5;
+            }
+        }
+    }
+};
+
+export class ExerciseCounter {
+    /**
+     * @param {object} [options]
+     * @param {string|null} [options.exercise] - An EXERCISES key, or null for none.
+     * @param {number} [options.minRepMs] - Shorter cycles are noise, not reps.
+     * @param {number} [options.maxGapMs] - A longer gap without the angle abandons the rep.
+     */
+    constructor({ exercise = null, minRepMs = 300, maxGapMs = 2000 } = {}) {
+        this.minRepMs = minRepMs;
+        this.maxGapMs = maxGapMs;
+        this.setExercise(exercise);
+    }
+
+    setExercise(exercise) {
+        if (exercise !== null && !EXERCISES[exercise]) throw new Error(`Unknown exercise '${exercise}'.`);
+        this.exercise = exercise;
+        this.reset();
+    }
+
+    /** Starts the count afresh. */
+    reset() {
+        this.count = 0;
+        this.reps = [];
+        this.phase = 'rest';
+        this.current = null;
+        // Reps only start from rest, so one already under way when counting starts is not counted
+        this.rested = false;
+        this.lastTimestamp = null;
+    }
+
+    // Whether `angle` is at or past `threshold`, going away from rest
+    past(angle, threshold) {
+        return EXERCISES[this.exercise].direction < 0 ? angle <= threshold : angle >= threshold;
+    }
+
+    /**
+     * @param {Array<{x: number, y: number, z?: number}|null>|null} points - 33 pose landmarks, null when nobody is in view.
+     * @param {number} timestamp - ms.
+     * @param {object} [options]
+     * @param {boolean} [options.depth] - The points are world landmarks.
+     * @returns {object|null} The rep that ended with this frame (see finish), if any.
+     */
+    update(points, timestamp, { depth = false } = {}) {
+        if (!this.exercise) return null;
+        const definition = EXERCISES[this.exercise];
+        const angles = computeJointAngles(points, { depth });
+        const angle = definition.signal(angles);
+        if (angle === null) {
+            if (this.lastTimestamp !== null && timestamp - this.lastTimestamp > this.maxGapMs) { this.current = null; this.phase = 'rest'; this.rested = false; }
+            return null;
+        }
+        this.lastTimestamp = timestamp;
+
+        if (!this.current) {
+            if (!this.past(angle, definition.rest)) { this.rested = true; return null; }
+            if (!this.rested) return null;
+            this.current = { start: timestamp, extreme: angle, extremeAt: timestamp, reached: false, frames: 0, hits: {} };
+            this.phase = 'down';
+        }
+        const rep = this.current;
+        if (this.past(angle, definition.rest)) {
+            if (this.past(angle, rep.extreme)) { rep.extreme = angle; rep.extremeAt = timestamp; this.phase = 'down'; }
+            else if (Math.abs(angle - rep.extreme) > TURN_DEGREES && rep.reached) this.phase = 'up';
+            if (this.past(angle, definition.count)) rep.reached = true;
+            if (this.past(angle, (definition.rest + definition.count) / 2)) {
+                rep.frames++;
+                for (const [issue, check] of Object.entries(definition.checks)) {
+                    if (check(points, angles)) rep.hits[issue] = (rep.hits[issue] || 0) + 1;
+                }
+            }
+            return null;
+        }
+
+        // Back at rest
+        this.current = null;
+        this.phase = 'rest';
+        if (!rep.reached || timestamp - rep.start < this.minRepMs) return null;
+        return this.finish(rep, timestamp);
+    }
+
+    /**
+     * @returns {{exercise: string, rep: number, start: number, end: number, duration: number, downMs: number,
+     *     upMs: number, depth: number, flags: string[]}} rep is the count so far, depth the extreme angle.
+     */
+    finish(rep, end) {
+        const definition = EXERCISES[this.exercise];
+        const flags = [];
+        if (!this.past(rep.extreme, definition.target)) flags.push('shallow');
+        for (const [issue, hits] of Object.entries(rep.hits)) {
+            if (hits >= rep.frames * FLAG_SHARE) flags.push(issue);
+        }
+        this.count++;
+        const finished = {
+            exercise: this.exercise, rep: this.count, start: rep.start, end, duration: end - rep.start,
+            downMs: rep.extremeAt - rep.start, upMs: end - rep.extremeAt, depth: rep.extreme, flags
+        };
+        this.reps.push(finished);
+        return finished;
+    }
+
+    /** Reps per minute over the last few reps, or null before there are two. */
+    get cadence() {
+        const recent = this.reps.slice(-4);
+        if (recent.length < 2) return null;
+        return (recent.length - 1) / (recent[recent.length - 1].end - recent[0].end) * 60000;
+    }
+
+    get lastRep() { return this.reps[this.reps.length - 1] || null; }
+}
@@ -0,0 +1,108 @@
+/**
+ * MIMICA - Face Analysis
+ * Reads FaceLandmarker output: head pose from the facial transformation matrix and a
+ * facial expression from the 52 blendshape coefficients.
+ *
+ * Head pose is in degrees, 0 0 0 when facing the camera, in the camera's own
+ * (unmirrored) view: yaw is positive when the face turns toward the image's right,
+ * pitch when it tilts up, roll when it tilts counterclockwise.
+ *
+ * Expressions keep the names face-api.js used, so older recordings read the same.
+ * Each gets a score in [0, 1] from the blendshapes that make it up; neutral scores
+ * whatever the strongest expression leaves. Scores are smoothed over time so the
+ * label does not flicker between frames.
+ */
+
+// In the order FaceLandmarker reports them (ARKit names plus _neutral)
+export const BLENDSHAPE_NAMES = [
+    '_neutral', 'browDownLeft', 'browDownRight', 'browInnerUp', 'browOuterUpLeft', 'browOuterUpRight',
+    'cheekPuff', 'cheekSquintLeft', 'cheekSquintRight', 'eyeBlinkLeft', 'eyeBlinkRight',
+    'eyeLookDownLeft', 'eyeLookDownRight', 'eyeLookInLeft', 'eyeLookInRight', 'eyeLookOutLeft', 'eyeLookOutRight',
+    'eyeLookUpLeft', 'eyeLookUpRight', 'eyeSquintLeft', 'eyeSquintRight', 'eyeWideLeft', 'eyeWideRight',
+    'jawForward', 'jawLeft', 'jawOpen', 'jawRight', 'mouthClose', 'mouthDimpleLeft', 'mouthDimpleRight',
+    'mouthFrownLeft', 'mouthFrownRight', 'mouthFunnel', 'mouthLeft', 'mouthLowerDownLeft', 'mouthLowerDownRight',
+    'mouthPressLeft', 'mouthPressRight', 'mouthPucker', 'mouthRight', 'mouthRollLower', 'mouthRollUpper',
+    'mouthShrugLower', 'mouthShrugUpper', 'mouthSmileLeft', 'mouthSmileRight', 'mouthStretchLeft', 'mouthStretchRight',
+    'mouthUpperUpLeft', 'mouthUpperUpRight', 'noseSneerLeft', 'noseSneerRight'
+];
+
+export const EXPRESSIONS = ['neutral', 'happy', 'sad', 'angry', 'fearful', 'disgusted', 'surprised'];
+
+// Weighted blendshapes per expression; a pair name without its side means both sides
+const EXPRESSION_BLENDSHAPES = {
+    happy: { mouthSmile: 0.8, cheekSquint: 0.2 },
+    sad: { mouthFrown: 0.5, browInnerUp: 0.3, mouthShrugLower: 0.2 },
+    angry: { browDown: 0.6, mouthPress: 0.2, noseSneer: 0.2 },
+    fearful: { eyeWide: 0.4, browInnerUp: 0.3, mouthStretch: 0.3 },
+    disgusted: { noseSneer: 0.6, mouthUpperUp: 0.4 },
+    surprised: { jawOpen: 0.4, eyeWide: 0.3, browOuterUp: 0.3 }
+};
+
+const DEGREES = 180 / Math.PI;
+
+function blendshape(blendshapes, name) {
+    if (name in blendshapes) return blendshapes[name] || 0;
+    return ((blendshapes[`${name}Left`] || 0) + (blendshapes[`${name}Right`] || 0)) / 2;
+}
+
+/**
+ * @param {number[]} matrix - The 16 numbers of a 4x4 transformation matrix, column-major.
+ * @returns {{yaw: number, pitch: number, roll: number}} Degrees.
+ */
+export function headPoseFromMatrix(matrix) {
+    // r(row, column) of the rotation part
+    const r = (row, column) => matrix[column * 4 + row];
+    const yaw = Math.asin(Math.max(-1, Math.min(1, -r(2, 0))));
+    const pitch = -Math.atan2(r(2, 1), r(2, 2));
+    const roll = Math.atan2(r(1, 0), r(0, 0));
+    return { yaw: yaw * DEGREES, pitch: pitch * DEGREES, roll: roll * DEGREES };
+}
+
+/**
+ * @param {Object<string, number>} blendshapes - Blendshape name to score.
+ * @returns {Object<string, number>} A score in [0, 1] for each of EXPRESSIONS.
+ */
+export function expressionScores(blendshapes) {
+    const scores = {};
+    for (const [expression, weights] of Object.entries(EXPRESSION_BLENDSHAPES)) {
+        const score = Object.entries(weights).reduce((sum, [name, weight]) => sum + weight * blendshape(blendshapes, name), 0);
+        scores[expression] = Math.min(1, Math.max(0, score));
+    }
+    scores.neutral = 1 - Math.max(...Object.values(scores));
+    return scores;
+}
+
+export class ExpressionClassifier {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.smoothingMs] - Time constant of the score smoothing.
+     */
+    constructor({ smoothingMs = 150 } = {}) {
+        this.smoothingMs = smoothingMs;
+        this.reset();
+    }
+
+    reset() {
+        this.scores = null;
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * @param {Object<string, number>} blendshapes - Of the current frame.
+     * @param {number} timestamp - ms; earlier than the last frame starts afresh.
+     * @returns {{expression: string, confidence: number, scores: Object<string, number>}}
+     */
+    update(blendshapes, timestamp) {
+        const current = expressionScores(blendshapes);
+        const elapsed = this.lastTimestamp === null ? Infinity : timestamp - this.lastTimestamp;
+        if (!this.scores || elapsed < 0) {
+            this.scores = current;
+        } else {
+            const alpha = 1 - Math.exp(-elapsed / this.smoothingMs);
+            for (const expression of EXPRESSIONS) this.scores[expression] += alpha * (current[expression] - this.scores[expression]);
+        }
+        this.lastTimestamp = timestamp;
+        const expression = EXPRESSIONS.reduce((best, name) => (this.scores[name] > this.scores[best] ? name : best));
+        return { expression, confidence: this.scores[expression], scores: { ...this.scores } };
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * MIMICA - Gaze and Head Pose
+ * Estimates where a person is looking. With face tracking on, the head pose comes from
+ * FaceLandmarker's transformation matrix and the eyes' own rotation from where each
+ * iris sits between its eye corners and lids. Otherwise the head pose is read from the
+ * body pose's nose, eyes and ears, and the gaze is taken to follow the head.
+ *
+ * Angles are in degrees, in the camera's own (unmirrored) view, as in face-analysis.js:
+ * yaw is positive toward the image's right, pitch upward, roll counterclockwise. The
+ * gaze vector is a unit {x, y, z} with x to the image's right, y up and z from the
+ * person toward the camera, so (0, 0, 1) is looking straight into the lens. The gaze
+ * region is a cell of a 3x3 grid around the camera ('center' is at the camera).
+ * All of this is coarse: it separates "at the camera" from "away" and names the
+ * direction, it does not find a point on a screen.
+ */
+
+import { headPoseFromMatrix } from './face-analysis.js';
+import { PoseMapper } from './mapper.js';
+
+export const GAZE_REGIONS = ['up-left', 'up', 'up-right', 'left', 'center', 'right', 'down-left', 'down', 'down-right'];
+
+// MediaPipe pose landmark indices
+const JOINTS = new PoseMapper().joints;
+// How far below the ear line the nose sits when looking level, in half ear spans
+const NOSE_BELOW_EARS = 0.25;
+
+// FaceLandmarker eye corners, lids and iris centers; the person's right eye is on the image's left
+const EYES = [
+    { corners: [33, 133], lids: [159, 145], iris: 468 },
+    { corners: [362, 263], lids: [386, 374], iris: 473 }
+];
+// Eye rotation at which the iris reaches the corner or lid
+const EYE_RANGE = { yaw: 35, pitch: 25 };
+
+const DEGREES = 180 / Math.PI;
+
+/**
+ * Head pose from body pose landmarks.
+ * @param {Array<{x: number, y: number}|null>} points - The 33 pose landmarks, camera orientation;
+ *     x and y in the same units (e.g. pixels).
+ * @returns {{yaw: number, pitch: number, roll: number}|null} null without both ears, both eyes and the nose.
+ */
+export function headPoseFromPose(points) {
+    const [nose, leftEye, rightEye, leftEar, rightEar] = ['nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar'].map(joint => points?.[JOINTS[joint]]);
+    if (!nose || !leftEye || !rightEye || !leftEar || !rightEar) return null;
+    const halfSpan = Math.hypot(leftEar.x - rightEar.x, leftEar.y - rightEar.y) / 2;
+    if (halfSpan < 1e-6) return null;
+    const earMid = { x: (leftEar.x + rightEar.x) / 2, y: (leftEar.y + rightEar.y) / 2 };
+    // The nose sits ahead of the ears, so it swings sideways as the head turns and up or down as it nods
+    const yaw = Math.atan((nose.x - earMid.x) / halfSpan);
+    const pitch = Math.atan(NOSE_BELOW_EARS - (nose.y - earMid.y) / halfSpan);
+    const roll = -Math.atan2(leftEye.y - rightEye.y, leftEye.x - rightEye.x);
+    return { yaw: yaw * DEGREES, pitch: pitch * DEGREES, roll: roll * DEGREES };
+}
+
+/**
+ * The eyes' rotation within the head, from the iris positions, averaged over both eyes.
+ * @param {Array<{x: number, y: number}>} landmarks - FaceLandmarker's 478 landmarks, normalized.
+ * @param {number} [aspect] - Frame width / height.
+ * @returns {{yaw: number, pitch: number}|null} null without the iris landmarks.
+ */
+export function eyeRotationFromIris(landmarks, aspect = 1) {
+    if (!landmarks || landmarks.length < 478) return null;
+    const point = i => ({ x: landmarks[i].x * aspect, y: landmarks[i].y });
+    let yaw = 0, pitch = 0;
+    for (const { corners, lids, iris } of EYES) {
+        const [a, b] = corners.map(point), [upper, lower] = lids.map(point), center = point(iris);
+        const axis = { x: b.x - a.x, y: b.y - a.y };
+        const width = Math.hypot(axis.x, axis.y), height = Math.hypot(lower.x - upper.x, lower.y - upper.y);
+        if (width < 1e-6 || height < 1e-6) return null;
+        const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        // Offsets along the corner axis and across it, in half eye widths and heights
+        const along = ((center.x - mid.x) * axis.x + (center.y - mid.y) * axis.y) / width / (width / 2);
+        const across = ((center.y - (upper.y + lower.y) / 2) * axis.x - (center.x - (upper.x + lower.x) / 2) * axis.y) / width / (height / 2);
+        yaw += Math.max(-1, Math.min(1, along)) * EYE_RANGE.yaw;
+        pitch -= Math.max(-1, Math.min(1, across)) * EYE_RANGE.pitch;
+    }
+    return { yaw: yaw / EYES.length, pitch: pitch / EYES.length };
+}
+
+/** Unit gaze vector for gaze angles in degrees. */
+export function gazeVector(yaw, pitch) {
+    const y = yaw / DEGREES, p = pitch / DEGREES;
+    return { x: Math.sin(y) * Math.cos(p), y: Math.sin(p), z: Math.cos(y) * Math.cos(p) };
+}
+
+/** The GAZE_REGIONS cell for gaze angles; within `threshold` degrees counts as centered. */
+export function gazeRegion(yaw, pitch, threshold = 12) {
+    const column = yaw < -threshold ? 0 : yaw > threshold ? 2 : 1;
+    const row = pitch > threshold ? 0 : pitch < -threshold ? 2 : 1;
+    return GAZE_REGIONS[row * 3 + column];
+}
+
+/**
+ * @param {object} input
+ * @param {{landmarks: Array, matrix: number[]|null}|null} [input.face] - Tracked face, see app.js readFace.
+ * @param {Array<{x: number, y: number}|null>|null} [input.pose] - Pose landmarks in canvas pixels.
+ * @param {number} input.width - Canvas size.
+ * @param {number} input.height
+ * @param {boolean} [input.mirrored] - Whether the pose points are mirrored.
+ * @param {number} [threshold] - Degrees within which the gaze counts as at the camera.
+ * @returns {{source: 'face'|'pose', headPose: {yaw: number, pitch: number, roll: number}, yaw: number, pitch: number,
+ *     vector: {x: number, y: number, z: number}, region: string, atCamera: boolean, origin: {x: number, y: number}}|null}
+ *     origin is between the eyes, normalized, camera orientation. null when neither source has a head.
+ */
+export function estimateGaze({ face = null, pose = null, width, height, mirrored = false }, threshold = 12) {
+    let source, headPose, eyes = null, origin;
+    if (face?.matrix && face.landmarks?.length) {
+        source = 'face';
+        headPose = headPoseFromMatrix(face.matrix);
+        eyes = eyeRotationFromIris(face.landmarks, width / height);
+        const [right, left] = face.landmarks.length >= 478 ? [468, 473] : [33, 263];
+        origin = { x: (face.landmarks[right].x + face.landmarks[left].x) / 2, y: (face.landmarks[right].y + face.landmarks[left].y) / 2 };
+    } else {
+        const points = pose && (mirrored ? pose.map(p => p && { ...p, x: width - p.x }) : pose);
+        headPose = headPoseFromPose(points);
+        if (!headPose) return null;
+        source = 'pose';
+        const [left, right] = [points[JOINTS.leftEye], points[JOINTS.rightEye]];
+        origin = { x: (left.x + right.x) / 2 / width, y: (left.y + right.y) / 2 / height };
+    }
+    const yaw = headPose.yaw + (eyes?.yaw ?? 0);
+    const pitch = headPose.pitch + (eyes?.pitch ?? 0);
+    const region = gazeRegion(yaw, pitch, threshold);
+    return { source, headPose, yaw, pitch, vector: gazeVector(yaw, pitch), region, atCamera: region === 'center', origin };
+}
+
+/**
+ * Turns per-frame "at camera" readings into looking_at_camera / looking_away events.
+ * A change has to hold for `minDurationMs` before it ends the current event; the new
+ * event then starts from when the change began, so brief glances do not split events.
+ * Frames without a head end the current event without starting another.
+ */
+export class AttentionTracker {
+    constructor({ minDurationMs = 300 } = {}) {
+        this.minDurationMs = minDurationMs;
+        this.reset();
+    }
+
+    reset() {
+        this.current = null;
+        this.pending = null;
+    }
+
+    /**
+     * @param {boolean|null} atCamera - null when no head is in view.
+     * @param {number} timestamp - ms.
+     * @returns {Array<{type: string, start: number, end: number, duration: number}>} Events that ended.
+     */
+    update(atCamera, timestamp) {
+        const type = atCamera === null || atCamera === undefined ? null : atCamera ? 'looking_at_camera' : 'looking_away';
+        if (type === (this.current?.type ?? null)) { this.pending = null; return []; }
+        if (this.pending?.type !== type) this.pending = { type, since: timestamp };
+        // With nothing going on yet there is nothing for a glitch to split
+        if (this.current && timestamp - this.pending.since < this.minDurationMs) return [];
+        const ended = this.current ? [this.close(this.pending.since)] : [];
+        this.current = type && { type, start: this.pending.since };
+        this.pending = null;
+        return ended;
+    }
+
+    /**
+     * The event going on, as if it ended at `timestamp` (e.g. when a recording stops), or null.
+     * @returns {{type: string, start: number, end: number, duration: number}|null}
+     */
+    ongoing(timestamp) {
+        return this.current && this.close(Math.max(this.current.start, timestamp));
+    }
+
+    close(end) {
+        const { type, start } = this.current;
+        return { type, start, end, duration: end - start };
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * MIMICA - Gesture Trainer
+ * Learns actions from examples: the user records a few samples of a named gesture and
+ * live input is classified by k-nearest-neighbour over dynamic time warping (DTW)
+ * distances to those samples. Poses are normalized (torso lengths, hip origin) so
+ * samples transfer across resolutions and distances from the camera.
+ */
+
+import { PoseMapper } from './mapper.js';
+
+export const GESTURE_FILE_FORMAT = 'mimica.gestures';
+export const GESTURE_FILE_VERSION = 1;
+
+// Body joints used as features, in PoseMapper.joints naming
+const FEATURE_JOINTS = [
+    'nose', 'leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow', 'leftWrist', 'rightWrist',
+    'leftHip', 'rightHip', 'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'
+];
+const MIN_SAMPLE_FRAMES = 5;
+
+export class GestureTrainer {
+    constructor({ frameCount = 16, k = 3, maxDistance = 0.5 } = {}) {
+        this.mapper = new PoseMapper();
+        this.frameCount = frameCount;
+        this.k = k;
+        // DTW distance (torso lengths, worst joint per frame) at which confidence reaches zero
+        this.maxDistance = maxDistance;
+
+        this.samples = [];
+        this.recording = null;
+    }
+
+    get names() { return [...new Set(this.samples.map(s => s.name))]; }
+
+    get isRecording() { return this.recording !== null; }
+
+    countSamples(name) { return this.samples.filter(s => s.name === name).length; }
+
+    startSample(name) {
+        if (!name || !name.trim()) throw new Error('Gesture name is required.');
+        this.recording = { name: name.trim(), frames: [] };
+    }
+
+    /** Stores the frames captured since startSample; returns the new sample. */
+    finishSample() {
+        const recording = this.recording;
+        this.recording = null;
+        if (!recording || recording.frames.length < MIN_SAMPLE_FRAMES) {
+            throw new Error(`A sample needs at least ${MIN_SAMPLE_FRAMES} frames with a visible body.`);
+        }
+        const frames = recording.frames;
+        const sample = {
+            name: recording.name,
+            durationMs: Math.round(frames[frames.length - 1].timestamp - frames[0].timestamp),
+            frames: this.resample(frames)
+        };
+        this.samples.push(sample);
+        return sample;
+    }
+
+    cancelSample() { this.recording = null; }
+
+    removeGesture(name) { this.samples = this.samples.filter(s => s.name !== name); }
+
+    clear() { this.samples = []; this.recording = null; }
+
+    // Flattened [x0, y0, x1, y1, ...] of the normalized feature joints, or null
+    extractFeatures(pose) {
+        const normalized = this.mapper.normalizePose(pose);
+        if (!normalized) return null;
+        const features = [];
+        for (const name of FEATURE_JOINTS) {
+            const point = normalized[this.mapper.joints[name]];
+            if (!point) return null;
+            features.push(point.x, point.y);
+        }
+        return features;
+    }
+
+    /** Captures a frame for the sample being recorded without classifying anything. */
+    recordFrame(pose, timestamp) {
+        const features = this.recording ? this.extractFeatures(pose) : null;
+        if (features) this.recording.frames.push({ timestamp, features });
+    }
+
+    /**
+     * A classifier with its own motion history over the shared samples, so several
+     * people can be classified at once. Samples are recorded through recordFrame.
+     * Its update(pose, timestamp) returns a Map with the confidence in [0, 1] of the
+     * best matching gesture, empty while a sample is being recorded.
+     */
+    createLiveClassifier() {
+        const trainer = this;
+        const live = [];
+        return {
+            get names() { return trainer.names; },
+            update(pose, timestamp) {
+                trainer.addLiveFrame(live, pose, timestamp);
+                return trainer.recording ? new Map() : trainer.classify(timestamp, live);
+            }
+        };
+    }
+
+    // Appends the pose to a motion history and trims what no sample could still match
+    addLiveFrame(live, pose, timestamp) {
+        const features = this.extractFeatures(pose);
+        if (features) live.push({ timestamp, features });
+        const longest = Math.max(0, ...this.samples.map(s => s.durationMs));
+        while (live.length > 1 && timestamp - live[0].timestamp > longest * 1.5 + 500) live.shift();
+    }
+
+    classify(now, live) {
+        const scores = new Map();
+        if (this.samples.length === 0) return scores;
+
+        // Never consult more neighbours than the least-trained gesture has samples,
+        // otherwise a perfect match could never be unanimous
+        const k = Math.min(this.k, ...this.names.map(name => this.countSamples(name)));
+        const neighbours = this.samples.map(sample => {
+            const recent = live.filter(f => now - f.timestamp <= sample.durationMs);
+            if (recent.length < MIN_SAMPLE_FRAMES) return { name: sample.name, distance: Infinity };
+            return { name: sample.name, distance: this.dtw(this.resample(recent), sample.frames) };
+        }).filter(n => n.distance < Infinity).sort((a, b) => a.distance - b.distance).slice(0, k);
+        if (neighbours.length === 0) return scores;
+
+        // Similarity-weighted vote, so neighbours beyond maxDistance do not count
+        const similarity = distance => Math.max(0, 1 - distance / this.maxDistance);
+        const votes = new Map();
+        for (const n of neighbours) votes.set(n.name, (votes.get(n.name) || 0) + similarity(n.distance));
+        let winner = neighbours[0].name;
+        for (const [name, weight] of votes) if (weight > votes.get(winner)) winner = name;
+
+        const total = [...votes.values()].reduce((sum, weight) => sum + weight, 0);
+        if (total === 0) return scores;
+        const closest = neighbours.find(n => n.name === winner).distance;
+        scores.set(winner, (votes.get(winner) / total) * similarity(closest));
+        return scores;
+    }
+
+    // Linear resampling by time to a fixed number of frames
+    resample(frames) {
+        const start = frames[0].timestamp;
+        const span = frames[frames.length - 1].timestamp - start;
+        const result = [];
+        let i = 0;
+        for (let n = 0; n < this.frameCount; n++) {
+            const t = start + (this.frameCount > 1 ? span * n / (this.frameCount - 1) : 0);
+            while (i < frames.length - 2 && frames[i + 1].timestamp <= t) i++;
+            const a = frames[i], b = frames[Math.min(i + 1, frames.length - 1)];
+            const gap = b.timestamp - a.timestamp;
+            const k = gap > 0 ? Math.max(0, Math.min(1, (t - a.timestamp) / gap)) : 0;
+            result.push(a.features.map((v, j) => PoseMapper.lerp(v, b.features[j], k)));
+        }
+        return result;
+    }
+
+    // Largest displacement between corresponding joints of two feature frames. Most
+    // gestures move only a few joints, which an average over the body would dilute
+    frameDistance(a, b) {
+        let largest = 0;
+        for (let j = 0; j < a.length; j += 2) largest = Math.max(largest, Math.hypot(a[j] - b[j], a[j + 1] - b[j + 1]));
+        return largest;
+    }
+
+    // DTW cost normalized by the path length bound, so it stays in joint-distance units
+    dtw(a, b) {
+        const cost = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(Infinity));
+        cost[0][0] = 0;
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                cost[i][j] = this.frameDistance(a[i - 1], b[j - 1]) + Math.min(cost[i - 1][j], cost[i][j - 1], cost[i - 1][j - 1]);
+            }
+        }
+        return cost[a.length][b.length] / (a.length + b.length);
+    }
+
+    toJSON() {
+        return {
+            format: GESTURE_FILE_FORMAT,
+            version: GESTURE_FILE_VERSION,
+            joints: FEATURE_JOINTS,
+            frameCount: this.frameCount,
+            samples: this.samples
+        };
+    }
+
+    /** Replaces the trained samples with those from an exported gesture file. */
+    load(data) {
+        if (!data || data.format !== GESTURE_FILE_FORMAT) throw new Error(`Not a gesture file: expected format '${GESTURE_FILE_FORMAT}'.`);
+        if (data.version !== GESTURE_FILE_VERSION) throw new Error(`Unsupported gesture file version ${data.version}.`);
+        if (data.frameCount !== this.frameCount || JSON.stringify(data.joints) !== JSON.stringify(FEATURE_JOINTS)) {
+            throw new Error('Gesture file was trained with a different feature layout.');
+        }
+        if (!Array.isArray(data.samples)) throw new Error("Gesture file has no 'samples' array.");
+        data.samples.forEach((sample, i) => {
+            const valid = sample && typeof sample.name === 'string' && Number.isFinite(sample.durationMs) &&
+                Array.isArray(sample.frames) && sample.frames.length === this.frameCount &&
+                sample.frames.every(f => Array.isArray(f) && f.length === FEATURE_JOINTS.length * 2 && f.every(Number.isFinite));
+            if (!valid) throw new Error(`samples[${i}]: expected {name, durationMs, frames} with ${this.frameCount} frames.`);
+        });
+        this.samples = data.samples.map(s => ({ name: s.name, durationMs: s.durationMs, frames: s.frames }));
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * MIMICA - Hand Gesture Recognizer
+ * Reads hand signs from HandLandmarker's 21 landmarks. Each finger gets a curl value
+ * in [0, 1] from the bend at its joints (0 = straight, 1 = fully curled); signs are
+ * then matched from the finger states and a few fingertip relations. A sign has to
+ * hold for `minDurationMs` before it is reported, which hides one-frame misreads.
+ *
+ * Handedness: MediaPipe labels hands as if the image were mirrored. The inference
+ * worker sees the raw camera image, so labels are swapped to name the person's own
+ * left and right hand unless `inputMirrored` is set.
+ */
+
+export const HAND_SIGNS = ['ok', 'pinch', 'open_palm', 'peace', 'pointing', 'thumbs_up', 'thumbs_down', 'fist'];
+
+// Landmark chains from the wrist (0) to each fingertip
+const FINGERS = {
+    thumb: [0, 1, 2, 3, 4],
+    index: [0, 5, 6, 7, 8],
+    middle: [0, 9, 10, 11, 12],
+    ring: [0, 13, 14, 15, 16],
+    pinky: [0, 17, 18, 19, 20]
+};
+// Total bend (degrees) of a fully curled finger; the thumb only bends at MCP and IP
+const FULL_CURL = { thumb: 120, finger: 250 };
+const EXTENDED_BELOW = 0.3;
+const CURLED_ABOVE = 0.5;
+// Fingertips closer than this many palm lengths are touching
+const TOUCH_DISTANCE = 0.3;
+
+export class HandGestureRecognizer {
+    constructor({ minDurationMs = 150, inputMirrored = false } = {}) {
+        this.minDurationMs = minDurationMs;
+        this.inputMirrored = inputMirrored;
+        this.aspect = 1;
+        this.reset();
+    }
+
+    /** Landmarks are normalized; the frame's aspect ratio keeps angles true. */
+    setFrameSize(width, height) { this.aspect = width / height; }
+
+    reset() { this.hands = new Map(); }
+
+    vector(a, b) {
+        return { x: (b.x - a.x) * this.aspect, y: b.y - a.y, z: ((b.z || 0) - (a.z || 0)) * this.aspect };
+    }
+
+    length(v) { return Math.hypot(v.x, v.y, v.z); }
+
+    distance(a, b) { return this.length(this.vector(a, b)); }
+
+    // Angle in degrees between consecutive segments; 0 when the chain is straight
+    bend(a, b, c) {
+        const u = this.vector(a, b), v = this.vector(b, c);
+        const magnitude = this.length(u) * this.length(v);
+        if (magnitude === 0) return 0;
+        const cos = Math.max(-1, Math.min(1, (u.x * v.x + u.y * v.y + u.z * v.z) / magnitude));
+        return Math.acos(cos) * 180 / Math.PI;
+    }
+
+    /** @returns {Object<string, {curl: number, extended: boolean, curled: boolean}>} */
+    fingerStates(landmarks) {
+        const palm = this.distance(landmarks[0], landmarks[9]);
+        const states = {};
+        for (const [name, chain] of Object.entries(FINGERS)) {
+            const p = chain.map(i => landmarks[i]);
+            // The thumb's CMC joint always bends away from the wrist, so it is left out
+            const bends = name === 'thumb' ? [this.bend(p[1], p[2], p[3]), this.bend(p[2], p[3], p[4])]
+                : [this.bend(p[0], p[1], p[2]), this.bend(p[1], p[2], p[3]), this.bend(p[2], p[3], p[4])];
+            const total = bends.reduce((sum, b) => sum + b, 0);
+            const curl = Math.min(1, total / (name === 'thumb' ? FULL_CURL.thumb : FULL_CURL.finger));
+            let extended = curl < EXTENDED_BELOW;
+            // A straight thumb folded against the palm is not "extended"
+            if (name === 'thumb') extended = extended && palm > 0 && this.distance(landmarks[4], landmarks[5]) / palm > 0.5;
+            states[name] = { curl, extended, curled: curl > CURLED_ABOVE };
+        }
+        return states;
+    }
+
+    /** @returns {string|null} One of HAND_SIGNS, or null when no sign matches. */
+    classify(landmarks) {
+        if (!landmarks || landmarks.length < 21) return null;
+        const palm = this.distance(landmarks[0], landmarks[9]);
+        if (!(palm > 0)) return null;
+        const { thumb, index, middle, ring, pinky } = this.fingerStates(landmarks);
+        const touching = this.distance(landmarks[4], landmarks[8]) / palm < TOUCH_DISTANCE;
+        const othersCurled = middle.curled && ring.curled && pinky.curled;
+
+        if (touching && middle.extended && ring.extended && pinky.extended) return 'ok';
+        if (touching) return 'pinch';
+        if (thumb.extended && index.extended && middle.extended && ring.extended && pinky.extended) return 'open_palm';
+        if (index.extended && middle.extended && ring.curled && pinky.curled) return 'peace';
+        if (index.extended && othersCurled) return 'pointing';
+        if (index.curled && othersCurled) {
+            if (thumb.extended) {
+                const direction = this.vector(landmarks[2], landmarks[4]);
+                const vertical = -direction.y / this.length(direction);
+                if (vertical > 0.7) return 'thumbs_up';
+                if (vertical < -0.7) return 'thumbs_down';
+                return null;
+            }
+            return 'fist';
+        }
+        return null;
+    }
+
+    handLabel(handedness) {
+        const label = handedness?.[0]?.categoryName;
+        if (label !== 'Left' && label !== 'Right') return null;
+        if (this.inputMirrored) return label;
+        return label === 'Left' ? 'Right' : 'Left';
+    }
+
+    /**
+     * Classifies every hand and applies the minimum duration.
+     * @param {{landmarks: Array, handedness: Array}} handResults
+     * @param {number} timestamp - Milliseconds.
+     * @returns {Array<{hand: string|null, sign: string|null}>} One entry per hand.
+     */
+    update(handResults, timestamp) {
+        const { landmarks = [], handedness = [] } = handResults || {};
+        const seen = new Set();
+        const result = landmarks.map((hand, i) => {
+            const label = this.handLabel(handedness[i]);
+            const key = label || `hand${i}`;
+            seen.add(key);
+            const sign = this.classify(hand);
+            let state = this.hands.get(key);
+            if (!state) { state = { current: null, candidate: sign, since: timestamp }; this.hands.set(key, state); }
+            if (sign !== state.candidate) { state.candidate = sign; state.since = timestamp; }
+            if (timestamp - state.since >= this.minDurationMs) state.current = state.candidate;
+            return { hand: label, sign: state.current };
+        });
+        for (const key of this.hands.keys()) if (!seen.has(key)) this.hands.delete(key);
+        return result;
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * MIMICA - Hand Smoother
+ * Cleans up HandLandmarker results before they are drawn or recorded:
+ *   - each hand has its own Smoother keyed by handedness, so the filters do not swap
+ *     state when MediaPipe reorders the hands between frames;
+ *   - detections whose bone lengths jump impossibly are rejected as outliers;
+ *   - a hand that drops out for up to `gapMs` is filled in at its last position.
+ * Bone lengths are compared in 3D relative to the palm, so moving the hand closer to
+ * the camera or curling the fingers does not look like an outlier.
+ */
+
+import { Smoother } from './smoother.js';
+import { PoseRenderer } from './renderer.js';
+
+const HAND_LABELS = ['Left', 'Right'];
+// Wrist to middle-finger knuckle; the most rigid span of the hand
+const PALM = [0, 9];
+
+export class HandSmoother {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.alpha] - EMA alpha for the per-hand Smoothers.
+     * @param {string} [options.mode] - Smoothing mode, see SMOOTHING_MODES.
+     * @param {number} [options.maxBoneChange] - Largest relative change of a bone/palm ratio accepted per frame.
+     * @param {number} [options.maxScaleChange] - Largest relative change of palm size accepted per frame.
+     * @param {number} [options.gapMs] - How long a missing or rejected hand is filled in.
+     */
+    constructor({ alpha = 0.3, mode = 'ema', maxBoneChange = 0.4, maxScaleChange = 0.5, gapMs = 150 } = {}) {
+        this.alpha = alpha;
+        this.mode = mode;
+        this.maxBoneChange = maxBoneChange;
+        this.maxScaleChange = maxScaleChange;
+        this.gapMs = gapMs;
+        this.width = 1;
+        this.height = 1;
+        this.hands = new Map();
+        this.rejectedCount = 0;
+    }
+
+    setAlpha(alpha) {
+        this.alpha = alpha;
+        for (const hand of this.hands.values()) hand.smoother.setAlpha(alpha);
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        for (const hand of this.hands.values()) hand.smoother.setMode(mode);
+    }
+
+    /** Landmarks are normalized; the frame size restores the aspect ratio and pixel scale. */
+    setFrameSize(width, height) {
+        if (width === this.width && height === this.height) return;
+        this.width = width;
+        this.height = height;
+        this.reset();
+    }
+
+    reset() { this.hands.clear(); }
+
+    createHand() {
+        // Filters are tuned in pixels; normalized x, y and z are scaled by the frame width
+        const smoother = new Smoother(this.alpha, { mode: this.mode, groupOf: () => 'hands', unitScale: this.width });
+        return { smoother, reference: null, lastAccepted: -Infinity, landmarks: null, handedness: null };
+    }
+
+    // Pairs each detected hand with a label; a duplicate label goes to the free one
+    assignHands({ landmarks = [], handedness = [] }) {
+        const order = landmarks.map((_, i) => i).sort((a, b) => (handedness[b]?.[0]?.score ?? 0) - (handedness[a]?.[0]?.score ?? 0));
+        const assigned = new Map();
+        for (const i of order) {
+            let label = handedness[i]?.[0]?.categoryName;
+            if (!HAND_LABELS.includes(label) || assigned.has(label)) label = HAND_LABELS.find(l => !assigned.has(l));
+            if (label) assigned.set(label, { landmarks: landmarks[i], handedness: handedness[i] });
+        }
+        return assigned;
+    }
+
+    measure(landmarks) {
+        const aspect = this.width / this.height;
+        const length = (a, b) => Math.hypot(
+            (landmarks[a].x - landmarks[b].x) * aspect, landmarks[a].y - landmarks[b].y, ((landmarks[a].z || 0) - (landmarks[b].z || 0)) * aspect);
+        const palm = length(...PALM);
+        if (!(palm > 1e-6)) return null;
+        return { palm, ratios: PoseRenderer.HAND_CONNECTIONS.map(([a, b]) => length(a, b) / palm) };
+    }
+
+    isPlausible(reference, measured) {
+        if (Math.abs(measured.palm - reference.palm) / reference.palm > this.maxScaleChange) return false;
+        return measured.ratios.every((ratio, i) => Math.abs(ratio - reference.ratios[i]) <= this.maxBoneChange * reference.ratios[i]);
+    }
+
+    /**
+     * @param {{landmarks: Array, handedness: Array}} handResults - HandLandmarker output.
+     * @param {number} timestamp - Milliseconds.
+     * @returns {{landmarks: Array, handedness: Array}} Cleaned hands, Left before Right.
+     */
+    smooth(handResults, timestamp) {
+        const detected = this.assignHands(handResults);
+        const output = { landmarks: [], handedness: [] };
+
+        for (const label of HAND_LABELS) {
+            const detection = detected.get(label);
+            if (!detection && !this.hands.has(label)) continue;
+            if (!this.hands.has(label)) this.hands.set(label, this.createHand());
+            const hand = this.hands.get(label);
+
+            // After a long gap (or a long run of rejections) the hand starts afresh
+            const fresh = timestamp - hand.lastAccepted > this.gapMs;
+            const measured = detection ? this.measure(detection.landmarks) : null;
+            const accepted = measured && (fresh || !hand.reference || this.isPlausible(hand.reference, measured));
+            if (detection && !accepted) this.rejectedCount++;
+
+            if (accepted) {
+                if (fresh) { hand.smoother.reset(); hand.reference = null; }
+                hand.reference = hand.reference
+                    ? { palm: measured.palm, ratios: hand.reference.ratios.map((r, i) => r + 0.2 * (measured.ratios[i] - r)) }
+                    : measured;
+                hand.lastAccepted = timestamp;
+                hand.landmarks = hand.smoother.smooth(detection.landmarks, timestamp);
+                hand.handedness = detection.handedness;
+            } else if (fresh) {
+                if (!detection) this.hands.delete(label);
+                continue;
+            }
+            output.landmarks.push(hand.landmarks);
+            output.handedness.push(hand.handedness);
+        }
+        return output;
+    }
+}
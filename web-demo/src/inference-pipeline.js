@@ -0,0 +1,161 @@
+/**
+ * MIMICA - Inference Pipeline
+ * Main-thread side of the inference worker (poseWorker.js). Camera frames are handed
+ * to the worker as VideoFrames (or ImageBitmaps where VideoFrame is unavailable) and
+ * results come back asynchronously, stamped with the frame's capture time.
+ *
+ * At most one frame is in flight: while the worker is busy, new frames are skipped
+ * rather than queued, so results never lag further and further behind the camera.
+ * Frames are also skipped to keep inference at or below the FPS cap. Offline analysis
+ * uses process() instead, which waits its turn and never skips.
+ */
+
+// A frame may arrive this fraction of an interval early; the camera and
+// requestAnimationFrame do not tick in step, so exact spacing would drop frames
+const FRAME_TOLERANCE = 0.1;
+
+/**
+ * Drops what falls below the confidence threshold: pose joints by visibility, hands by
+ * handedness score and detections by score. Returns a new results object.
+ */
+export function applyConfidenceThreshold(results, threshold) {
+    const visible = landmark => (landmark.visibility ?? 1) >= threshold ? landmark : null;
+    const filtered = { ...results };
+    if (results.pose) {
+        filtered.pose = {
+            landmarks: (results.pose.landmarks || []).map(pose => pose.map(visible)),
+            worldLandmarks: (results.pose.worldLandmarks || []).map(pose => pose.map(visible))
+        };
+    }
+    if (results.hands) {
+        const keep = (results.hands.handedness || []).map(h => (h[0]?.score ?? 1) >= threshold);
+        filtered.hands = {
+            landmarks: results.hands.landmarks.filter((_, i) => keep[i] ?? true),
+            handedness: (results.hands.handedness || []).filter((_, i) => keep[i])
+        };
+    }
+    if (results.objects) {
+        filtered.objects = { detections: results.objects.detections.filter(d => d.categories[0].score >= threshold) };
+    }
+    return filtered;
+}
+
+function captureFrame(source, timestamp) {
+    if (typeof VideoFrame !== 'undefined') return Promise.resolve(new VideoFrame(source, { timestamp: Math.round(timestamp * 1000) }));
+    return createImageBitmap(source);
+}
+
+export class InferencePipeline {
+    /**
+     * @param {object} [options]
+     * @param {function(object)} [options.onResults] - Called with each 'results' message.
+     * @param {function(string, string, string)} [options.onStatus] - Called with (model, status, message).
+     * @param {number} [options.maxFps] - Upper bound on frames sent per second.
+     * @param {Worker} [options.worker] - Defaults to a new poseWorker.js worker.
+     * @param {function(*, number): Promise} [options.captureFrame] - Turns a source into a transferable frame.
+     * @param {{tasksVision: string, models: Object<string, string>}} [options.assets] - Runtime and model
+     *     URLs, see resolveModelAssets in model-assets.js.
+     */
+    constructor({ onResults = () => {}, onStatus = () => {}, maxFps = 30, worker = null, captureFrame: capture = captureFrame, assets = null } = {}) {
+        this.onResults = onResults;
+        this.assets = assets && { tasksVision: assets.tasksVision, models: { ...assets.models } };
+        this.onStatus = onStatus;
+        this.captureFrame = capture;
+        this.maxFps = maxFps;
+        this.enabled = {};
+        this.busy = false;
+        this.nextFrameTime = -Infinity;
+        // {resolve, reject} of callers waiting for the next results
+        this.waiting = [];
+
+        this.worker = worker || new Worker(new URL('./poseWorker.js', import.meta.url));
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => {
+            console.error('Inference worker failed:', e.message || e);
+            this.busy = false;
+            for (const [model, on] of Object.entries(this.enabled)) if (on) this.onStatus(model, 'error', 'Error');
+            for (const { reject } of this.waiting.splice(0)) reject(new Error('The inference worker failed.'));
+        };
+    }
+
+    /** @param {{pose?: boolean, hands?: boolean, objects?: boolean, segmentation?: boolean}} models */
+    configure(models) {
+        this.enabled = { ...models };
+        this.worker.postMessage({ type: 'configure', models: this.enabled, assets: this.assets });
+    }
+
+    /**
+     * Takes effect immediately; loaded models are updated in place.
+     * @param {{maxFps?: number, confidence?: number, numPoses?: number}} options
+     */
+    setOptions({ maxFps, confidence, numPoses } = {}) {
+        if (maxFps !== undefined) this.maxFps = maxFps;
+        if (confidence !== undefined || numPoses !== undefined) this.worker.postMessage({ type: 'options', confidence, numPoses });
+    }
+
+    get active() { return Object.values(this.enabled).some(Boolean); }
+
+    /**
+     * Sends a frame for inference unless the previous one is still being processed or
+     * the FPS cap has been reached.
+     * @param {HTMLVideoElement|ImageBitmap} source
+     * @param {number} timestamp - Capture time in ms, monotonic.
+     * @returns {Promise<boolean>} Whether the frame was sent.
+     */
+    async submit(source, timestamp) {
+        if (!this.active || this.busy) return false;
+        const interval = 1000 / this.maxFps;
+        if (timestamp < this.nextFrameTime - interval * FRAME_TOLERANCE) return false;
+        this.busy = true;
+        try {
+            const frame = await this.captureFrame(source, timestamp);
+            this.worker.postMessage({ type: 'frame', frame, timestamp }, [frame]);
+            // Scheduled from the ideal time so early arrivals do not raise the average rate,
+            // but never from before this frame, so a stall is not followed by a burst
+            this.nextFrameTime = Math.max(this.nextFrameTime + interval, timestamp + interval * (1 - FRAME_TOLERANCE));
+            return true;
+        } catch (error) {
+            console.warn('Could not capture a frame for inference:', error);
+            this.busy = false;
+            return false;
+        }
+    }
+
+    /**
+     * Sends a frame regardless of the FPS cap, after any frame still in flight, and
+     * resolves once its results have been delivered to onResults.
+     * @param {HTMLVideoElement|ImageBitmap} source
+     * @param {number} timestamp - Time of the frame in ms.
+     * @returns {Promise<object>} The 'results' message.
+     */
+    async process(source, timestamp) {
+        while (this.busy) await this.nextResults();
+        this.busy = true;
+        let frame;
+        try { frame = await this.captureFrame(source, timestamp); }
+        catch (error) { this.busy = false; throw error; }
+        const results = this.nextResults();
+        this.worker.postMessage({ type: 'frame', frame, timestamp }, [frame]);
+        return results;
+    }
+
+    nextResults() {
+        return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+    }
+
+    handleMessage(message) {
+        if (message.type === 'status') {
+            this.onStatus(message.model, message.status, message.message);
+        } else if (message.type === 'results') {
+            this.busy = false;
+            this.onResults(message);
+            for (const { resolve } of this.waiting.splice(0)) resolve(message);
+        }
+    }
+
+    terminate() {
+        this.worker.terminate();
+        this.busy = false;
+        for (const { reject } of this.waiting.splice(0)) reject(new Error('The inference worker was stopped.'));
+    }
+}
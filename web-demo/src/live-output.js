@@ -0,0 +1,143 @@
+/**
+ * MIMICA - Live Output
+ * Streams recording frames (see recording-schema.js) to a WebSocket as they are
+ * produced, either as JSON text messages or as binary OSC bundles (see osc.js). Frames
+ * are rate limited, and dropped while the socket is down or its send buffer is full,
+ * so a slow receiver never delays tracking. A lost connection is retried with
+ * exponential backoff.
+ */
+
+import { frameToOsc } from './osc.js';
+
+export const LIVE_OUTPUT_FORMATS = ['json', 'osc'];
+
+// A frame may arrive this fraction of an interval early, as in InferencePipeline.submit
+const SEND_TOLERANCE = 0.1;
+
+export class LiveOutput {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxRate=30] - Frames per second at most
+     * @param {number} [options.maxBufferedBytes=1048576] - Frames are dropped while more is queued
+     * @param {number} [options.minBackoffMs=1000] - First reconnect delay; doubles per failed attempt
+     * @param {number} [options.maxBackoffMs=30000]
+     * @param {function(object)} [options.onStatus] - Receives {state, url, attempt, retryInMs, sent, dropped}
+     */
+    constructor({
+        maxRate = 30, maxBufferedBytes = 1048576, minBackoffMs = 1000, maxBackoffMs = 30000, onStatus = () => {},
+        createSocket = url => new WebSocket(url), now = () => performance.now(),
+        setTimer = (fn, ms) => setTimeout(fn, ms), clearTimer = id => clearTimeout(id)
+    } = {}) {
+        this.maxRate = maxRate;
+        this.maxBufferedBytes = maxBufferedBytes;
+        this.minBackoffMs = minBackoffMs;
+        this.maxBackoffMs = maxBackoffMs;
+        this.onStatus = onStatus;
+        this.createSocket = createSocket;
+        this.now = now;
+        this.setTimer = setTimer;
+        this.clearTimer = clearTimer;
+
+        this.url = null;
+        this.format = 'json';
+        this.socket = null;
+        this.state = 'off';
+        this.attempt = 0;
+        this.retryTimer = null;
+        this.retryInMs = 0;
+        this.nextSendTime = -Infinity;
+        this.sent = 0;
+        this.dropped = 0;
+    }
+
+    get active() { return this.state !== 'off'; }
+
+    get connected() { return this.state === 'connected'; }
+
+    /** Connects to a ws:// or wss:// URL; frames are sent in `format` ('json' or 'osc'). */
+    start(url, format = 'json') {
+        let parsed;
+        try { parsed = new URL(url); } catch { throw new Error(`'${url}' is not a valid WebSocket URL.`); }
+        if (parsed.protocol !== 'ws:' && parsed.protocol !== 'wss:') throw new Error(`'${url}' is not a WebSocket URL (ws:// or wss://).`);
+        if (!LIVE_OUTPUT_FORMATS.includes(format)) throw new Error(`Unknown live output format '${format}'.`);
+        this.stop();
+        this.url = parsed.href;
+        this.format = format;
+        this.sent = 0;
+        this.dropped = 0;
+        this.attempt = 0;
+        this.nextSendTime = -Infinity;
+        this.connect();
+    }
+
+    stop() {
+        if (this.retryTimer !== null) this.clearTimer(this.retryTimer);
+        this.retryTimer = null;
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            socket.onopen = socket.onclose = socket.onerror = socket.onmessage = null;
+            socket.close();
+        }
+        if (this.state !== 'off') this.setState('off');
+    }
+
+    setMaxRate(maxRate) { this.maxRate = maxRate; }
+
+    /** Sends a frame unless rate limited or not connected; returns whether it was sent. */
+    send(frame) {
+        if (!this.active) return false;
+        const now = this.now();
+        const interval = 1000 / this.maxRate;
+        if (now < this.nextSendTime - interval * SEND_TOLERANCE) return false;
+        this.nextSendTime = Math.max(this.nextSendTime + interval, now + interval * (1 - SEND_TOLERANCE));
+        // Counted as dropped only when it was due, so the count is in frames of the output rate
+        if (!this.connected || this.socket.bufferedAmount > this.maxBufferedBytes) {
+            this.dropped++;
+            return false;
+        }
+        this.socket.send(this.format === 'osc' ? frameToOsc(frame) : JSON.stringify(frame));
+        this.sent++;
+        return true;
+    }
+
+    connect() {
+        this.retryTimer = null;
+        this.setState(this.attempt === 0 ? 'connecting' : 'reconnecting');
+        let socket;
+        try { socket = this.createSocket(this.url); }
+        catch (error) {
+            console.warn('Live output could not connect:', error);
+            this.scheduleReconnect();
+            return;
+        }
+        socket.binaryType = 'arraybuffer';
+        socket.onopen = () => {
+            this.attempt = 0;
+            this.setState('connected');
+        };
+        // An error is always followed by 'close', which schedules the retry
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.scheduleReconnect();
+        };
+        this.socket = socket;
+    }
+
+    scheduleReconnect() {
+        this.retryInMs = Math.min(this.maxBackoffMs, this.minBackoffMs * 2 ** this.attempt);
+        this.attempt++;
+        this.setState('waiting');
+        this.retryTimer = this.setTimer(() => this.connect(), this.retryInMs);
+    }
+
+    get status() {
+        return { state: this.state, url: this.url, attempt: this.attempt, retryInMs: this.retryInMs, sent: this.sent, dropped: this.dropped };
+    }
+
+    setState(state) {
+        this.state = state;
+        this.onStatus(this.status);
+    }
+}
@@ -8,8 +8,8 @@ export class PoseMapper {
         // MediaPipe pose landmark indices for important joints
         this.joints = {
             nose: 0,
-            leftEye: 1, rightEye: 2,
-            leftEar: 3, rightEar: 4,
+            leftEye: 2, rightEye: 5,
+            leftEar: 7, rightEar: 8,
             leftShoulder: 11, rightShoulder: 12,
             leftElbow: 13, rightElbow: 14,
             leftWrist: 15, rightWrist: 16,
@@ -19,7 +19,12 @@ export class PoseMapper {
         };
     }
     
-    landmarksToPoints(landmarks, width, height, mirror = true) {
+    /**
+     * Converts normalized landmarks to canvas pixels.
+     * With `depth`, points also keep `z` (scaled by width, as MediaPipe's z shares
+     * x's scale) and the per-joint `visibility`.
+     */
+    landmarksToPoints(landmarks, width, height, mirror = true, { depth = false } = {}) {
         return landmarks.map(landmark => {
             if (!landmark) return null;
             let x = landmark.x * width;
@@ -27,30 +32,70 @@ export class PoseMapper {
             if (mirror) {
                 x = width - x;
             }
-            return { x, y };
+            if (!depth) return { x, y };
+            return { x, y, z: (landmark.z || 0) * width, visibility: landmark.visibility ?? 1 };
+        });
+    }
+
+    /**
+     * Copies MediaPipe world landmarks: metric coordinates in meters with the origin
+     * between the hips, in camera orientation (never mirrored).
+     */
+    worldLandmarksToPoints(worldLandmarks) {
+        return worldLandmarks.map(landmark => {
+            if (!landmark) return null;
+            return { x: landmark.x, y: landmark.y, z: landmark.z, visibility: landmark.visibility ?? 1 };
         });
     }
     
+    /**
+     * Re-expresses a pose relative to the body: origin at the hip midpoint and one unit
+     * equal to the torso length (shoulder midpoint to hip midpoint). This makes poses
+     * comparable across resolutions and distances from the camera.
+     * @returns {Array|null} Normalized points, or null when the torso is not visible.
+     */
+    normalizePose(points) {
+        if (!points) return null;
+        const { leftShoulder, rightShoulder, leftHip, rightHip } = this.joints;
+        const [ls, rs, lh, rh] = [points[leftShoulder], points[rightShoulder], points[leftHip], points[rightHip]];
+        if (!ls || !rs || !lh || !rh) return null;
+        const hipMid = { x: (lh.x + rh.x) / 2, y: (lh.y + rh.y) / 2 };
+        const torsoLength = this.distance(hipMid, { x: (ls.x + rs.x) / 2, y: (ls.y + rs.y) / 2 });
+        if (torsoLength < 1e-6) return null;
+        return points.map(p => {
+            if (!p) return null;
+            const normalized = { ...p, x: (p.x - hipMid.x) / torsoLength, y: (p.y - hipMid.y) / torsoLength };
+            if (typeof p.z === 'number') normalized.z = p.z / torsoLength;
+            return normalized;
+        });
+    }
+
     applyIK(points) {
         if (!points || points.length < 33) return points;
         
         const result = [...points];
         
-        const leftArm = this.solveIK(points[this.joints.leftShoulder], points[this.joints.leftElbow], points[this.joints.leftWrist]);
+        const leftArm = this.solveArm(points[this.joints.leftShoulder], points[this.joints.leftElbow], points[this.joints.leftWrist]);
         if (leftArm) {
-            result[this.joints.leftElbow] = leftArm.elbow;
+            result[this.joints.leftElbow] = { ...points[this.joints.leftElbow], ...leftArm.elbow };
             result[this.joints.leftWrist] = leftArm.wrist;
         }
 
-        const rightArm = this.solveIK(points[this.joints.rightShoulder], points[this.joints.rightElbow], points[this.joints.rightWrist]);
+        const rightArm = this.solveArm(points[this.joints.rightShoulder], points[this.joints.rightElbow], points[this.joints.rightWrist]);
         if (rightArm) {
-            result[this.joints.rightElbow] = rightArm.elbow;
+            result[this.joints.rightElbow] = { ...points[this.joints.rightElbow], ...rightArm.elbow };
             result[this.joints.rightWrist] = rightArm.wrist;
         }
         
         return result;
     }
 
+    // Points carrying depth are solved in 3D so the elbow keeps its original bend plane
+    solveArm(p1, p2, p3) {
+        const hasDepth = [p1, p2, p3].every(p => p && typeof p.z === 'number');
+        return hasDepth ? this.solveIK3D(p1, p2, p3) : this.solveIK(p1, p2, p3);
+    }
+
     solveIK(p1, p2, p3) {
         if (!p1 || !p2 || !p3) return null;
 
@@ -83,19 +128,56 @@ export class PoseMapper {
         return { elbow: newElbow, wrist: target };
     }
 
+    solveIK3D(p1, p2, p3) {
+        if (!p1 || !p2 || !p3) return null;
+
+        const l1 = this.distance(p1, p2);
+        const l2 = this.distance(p2, p3);
+
+        let target = { ...p3 };
+        let dist = this.distance(p1, target);
+        if (dist < 0.001) return { elbow: { ...p2 }, wrist: target };
+
+        const dir = this.normalize(this.subtract(target, p1));
+        if (dist > l1 + l2) {
+            target = { ...target, ...this.add(p1, this.multiply(dir, l1 + l2)) };
+            dist = l1 + l2;
+        }
+
+        // Bend towards the original elbow: the pole is its offset perpendicular to the arm
+        const toElbow = this.subtract(p2, p1);
+        const pole = this.subtract(toElbow, this.multiply(dir, this.dot(toElbow, dir)));
+        if (Math.hypot(pole.x, pole.y, pole.z) < 0.0001) return { elbow: { ...p2 }, wrist: target };
+
+        const along = (l1 * l1 + dist * dist - l2 * l2) / (2 * dist);
+        const height = Math.sqrt(Math.max(0, l1 * l1 - along * along));
+        const newElbow = this.add(this.add(p1, this.multiply(dir, along)), this.multiply(this.normalize(pole), height));
+
+        return { elbow: newElbow, wrist: target };
+    }
+
+    // Vector helpers work in 2D, and in 3D when both operands carry z
     distance(p1, p2) {
         if (!p1 || !p2) return 0;
-        return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+        const dz = typeof p1.z === 'number' && typeof p2.z === 'number' ? p2.z - p1.z : 0;
+        return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2) + dz * dz);
     }
 
-    subtract(p1, p2) { return { x: p1.x - p2.x, y: p1.y - p2.y }; }
-    add(p1, p2) { return { x: p1.x + p2.x, y: p1.y + p2.y }; }
-    multiply(p, scalar) { return { x: p.x * scalar, y: p.y * scalar }; }
+    subtract(p1, p2) { return this.withZ({ x: p1.x - p2.x, y: p1.y - p2.y }, p1, p2, (a, b) => a - b); }
+    add(p1, p2) { return this.withZ({ x: p1.x + p2.x, y: p1.y + p2.y }, p1, p2, (a, b) => a + b); }
+    multiply(p, scalar) { return typeof p.z === 'number' ? { x: p.x * scalar, y: p.y * scalar, z: p.z * scalar } : { x: p.x * scalar, y: p.y * scalar }; }
+    dot(p1, p2) { return p1.x * p2.x + p1.y * p2.y + ((p1.z ?? 0) * (p2.z ?? 0)); }
+
+    withZ(result, p1, p2, op) {
+        if (typeof p1.z === 'number' && typeof p2.z === 'number') result.z = op(p1.z, p2.z);
+        return result;
+    }
 
     normalize(p) {
-        const mag = Math.sqrt(p.x * p.x + p.y * p.y);
-        if (mag === 0) return { x: 0, y: 0 };
-        return { x: p.x / mag, y: p.y / mag };
+        const hasZ = typeof p.z === 'number';
+        const mag = Math.sqrt(p.x * p.x + p.y * p.y + (hasZ ? p.z * p.z : 0));
+        if (mag === 0) return hasZ ? { x: 0, y: 0, z: 0 } : { x: 0, y: 0 };
+        return hasZ ? { x: p.x / mag, y: p.y / mag, z: p.z / mag } : { x: p.x / mag, y: p.y / mag };
     }
     
     static lerp(a, b, t) { return a + (b - a) * t; }
@@ -103,9 +185,13 @@ export class PoseMapper {
     static lerpPoint(p1, p2, t) {
         if (!p1) return p2 ? { ...p2 } : null;
         if (!p2) return p1 ? { ...p1 } : null;
-        return {
+        const point = {
             x: PoseMapper.lerp(p1.x, p2.x, t),
             y: PoseMapper.lerp(p1.y, p2.y, t)
         };
+        if (typeof p1.z === 'number' && typeof p2.z === 'number') point.z = PoseMapper.lerp(p1.z, p2.z, t);
+        // Visibility is a per-frame confidence, so it follows the latest detection
+        if (p2.visibility !== undefined) point.visibility = p2.visibility;
+        return point;
     }
 }
\ No newline at end of file
@@ -0,0 +1,267 @@
+/**
+ * MIMICA - Matting
+ * Replaces the background and applies per-class effects on the GPU, using the category
+ * mask of the selfie multiclass segmentation model. One WebGL pass per frame: the mask
+ * is sampled around each pixel to feather the edges, the background is replaced (solid
+ * color, image or video, blur, or transparency) and hair and clothes can be recolored.
+ * The video and mask are uploaded as textures; nothing is read back to the CPU.
+ */
+
+// Category ids of selfie_multiclass_256x256
+export const MATTING_CLASSES = { background: 0, hair: 1, bodySkin: 2, faceSkin: 3, clothes: 4, others: 5 };
+
+// Background modes in shader order; 'image' is an image or a video
+const MODE_INDEX = { none: 0, color: 1, image: 2, blur: 3, transparent: 4 };
+
+const VERTEX_SHADER = `
+attribute vec2 aPosition;
+varying vec2 vUv;
+void main() {
+    // Texture rows are uploaded top first, so v grows downwards
+    vUv = vec2(aPosition.x * 0.5 + 0.5, 0.5 - aPosition.y * 0.5);
+    gl_Position = vec4(aPosition, 0.0, 1.0);
+}`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+varying vec2 vUv;
+uniform sampler2D uVideo;
+uniform sampler2D uMask;
+uniform sampler2D uBackground;
+uniform vec2 uVideoTexel;
+uniform vec2 uMaskTexel;
+uniform float uFeather;
+uniform int uMode;
+uniform vec3 uColor;
+uniform vec2 uBackgroundScale;
+uniform vec2 uBackgroundOffset;
+uniform float uBlur;
+uniform vec3 uHairColor;
+uniform float uHairStrength;
+uniform vec3 uClothesColor;
+uniform float uClothesStrength;
+
+const vec3 LUMA = vec3(0.299, 0.587, 0.114);
+
+float isClass(float category, float id) { return 1.0 - step(0.5, abs(category - id)); }
+
+// The tint at the pixel's own brightness, so shading and texture survive
+vec3 recolor(vec3 color, vec3 tint, float amount) {
+    vec3 tinted = clamp(tint * dot(color, LUMA) / max(dot(tint, LUMA), 0.05), 0.0, 1.0);
+    return mix(color, tinted, amount);
+}
+
+// Disc blur, samples spread by the golden angle
+vec3 blurVideo(vec2 uv) {
+    vec3 sum = vec3(0.0);
+    for (int i = 0; i < 32; i++) {
+        float radius = sqrt((float(i) + 0.5) / 32.0) * uBlur;
+        float angle = float(i) * 2.39996323;
+        sum += texture2D(uVideo, uv + vec2(cos(angle), sin(angle)) * radius * uVideoTexel).rgb;
+    }
+    return sum / 32.0;
+}
+
+void main() {
+    // Share of each class in a 5x5 neighborhood of the mask; its spread is the feather
+    float person = 0.0;
+    float hair = 0.0;
+    float clothes = 0.0;
+    for (int y = -2; y <= 2; y++) {
+        for (int x = -2; x <= 2; x++) {
+            vec2 offset = vec2(float(x), float(y)) * 0.5 * uFeather * uMaskTexel;
+            float category = floor(texture2D(uMask, vUv + offset).r * 255.0 + 0.5);
+            person += 1.0 - isClass(category, 0.0);
+            hair += isClass(category, 1.0);
+            clothes += isClass(category, 4.0);
+        }
+    }
+    float alpha = smoothstep(0.1, 0.9, person / 25.0);
+
+    vec3 video = texture2D(uVideo, vUv).rgb;
+    vec3 color = recolor(video, uHairColor, uHairStrength * hair / 25.0);
+    color = recolor(color, uClothesColor, uClothesStrength * clothes / 25.0);
+
+    vec4 background = vec4(0.0);
+    if (uMode == 0) background = vec4(video, 1.0);
+    else if (uMode == 1) background = vec4(uColor, 1.0);
+    else if (uMode == 2) background = vec4(texture2D(uBackground, vUv * uBackgroundScale + uBackgroundOffset).rgb, 1.0);
+    else if (uMode == 3) background = vec4(blurVideo(vUv), 1.0);
+
+    // Premultiplied, as the canvas expects
+    gl_FragColor = vec4(color * alpha + background.rgb * background.a * (1.0 - alpha), alpha + background.a * (1.0 - alpha));
+}`;
+
+/** '#rrggbb' as [r, g, b] in 0..1; anything else is black. */
+export function hexToRgb(hex) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(String(hex).trim());
+    if (!match) return [0, 0, 0];
+    const value = parseInt(match[1], 16);
+    return [(value >> 16) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255];
+}
+
+/**
+ * Maps output coordinates to background coordinates so the background covers the
+ * output, centered, like CSS object-fit: cover. Mirrored output is drawn flipped, so
+ * the background is flipped here to end up the right way round.
+ * @returns {{scale: number[], offset: number[]}} background uv = uv * scale + offset
+ */
+export function coverTransform(sourceWidth, sourceHeight, width, height, mirrored = false) {
+    const fit = Math.max(width / sourceWidth, height / sourceHeight);
+    const fx = width / (sourceWidth * fit), fy = height / (sourceHeight * fit);
+    const scale = [fx, fy], offset = [(1 - fx) / 2, (1 - fy) / 2];
+    if (mirrored) { scale[0] = -fx; offset[0] = 1 - offset[0]; }
+    return { scale, offset };
+}
+
+/** Whether matting changes anything with these settings. */
+export function mattingActive(background, effects) {
+    return (background?.mode || 'none') !== 'none' || (effects?.hairStrength || 0) > 0 || (effects?.clothesStrength || 0) > 0;
+}
+
+const sourceSize = source => [
+    source.videoWidth || source.naturalWidth || source.width || 0,
+    source.videoHeight || source.naturalHeight || source.height || 0
+];
+
+export class WebGLMatting {
+    /** A matting renderer, or null where WebGL is unavailable. */
+    static create(canvas = document.createElement('canvas')) {
+        const gl = canvas.getContext('webgl', { premultipliedAlpha: true, preserveDrawingBuffer: true });
+        if (!gl) return null;
+        try { return new WebGLMatting(canvas, gl); }
+        catch (error) {
+            console.warn('WebGL matting is unavailable:', error);
+            return null;
+        }
+    }
+
+    constructor(canvas, gl) {
+        this.canvas = canvas;
+        this.gl = gl;
+        this.program = this.createProgram(VERTEX_SHADER, FRAGMENT_SHADER);
+        this.uniforms = {};
+        const count = gl.getProgramParameter(this.program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < count; i++) {
+            const { name } = gl.getActiveUniform(this.program, i);
+            this.uniforms[name] = gl.getUniformLocation(this.program, name);
+        }
+
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        const position = gl.getAttribLocation(this.program, 'aPosition');
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+        // Categories must not be interpolated; the feather does the smoothing
+        this.textures = {
+            video: this.createTexture(0, gl.LINEAR),
+            mask: this.createTexture(1, gl.NEAREST),
+            background: this.createTexture(2, gl.LINEAR)
+        };
+        gl.useProgram(this.program);
+        gl.uniform1i(this.uniforms.uVideo, 0);
+        gl.uniform1i(this.uniforms.uMask, 1);
+        gl.uniform1i(this.uniforms.uBackground, 2);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+
+        this.lastMask = null;
+        this.lastBackground = null;
+    }
+
+    createProgram(vertexSource, fragmentSource) {
+        const { gl } = this;
+        const program = gl.createProgram();
+        for (const [type, source] of [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]]) {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(shader));
+            gl.attachShader(program, shader);
+        }
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(program));
+        return program;
+    }
+
+    createTexture(unit, filter) {
+        const { gl } = this;
+        const texture = gl.createTexture();
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        return { texture, unit };
+    }
+
+    upload({ texture, unit }, source) {
+        const { gl } = this;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    }
+
+    /**
+     * Renders one frame in the video's orientation; the caller mirrors it if needed.
+     * @param {CanvasImageSource} source - The video frame.
+     * @param {{width: number, height: number, mask: Uint8Array}} segmentation
+     * @param {object} options
+     * @param {number} options.width - Output size
+     * @param {number} options.height
+     * @param {boolean} [options.mirrored] - Whether the output will be drawn mirrored
+     * @param {{mode: string, color?: string, image?: CanvasImageSource, blur?: number}} options.background
+     * @param {{feather?: number, hairColor?: string, hairStrength?: number, clothesColor?: string, clothesStrength?: number}} [options.effects]
+     * @returns {HTMLCanvasElement|null} The output canvas, or null if the WebGL context was lost.
+     */
+    render(source, segmentation, { width, height, mirrored = false, background, effects = {} }) {
+        const { gl, canvas, uniforms } = this;
+        if (gl.isContextLost()) return null;
+        if (canvas.width !== width || canvas.height !== height) { canvas.width = width; canvas.height = height; }
+        gl.viewport(0, 0, width, height);
+        gl.useProgram(this.program);
+
+        this.upload(this.textures.video, source);
+        if (segmentation !== this.lastMask) {
+            this.lastMask = segmentation;
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, this.textures.mask.texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, segmentation.width, segmentation.height, 0, gl.LUMINANCE, gl.UNSIGNED_BYTE, segmentation.mask);
+        }
+
+        let mode = MODE_INDEX[background?.mode] ?? 0;
+        const media = background?.image;
+        if (mode === MODE_INDEX.image) {
+            const [mediaWidth, mediaHeight] = media ? sourceSize(media) : [0, 0];
+            if (!mediaWidth || !mediaHeight) mode = MODE_INDEX.transparent;
+            else {
+                // An image is uploaded once, a video every frame
+                if (media !== this.lastBackground || media.videoWidth) this.upload(this.textures.background, media);
+                this.lastBackground = media;
+                const { scale, offset } = coverTransform(mediaWidth, mediaHeight, width, height, mirrored);
+                gl.uniform2fv(uniforms.uBackgroundScale, scale);
+                gl.uniform2fv(uniforms.uBackgroundOffset, offset);
+            }
+        }
+
+        const [videoWidth, videoHeight] = sourceSize(source);
+        gl.uniform2f(uniforms.uVideoTexel, 1 / (videoWidth || width), 1 / (videoHeight || height));
+        gl.uniform2f(uniforms.uMaskTexel, 1 / segmentation.width, 1 / segmentation.height);
+        gl.uniform1f(uniforms.uFeather, effects.feather ?? 2);
+        gl.uniform1i(uniforms.uMode, mode);
+        gl.uniform3fv(uniforms.uColor, hexToRgb(background?.color || '#00ff00'));
+        // The blur radius is in output pixels, the texel size in video pixels
+        gl.uniform1f(uniforms.uBlur, (background?.blur ?? 12) * (videoWidth || width) / width);
+        gl.uniform3fv(uniforms.uHairColor, hexToRgb(effects.hairColor));
+        gl.uniform1f(uniforms.uHairStrength, effects.hairStrength || 0);
+        gl.uniform3fv(uniforms.uClothesColor, hexToRgb(effects.clothesColor));
+        gl.uniform1f(uniforms.uClothesStrength, effects.clothesStrength || 0);
+
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        return canvas;
+    }
+}
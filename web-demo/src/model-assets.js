@@ -0,0 +1,95 @@
+/**
+ * MIMICA - Model Assets
+ * Where the WASM runtimes, model files and CDN libraries are loaded from. By default
+ * everything comes from public CDNs. With a model base URL set, the same files are
+ * read from a self-hosted model pack instead, so the app runs without internet access.
+ * `npm run fetch-models` downloads the pack; serve it and point the app at it.
+ *
+ * Model pack layout, relative to the base URL:
+ *   manifest.json            - {version, files}: every file below, for the service worker
+ *   tasks-vision/            - vision_bundle.cjs and wasm/ (MediaPipe runtime)
+ *   mediapipe/               - .task and .tflite model files
+ *   tesseract/               - tesseract.min.js, worker.min.js, core/ and lang/
+ */
+
+// Bump when the pack's contents change, so installed packs are replaced
+export const MODEL_PACK_VERSION = 2;
+
+const TASKS_VISION_CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.12';
+const MEDIAPIPE_MODELS_CDN = 'https://storage.googleapis.com/mediapipe-models';
+const TESSERACT_CDN = 'https://unpkg.com/tesseract.js@5.0.0/dist';
+const TESSERACT_CORE_CDN = 'https://unpkg.com/tesseract.js-core@5.0.0';
+const TESSDATA_CDN = 'https://tessdata.projectnaptha.com/4.0.0_best_int';
+
+const WASM_FILES = ['vision_wasm_internal.js', 'vision_wasm_internal.wasm', 'vision_wasm_nosimd_internal.js', 'vision_wasm_nosimd_internal.wasm'];
+// The LSTM-only builds, with and without SIMD; Tesseract picks one at runtime
+const TESSERACT_CORE_FILES = ['tesseract-core-lstm.wasm.js', 'tesseract-core-simd-lstm.wasm.js'];
+
+// Pack file name and CDN source of each inference worker model
+const MEDIAPIPE_MODELS = {
+    pose: ['pose_landmarker_lite.task', `${MEDIAPIPE_MODELS_CDN}/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task`],
+    hands: ['hand_landmarker.task', `${MEDIAPIPE_MODELS_CDN}/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`],
+    face: ['face_landmarker.task', `${MEDIAPIPE_MODELS_CDN}/face_landmarker/face_landmarker/float16/1/face_landmarker.task`],
+    objects: ['efficientdet_lite0.tflite', `${MEDIAPIPE_MODELS_CDN}/object_detector/efficientdet_lite0/float16/1/efficientdet_lite0.tflite`],
+    segmentation: ['selfie_multiclass_256x256.tflite', `${MEDIAPIPE_MODELS_CDN}/image_segmenter/selfie_multiclass_256x256/float32/latest/selfie_multiclass_256x256.tflite`]
+};
+
+/** Every file of the model pack as {path, url}: its place in the pack and its CDN source. */
+export const MODEL_PACK_FILES = [
+    { path: 'tasks-vision/vision_bundle.cjs', url: `${TASKS_VISION_CDN}/vision_bundle.cjs` },
+    ...WASM_FILES.map(name => ({ path: `tasks-vision/wasm/${name}`, url: `${TASKS_VISION_CDN}/wasm/${name}` })),
+    ...Object.values(MEDIAPIPE_MODELS).map(([name, url]) => ({ path: `mediapipe/${name}`, url })),
+    { path: 'tesseract/tesseract.min.js', url: `${TESSERACT_CDN}/tesseract.min.js` },
+    { path: 'tesseract/worker.min.js', url: `${TESSERACT_CDN}/worker.min.js` },
+    ...TESSERACT_CORE_FILES.map(name => ({ path: `tesseract/core/${name}`, url: `${TESSERACT_CORE_CDN}/${name}` })),
+    { path: 'tesseract/lang/eng.traineddata.gz', url: `${TESSDATA_CDN}/eng.traineddata.gz` }
+];
+
+/**
+ * @param {string} [baseUrl] - Model pack location; empty for the public CDNs. May be
+ *     relative to `relativeTo` (e.g. 'models').
+ * @param {string} [relativeTo] - Usually document.baseURI.
+ * @returns {{selfHosted: boolean, baseUrl: string|null, tasksVision: string, models: Object<string, string>,
+ *     tesseract: {script: string, options: object}}}
+ */
+export function resolveModelAssets(baseUrl = '', relativeTo = undefined) {
+    const trimmed = (baseUrl || '').trim();
+    if (!trimmed) {
+        return {
+            selfHosted: false,
+            baseUrl: null,
+            tasksVision: TASKS_VISION_CDN,
+            models: Object.fromEntries(Object.entries(MEDIAPIPE_MODELS).map(([key, [, url]]) => [key, url])),
+            // Tesseract's own defaults
+            tesseract: { script: `${TESSERACT_CDN}/tesseract.min.js`, options: {} }
+        };
+    }
+    let base;
+    try { base = new URL(trimmed.replace(/\/*$/, '/'), relativeTo).href.replace(/\/$/, ''); }
+    catch { throw new Error(`'${trimmed}' is not a valid model source URL.`); }
+    return {
+        selfHosted: true,
+        baseUrl: base,
+        tasksVision: `${base}/tasks-vision`,
+        models: Object.fromEntries(Object.entries(MEDIAPIPE_MODELS).map(([key, [name]]) => [key, `${base}/mediapipe/${name}`])),
+        tesseract: {
+            script: `${base}/tesseract/tesseract.min.js`,
+            options: { workerPath: `${base}/tesseract/worker.min.js`, corePath: `${base}/tesseract/core`, langPath: `${base}/tesseract/lang` }
+        }
+    };
+}
+
+/** Adds a classic script to the page once; resolves when it has run. */
+export function loadScript(url) {
+    const existing = document.querySelector(`script[data-src="${url}"]`);
+    if (existing) return existing.loaded;
+    const script = document.createElement('script');
+    script.src = url;
+    script.dataset.src = url;
+    script.loaded = new Promise((resolve, reject) => {
+        script.onload = resolve;
+        script.onerror = () => { script.remove(); reject(new Error(`Could not load ${url}`)); };
+    });
+    document.head.appendChild(script);
+    return script.loaded;
+}
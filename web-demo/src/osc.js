@@ -0,0 +1,127 @@
+/**
+ * MIMICA - OSC Encoding
+ * Encodes recording frames (see recording-schema.js) as OSC 1.0 bundles, one bundle
+ * per frame, for OSC-over-WebSocket output. scripts/live-relay.js forwards the
+ * bundles as UDP packets to OSC hosts such as TouchDesigner or Max/MSP.
+ *
+ * Address scheme (i = int32, f = float32, s = string); per-frame values only appear
+ * when the model that produces them is enabled:
+ *   /mimica/frame                  i timestamp (ms)  i number of people
+ *   /mimica/person/<id>/pose       f x y z visibility, for each of the 33 landmarks;
+ *                                  x and y are 0..1 in the image, a missing landmark is 0 0 0 0
+ *   /mimica/person/<id>/world      f x y z for each of the 33 landmarks, in meters (3D capture)
+ *   /mimica/person/<id>/action     s action  f confidence
+ *   /mimica/hand/<n>/landmarks     f x y z for each of the 21 landmarks, 0..1 in the image
+ *   /mimica/hand/<n>/sign          s handedness  s sign ('' when none)
+ *   /mimica/expression             s expression  f confidence
+ *   /mimica/face/blendshapes       f the 52 blendshape scores, in BLENDSHAPE_NAMES order (face-analysis.js)
+ *   /mimica/face/headpose          f yaw pitch roll (degrees)
+ *   /mimica/gaze                   s region  i at camera (0 or 1)  f yaw pitch  f x y z (unit vector)
+ *   /mimica/gaze/headpose          f yaw pitch roll (degrees), from the face or the body pose
+ *   /mimica/angle/<name>           f angle (degrees)  f velocity (degrees/s), for each recorded joint
+ *                                  angle that is measurable (see biomechanics.js)
+ *   /mimica/objects                i number of objects
+ *   /mimica/object/<n>             s label  f score  f x y width height (pixels)
+ *   /mimica/ocr                    s recognized text
+ * Person ids are the persistent tracking ids; hands and objects are numbered from 0.
+ */
+
+import { BLENDSHAPE_NAMES } from './face-analysis.js';
+
+const encoder = new TextEncoder();
+
+// OSC strings are NUL-terminated and padded to a multiple of 4 bytes
+function oscString(value) {
+    const bytes = encoder.encode(value);
+    const padded = new Uint8Array((bytes.length + 4) & ~3);
+    padded.set(bytes);
+    return padded;
+}
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) { out.set(part, offset); offset += part.length; }
+    return out;
+}
+
+/**
+ * @param {string} address - e.g. '/mimica/frame'
+ * @param {string} types - One type tag per argument: 'i', 'f' or 's'
+ * @param {Array<number|string>} args
+ * @returns {Uint8Array}
+ */
+export function encodeOscMessage(address, types, args = []) {
+    if (types.length !== args.length) throw new Error(`${address}: ${types.length} type tags for ${args.length} arguments`);
+    const parts = [oscString(address), oscString(`,${types}`)];
+    for (let i = 0; i < args.length; i++) {
+        if (types[i] === 's') { parts.push(oscString(String(args[i]))); continue; }
+        const bytes = new Uint8Array(4);
+        const view = new DataView(bytes.buffer);
+        if (types[i] === 'i') view.setInt32(0, Math.round(args[i]));
+        else if (types[i] === 'f') view.setFloat32(0, args[i]);
+        else throw new Error(`${address}: unsupported OSC type '${types[i]}'`);
+        parts.push(bytes);
+    }
+    return concat(parts);
+}
+
+/** A bundle of encoded messages with the "immediately" time tag. */
+export function encodeOscBundle(messages) {
+    const parts = [oscString('#bundle'), new Uint8Array([0, 0, 0, 0, 0, 0, 0, 1])];
+    for (const message of messages) {
+        const size = new Uint8Array(4);
+        new DataView(size.buffer).setInt32(0, message.length);
+        parts.push(size, message);
+    }
+    return concat(parts);
+}
+
+const flatten = (points, fields) => points.flatMap(p => fields.map(field => (p && typeof p[field] === 'number' ? p[field] : 0)));
+
+/** The OSC bundle for one recording frame, following the address scheme above. */
+export function frameToOsc(frame) {
+    const messages = [];
+    const add = (address, types, args) => messages.push(encodeOscMessage(address, types, args));
+    const people = frame.people || [];
+    add('/mimica/frame', 'ii', [frame.timestamp, people.length]);
+    for (const person of people) {
+        const base = `/mimica/person/${person.id}`;
+        if (person.pose) {
+            const values = flatten(person.pose, ['x', 'y', 'z', 'visibility']);
+            add(`${base}/pose`, 'f'.repeat(values.length), values);
+        }
+        if (person.poseWorld) {
+            const values = flatten(person.poseWorld, ['x', 'y', 'z']);
+            add(`${base}/world`, 'f'.repeat(values.length), values);
+        }
+        add(`${base}/action`, 'sf', [person.action, person.actionConfidence]);
+    }
+    (frame.hands || []).forEach((landmarks, n) => {
+        const values = flatten(landmarks, ['x', 'y', 'z']);
+        add(`/mimica/hand/${n}/landmarks`, 'f'.repeat(values.length), values);
+    });
+    (frame.handSigns || []).forEach(({ hand, sign }, n) => add(`/mimica/hand/${n}/sign`, 'ss', [hand || '', sign || '']));
+    if (frame.expression) add('/mimica/expression', 'sf', [frame.expression, frame.expressionConfidence ?? 0]);
+    if (frame.face) {
+        add('/mimica/face/blendshapes', 'f'.repeat(BLENDSHAPE_NAMES.length), BLENDSHAPE_NAMES.map(name => frame.face.blendshapes[name] ?? 0));
+        const pose = frame.face.headPose;
+        if (pose) add('/mimica/face/headpose', 'fff', [pose.yaw, pose.pitch, pose.roll]);
+    }
+    if (frame.gaze) {
+        const { region, atCamera, yaw, pitch, vector, headPose } = frame.gaze;
+        add('/mimica/gaze', 'sifffff', [region, atCamera ? 1 : 0, yaw, pitch, vector.x, vector.y, vector.z]);
+        add('/mimica/gaze/headpose', 'fff', [headPose.yaw, headPose.pitch, headPose.roll]);
+    }
+    for (const [name, { angle, velocity }] of Object.entries(frame.angles || {})) {
+        if (angle !== null) add(`/mimica/angle/${name}`, 'ff', [angle, velocity ?? 0]);
+    }
+    if (frame.objects) {
+        add('/mimica/objects', 'i', [frame.objects.length]);
+        frame.objects.forEach(({ label, score, box }, n) => {
+            add(`/mimica/object/${n}`, 'sfffff', [label, score, box.originX, box.originY, box.width, box.height]);
+        });
+    }
+    if (frame.ocr) add('/mimica/ocr', 's', [frame.ocr.map(word => word.text).join(' ')]);
+    return encodeOscBundle(messages);
+}
@@ -0,0 +1,116 @@
+/**
+ * MIMICA - Person Tracker
+ * Gives every detected pose a persistent ID. PoseLandmarker returns people in no
+ * particular order, so each frame's detections are matched to the existing tracks by
+ * bounding-box overlap and skeleton similarity, best pairs first. A track that goes
+ * unmatched is kept for `maxMissedMs`, so someone who is briefly occluded gets their
+ * ID back instead of a new one.
+ *
+ * Each track carries the object returned by `createState(id)` (smoothers, action
+ * recognizers, ...), which lives and dies with the track.
+ */
+
+export class PersonTracker {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxMissedMs] - How long an unmatched track is kept.
+     * @param {number} [options.minSimilarity] - Pairs scoring below this, in [0, 1], are never matched.
+     * @param {function(number): object} [options.createState] - Per-person state for a new track.
+     */
+    constructor({ maxMissedMs = 1000, minSimilarity = 0.2, createState = () => ({}) } = {}) {
+        this.maxMissedMs = maxMissedMs;
+        this.minSimilarity = minSimilarity;
+        this.createState = createState;
+        this.reset();
+    }
+
+    reset() {
+        this.tracks = new Map();
+        this.nextId = 1;
+    }
+
+    boundingBox(points) {
+        let box = null;
+        for (const p of points || []) {
+            if (!p) continue;
+            if (!box) box = { minX: p.x, minY: p.y, maxX: p.x, maxY: p.y };
+            else {
+                box.minX = Math.min(box.minX, p.x); box.maxX = Math.max(box.maxX, p.x);
+                box.minY = Math.min(box.minY, p.y); box.maxY = Math.max(box.maxY, p.y);
+            }
+        }
+        return box;
+    }
+
+    iou(a, b) {
+        const w = Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX);
+        const h = Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY);
+        if (w <= 0 || h <= 0) return 0;
+        const area = box => (box.maxX - box.minX) * (box.maxY - box.minY);
+        const intersection = w * h;
+        return intersection / (area(a) + area(b) - intersection);
+    }
+
+    // Mean distance of the joints both skeletons have, relative to the box diagonal
+    skeletonSimilarity(a, b, box) {
+        const diagonal = Math.hypot(box.maxX - box.minX, box.maxY - box.minY);
+        let sum = 0, count = 0;
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            if (!a[i] || !b[i]) continue;
+            sum += Math.hypot(a[i].x - b[i].x, a[i].y - b[i].y);
+            count++;
+        }
+        if (count === 0 || diagonal === 0) return 0;
+        return Math.max(0, 1 - sum / count / diagonal);
+    }
+
+    similarity(track, detection) {
+        return (this.iou(track.box, detection.box) + this.skeletonSimilarity(track.points, detection.points, detection.box)) / 2;
+    }
+
+    /**
+     * @param {Array<Array>} poses - One array of points {x, y} (or null) per detected person, in any units.
+     * @param {number} timestamp - Milliseconds.
+     * @returns {Array<{id: number, index: number, state: object}>} The people seen in this frame,
+     *     ordered by ID; `index` is the position of their pose in `poses`.
+     */
+    update(poses, timestamp) {
+        const detections = poses.map((points, index) => ({ points, index, box: this.boundingBox(points) })).filter(d => d.box);
+
+        const pairs = [];
+        for (const track of this.tracks.values()) {
+            for (const detection of detections) {
+                const score = this.similarity(track, detection);
+                if (score >= this.minSimilarity) pairs.push({ track, detection, score });
+            }
+        }
+        pairs.sort((a, b) => b.score - a.score);
+
+        const matches = new Map();
+        const matchedTracks = new Set();
+        for (const { track, detection } of pairs) {
+            if (matches.has(detection) || matchedTracks.has(track)) continue;
+            matches.set(detection, track);
+            matchedTracks.add(track);
+        }
+
+        const seen = [];
+        for (const detection of detections) {
+            let track = matches.get(detection);
+            if (!track) {
+                const id = this.nextId++;
+                track = { id, state: this.createState(id) };
+                this.tracks.set(id, track);
+            }
+            track.points = detection.points;
+            track.box = detection.box;
+            track.lastSeen = timestamp;
+            seen.push({ id: track.id, index: detection.index, state: track.state });
+        }
+
+        for (const [id, track] of this.tracks) {
+            if (timestamp - track.lastSeen > this.maxMissedMs) this.tracks.delete(id);
+        }
+        return seen.sort((a, b) => a.id - b.id);
+    }
+}
@@ -1,24 +1,208 @@
 /**
- * MIMICA - Pose Detection Web Worker
- * Fallback worker for pose detection (not used in current implementation)
- * Main thread handles pose detection directly for simplicity
+ * MIMICA - Inference Web Worker
+ * Runs the enabled MediaPipe tasks-vision models off the main thread, so a slow model
+ * never stalls rendering. Driven by InferencePipeline (inference-pipeline.js).
+ *
+ * Messages in:
+ *   {type: 'configure', models: {pose, hands, face, objects, segmentation}, assets} - booleans;
+ *       enabled models are loaded, disabled ones are closed to free their memory. `assets`
+ *       ({tasksVision, models}, see model-assets.js) says where the runtime and model
+ *       files are; it is read when the runtime and each model are first loaded.
+ *   {type: 'options', confidence?, numPoses?} - minimum detection confidence in [0, 1]
+ *       and the most people the pose model looks for; applied to loaded models
+ *       immediately and to models loaded later.
+ *   {type: 'frame', frame, timestamp} - a transferred VideoFrame or ImageBitmap and its
+ *       capture time in ms. The frame is closed here once processed. Timestamps may
+ *       jump back (e.g. a video file after the camera); the models still see them rising.
+ * Messages out:
+ *   {type: 'status', model, status: 'loading' | 'ready' | 'not-loaded' | 'error', message}
+ *   {type: 'results', timestamp, inferenceMs, pose, hands, face, objects, segmentation} -
+ *       one per frame, stamped with the frame's capture time. A field is null when its
+ *       model did not run; segmentation is {width, height, mask: Uint8Array of category ids};
+ *       face is {landmarks, blendshapes, matrices} with one entry per face: 478 landmarks,
+ *       a {name: score} map of the 52 blendshapes and the 16 numbers (column-major) of
+ *       the 4x4 head transformation matrix.
  */
 
-// Web Worker for pose detection - currently unused but provided for future enhancement
-// The main thread handles MediaPipe directly for better compatibility
-
-self.onmessage = function(e) {
-    const { imageData, settings } = e.data;
-    
-    // This would handle pose detection in a worker thread
-    // Currently, we use main thread for MediaPipe compatibility
-    // Future enhancement could move MediaPipe processing here
-    
-    console.log('PoseWorker: Received imageData, but using main thread processing');
-    
-    // Echo back that we're using main thread
-    self.postMessage({
-        type: 'fallback',
-        message: 'Using main thread pose detection for compatibility'
-    });
-};
\ No newline at end of file
+// `task` names the tasks-vision class; `runtimeOptions` maps the app's settings onto
+// each task's own options
+const MODELS = {
+    pose: {
+        task: 'PoseLandmarker',
+        runtimeOptions: ({ confidence: c, numPoses }) => ({ minPoseDetectionConfidence: c, minPosePresenceConfidence: c, minTrackingConfidence: c, numPoses }),
+        options: {
+            baseOptions: { delegate: 'CPU' },
+            runningMode: 'VIDEO'
+        }
+    },
+    hands: {
+        task: 'HandLandmarker',
+        runtimeOptions: ({ confidence: c }) => ({ minHandDetectionConfidence: c, minHandPresenceConfidence: c, minTrackingConfidence: c }),
+        options: {
+            baseOptions: { delegate: 'CPU' },
+            runningMode: 'VIDEO', numHands: 2
+        }
+    },
+    face: {
+        task: 'FaceLandmarker',
+        runtimeOptions: ({ confidence: c }) => ({ minFaceDetectionConfidence: c, minFacePresenceConfidence: c, minTrackingConfidence: c }),
+        options: {
+            baseOptions: { delegate: 'CPU' },
+            runningMode: 'VIDEO', numFaces: 1,
+            outputFaceBlendshapes: true, outputFacialTransformationMatrixes: true
+        }
+    },
+    objects: {
+        task: 'ObjectDetector',
+        runtimeOptions: ({ confidence: c }) => ({ scoreThreshold: c }),
+        options: {
+            baseOptions: { delegate: 'CPU' },
+            runningMode: 'VIDEO', maxResults: 5
+        }
+    },
+    segmentation: {
+        task: 'ImageSegmenter',
+        runtimeOptions: () => ({}),
+        options: {
+            baseOptions: { delegate: 'CPU' },
+            runningMode: 'VIDEO', outputCategoryMask: true
+        }
+    }
+};
+
+const models = Object.fromEntries(Object.keys(MODELS).map(key => [key, { instance: null, loading: false }]));
+let enabled = {};
+let assets = null;
+let tasksVision = null;
+const settings = { confidence: 0.5, numPoses: 1 };
+let vision = null;
+// VIDEO mode tasks reject timestamps that do not increase; after a jump back, later
+// frames are shifted by an offset that keeps their spacing
+let lastModelTime = -Infinity;
+let timeOffset = 0;
+
+function postStatus(model, status, message) {
+    self.postMessage({ type: 'status', model, status, message });
+}
+
+// Only classic workers can run the WASM loader (it uses importScripts), and classic
+// workers cannot import ES modules, so the CommonJS build of tasks-vision is used
+function loadTasksVision() {
+    if (!tasksVision) {
+        self.exports = {};
+        self.module = { exports: self.exports };
+        importScripts(`${assets.tasksVision}/vision_bundle.cjs`);
+        tasksVision = self.module.exports;
+    }
+    return tasksVision;
+}
+
+async function loadModel(key) {
+    const state = models[key];
+    if (state.instance || state.loading) return;
+    state.loading = true;
+    postStatus(key, 'loading', 'Loading...');
+    try {
+        const runtime = loadTasksVision();
+        if (!vision) vision = runtime.FilesetResolver.forVisionTasks(`${assets.tasksVision}/wasm`);
+        const { task, options, runtimeOptions } = MODELS[key];
+        const baseOptions = { ...options.baseOptions, modelAssetPath: assets.models[key] };
+        state.instance = await runtime[task].createFromOptions(await vision, { ...options, baseOptions, ...runtimeOptions(settings) });
+        // Disabled again while it was loading
+        if (!enabled[key]) unloadModel(key);
+        else postStatus(key, 'ready', 'Ready');
+    } catch (error) {
+        console.error(`Failed to load the ${key} model:`, error);
+        postStatus(key, 'error', 'Error');
+    } finally {
+        state.loading = false;
+    }
+}
+
+function unloadModel(key) {
+    const state = models[key];
+    // A model that is still loading is unloaded by loadModel once it is ready
+    if (!state.instance) return;
+    state.instance.close();
+    state.instance = null;
+    postStatus(key, 'not-loaded', 'Not Loaded');
+}
+
+async function applyOptions({ confidence, numPoses }) {
+    if (confidence !== undefined) settings.confidence = confidence;
+    if (numPoses !== undefined) settings.numPoses = numPoses;
+    for (const [key, state] of Object.entries(models)) {
+        const options = MODELS[key].runtimeOptions(settings);
+        if (!state.instance || Object.keys(options).length === 0) continue;
+        try { await state.instance.setOptions(options); }
+        catch (error) { console.warn(`Could not update the ${key} model's options:`, error); }
+    }
+}
+
+function isRunnable(key) { return enabled[key] && models[key].instance; }
+
+async function processFrame(frame, timestamp) {
+    const started = performance.now();
+    const results = { type: 'results', timestamp, inferenceMs: 0, pose: null, hands: null, face: null, objects: null, segmentation: null };
+    const transfer = [];
+    if (timestamp + timeOffset <= lastModelTime) timeOffset = lastModelTime + 1 - timestamp;
+    const modelTime = lastModelTime = timestamp + timeOffset;
+    let image = frame;
+    // Results are always posted, errors included: the pipeline sends no frame until they arrive
+    try {
+        // tasks-vision sizes its input from width/height, which VideoFrames do not have
+        if (typeof VideoFrame !== 'undefined' && frame instanceof VideoFrame) image = await createImageBitmap(frame);
+        if (isRunnable('pose')) {
+            const { landmarks, worldLandmarks } = models.pose.instance.detectForVideo(image, modelTime);
+            results.pose = { landmarks, worldLandmarks };
+        }
+        if (isRunnable('hands')) {
+            const { landmarks, handedness } = models.hands.instance.detectForVideo(image, modelTime);
+            results.hands = { landmarks, handedness };
+        }
+        if (isRunnable('face')) {
+            const { faceLandmarks, faceBlendshapes, facialTransformationMatrixes } = models.face.instance.detectForVideo(image, modelTime);
+            results.face = {
+                landmarks: faceLandmarks,
+                blendshapes: (faceBlendshapes || []).map(({ categories }) => Object.fromEntries(categories.map(c => [c.categoryName, c.score]))),
+                matrices: (facialTransformationMatrixes || []).map(matrix => Array.from(matrix.data))
+            };
+        }
+        if (isRunnable('objects')) {
+            results.objects = { detections: models.objects.instance.detectForVideo(image, modelTime).detections };
+        }
+        if (isRunnable('segmentation')) {
+            // The mask is only valid inside the callback, so it is copied out
+            models.segmentation.instance.segmentForVideo(image, modelTime, result => {
+                const mask = result.categoryMask;
+                if (!mask) return;
+                results.segmentation = { width: mask.width, height: mask.height, mask: mask.getAsUint8Array().slice() };
+                transfer.push(results.segmentation.mask.buffer);
+            });
+        }
+    } catch (error) {
+        console.error('Inference failed:', error);
+        results.error = error.message;
+    } finally {
+        if (image !== frame) image.close();
+        frame.close();
+    }
+    results.inferenceMs = performance.now() - started;
+    self.postMessage(results, transfer);
+}
+
+self.onmessage = (e) => {
+    const message = e.data;
+    if (message.type === 'configure') {
+        enabled = { ...message.models };
+        if (message.assets) assets = message.assets;
+        for (const key of Object.keys(MODELS)) {
+            if (enabled[key]) loadModel(key);
+            else unloadModel(key);
+        }
+    } else if (message.type === 'options') {
+        applyOptions(message);
+    } else if (message.type === 'frame') {
+        processFrame(message.frame, message.timestamp).catch(error => console.error('Could not post inference results:', error));
+    }
+};
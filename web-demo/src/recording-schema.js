@@ -0,0 +1,419 @@
+/**
+ * MIMICA - Recording Schema
+ * Versioned description of the JSON produced by the record button, shared by the
+ * live app (writer) and the Data to Video Renderer (reader).
+ *
+ * Coordinate spaces and units (version 2):
+ *   timestamp  - integer milliseconds since the recording started.
+ *   action, actionConfidence, pose and poseWorld describe the first tracked person
+ *   (lowest ID); `people` has the same fields for everyone in frame.
+ *   action     - action name, stabilized over a window of recent frames.
+ *   actionConfidence - optional, confidence of `action` in [0, 1].
+ *   pose       - 33 MediaPipe pose landmarks as {x, y}, normalized to [0, 1] of the
+ *                source frame, in camera orientation (NOT mirrored). null when absent.
+ *                With 3D capture, points also carry z (same scale as x, hips = 0) and
+ *                visibility in [0, 1].
+ *   poseWorld  - optional, 3D capture only: 33 {x, y, z, visibility} MediaPipe world
+ *                landmarks in meters, origin between the hips, y pointing down.
+ *   people     - optional, one {id, action, actionConfidence, pose, poseWorld} per tracked
+ *                person, ordered by id. An id (positive integer) stays with a person
+ *                for as long as they are tracked.
+ *   hands      - one array of 21 {x, y, z} landmarks per detected hand, same space as
+ *                pose; z is MediaPipe's relative depth (wrist = 0, smaller = closer).
+ *   handSigns  - optional, one {hand, sign} per tracked hand: hand is 'Left', 'Right' (the
+ *                person's own hands) or null; sign is a HAND_SIGNS name or null.
+ *   expression - with face tracking on, one of the EXPRESSIONS in face-analysis.js, or
+ *                'none' without a face in view. null when face tracking is off.
+ *   expressionConfidence - optional, confidence of `expression` in [0, 1].
+ *   face       - optional, the first face in view as {blendshapes, headPose, matrix}:
+ *                blendshapes maps the 52 FaceLandmarker blendshape names to scores in
+ *                [0, 1]; headPose is {yaw, pitch, roll} in degrees (see face-analysis.js);
+ *                matrix is the 4x4 head transformation matrix, 16 numbers column-major,
+ *                translation in centimeters. null when no face is in view.
+ *   gaze       - optional, {source, headPose, yaw, pitch, vector, region, atCamera} from
+ *                gaze.js: source is 'face' or 'pose'; angles in degrees, camera orientation;
+ *                vector is a unit {x, y, z}; region is a GAZE_REGIONS name. null when no
+ *                head is in view.
+ *   angles     - optional, the joint angles chosen for recording (see biomechanics.js) as
+ *                {name: {angle, velocity}}: degrees and degrees per second of the first
+ *                tracked person, null while not measurable.
+ *   objects    - {label, score, box}; box is {originX, originY, width, height} in
+ *                source pixels, camera orientation. score is in [0, 1].
+ *   ocr        - {text, confidence, bbox}; bbox is {x0, y0, x1, y1} in canvas pixels,
+ *                display orientation (mirrored when metadata.mirrored is true), since
+ *                text is read from the rendered canvas. confidence is in [0, 100].
+ *   metadata.mirrored tells a replayer whether the live preview was shown mirrored.
+ *   metadata.rangeOfMotion is optional: {name: {min, max, range}} in degrees for each
+ *   recorded angle, over the whole recording.
+ *   metadata.source is optional: the file name when the recording was made by analyzing
+ *   a video file, whose frames are then timestamped on the file's own timeline.
+ *
+ * Besides frames, a recording may carry `events`: what happened when, as
+ * {type, start, end, duration} in ms on the frames' timeline, ordered by start. An
+ * optional confidence is in [0, 1]. Types:
+ *   looking_at_camera, looking_away - from gaze.js
+ *   action, expression, gesture - segments of the frames' labels, from event-timeline.js:
+ *         {label, confidence}; actions of tracked people carry personId, gestures hand
+ *   object_appeared, object_disappeared, ocr_scan - discrete (end === start), from
+ *         event-timeline.js: {label, confidence}; an OCR scan's label is the text read
+ *   rep - one exercise repetition, from exercise-counter.js: {exercise, rep (the count
+ *         so far), downMs, upMs, depth (the extreme joint angle, degrees), flags (form
+ *         issue ids)}
+ * Events may carry more fields, depending on their type.
+ */
+
+export const RECORDING_SCHEMA = 'mimica.recording';
+export const RECORDING_SCHEMA_VERSION = 2;
+
+export class RecordingValidationError extends Error {
+    constructor(errors) {
+        const shown = errors.slice(0, 5).join('\n');
+        const more = errors.length > 5 ? `\n...and ${errors.length - 5} more` : '';
+        super(`Invalid MIMICA recording:\n${shown}${more}`);
+        this.name = 'RecordingValidationError';
+        this.errors = errors;
+    }
+}
+
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+const isObject = v => typeof v === 'object' && v !== null && !Array.isArray(v);
+
+export function parseResolution(value) {
+    const match = typeof value === 'string' ? /^(\d+)x(\d+)$/.exec(value) : null;
+    return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+}
+
+function roundCoord(v) { return Math.round(v * 1e4) / 1e4; }
+
+/**
+ * Converts display-space pose points (pixels, possibly mirrored) into the
+ * normalized camera-space points stored in a recording.
+ */
+export function poseToRecordingSpace(points, width, height, mirrored) {
+    if (!points) return null;
+    return points.map(p => {
+        if (!p) return null;
+        const x = mirrored ? width - p.x : p.x;
+        const point = { x: roundCoord(x / width), y: roundCoord(p.y / height) };
+        if (typeof p.z === 'number') point.z = roundCoord(p.z / width);
+        if (typeof p.visibility === 'number') point.visibility = roundCoord(p.visibility);
+        return point;
+    });
+}
+
+export function worldPoseToRecordingSpace(points) {
+    if (!points) return null;
+    return points.map(p => p ? { x: roundCoord(p.x), y: roundCoord(p.y), z: roundCoord(p.z), visibility: roundCoord(p.visibility ?? 1) } : null);
+}
+
+const round = (value, scale) => Math.round(value * scale) / scale;
+
+/** The recorded part of a tracked face (see face-analysis.js), or null. */
+export function faceToRecordingSpace(face) {
+    if (!face) return null;
+    return {
+        blendshapes: Object.fromEntries(Object.entries(face.blendshapes).map(([name, score]) => [name, roundCoord(score)])),
+        headPose: face.headPose && { yaw: round(face.headPose.yaw, 10), pitch: round(face.headPose.pitch, 10), roll: round(face.headPose.roll, 10) },
+        matrix: face.matrix && face.matrix.map(roundCoord)
+    };
+}
+
+/** The recorded part of a gaze estimate (see gaze.js), or null. */
+export function gazeToRecordingSpace(gaze) {
+    if (!gaze) return null;
+    const { source, headPose, yaw, pitch, vector, region, atCamera } = gaze;
+    return {
+        source,
+        headPose: { yaw: round(headPose.yaw, 10), pitch: round(headPose.pitch, 10), roll: round(headPose.roll, 10) },
+        yaw: round(yaw, 10), pitch: round(pitch, 10),
+        vector: { x: roundCoord(vector.x), y: roundCoord(vector.y), z: roundCoord(vector.z) },
+        region, atCamera
+    };
+}
+
+/**
+ * The chosen angles of BiomechanicsTracker metrics, rounded to 0.1.
+ * @param {Object<string, {angle: number|null, velocity: number|null}>|null} metrics
+ * @param {string[]} names
+ */
+export function anglesToRecording(metrics, names) {
+    const value = v => (typeof v === 'number' ? round(v, 10) : null);
+    return Object.fromEntries(names.map(name => [name, { angle: value(metrics?.[name]?.angle), velocity: value(metrics?.[name]?.velocity) }]));
+}
+
+export function createMetadata({ durationMs, width, height, mirrored, models, source }) {
+    const metadata = {
+        schema: RECORDING_SCHEMA,
+        version: RECORDING_SCHEMA_VERSION,
+        date: new Date().toISOString(),
+        durationMs,
+        sourceResolution: `${width}x${height}`,
+        mirrored: !!mirrored,
+        models: { ...models }
+    };
+    if (source) metadata.source = source;
+    return metadata;
+}
+
+// --- Migrations: each step takes a recording of version N and returns version N + 1 ---
+
+const MIGRATIONS = {
+    // Version 1 (unversioned files) stored pose as rounded, display-space pixels.
+    // The live view was mirrored unless the user turned it off; that was not recorded,
+    // so the app default (mirrored) is assumed.
+    1: (recording) => {
+        const metadata = recording.metadata || {};
+        const resolution = parseResolution(metadata.sourceResolution);
+        const frames = recording.frames.map((frame, i) => {
+            if (!frame || !Array.isArray(frame.pose)) return frame;
+            if (!resolution) {
+                throw new RecordingValidationError([`frames[${i}].pose: cannot migrate pixel coordinates without metadata.sourceResolution`]);
+            }
+            return { ...frame, pose: poseToRecordingSpace(frame.pose, resolution.width, resolution.height, true) };
+        });
+        return {
+            ...recording,
+            metadata: {
+                ...metadata,
+                schema: RECORDING_SCHEMA,
+                version: 2,
+                mirrored: true,
+                models: metadata.models || {},
+                migratedFrom: 1
+            },
+            frames
+        };
+    }
+};
+
+export function getRecordingVersion(recording) {
+    const version = recording?.metadata?.version;
+    return version === undefined ? 1 : version;
+}
+
+/**
+ * Upgrades a parsed recording to the current schema version. Returns a new object;
+ * the input is not modified.
+ */
+export function migrateRecording(recording) {
+    if (!isObject(recording) || !Array.isArray(recording.frames)) {
+        throw new RecordingValidationError(["root: expected an object with a 'frames' array"]);
+    }
+    let version = getRecordingVersion(recording);
+    if (!Number.isInteger(version) || version < 1) {
+        throw new RecordingValidationError([`metadata.version: expected a positive integer, got ${JSON.stringify(version)}`]);
+    }
+    if (version > RECORDING_SCHEMA_VERSION) {
+        throw new RecordingValidationError([`metadata.version: file uses version ${version}, this build reads up to ${RECORDING_SCHEMA_VERSION}`]);
+    }
+    let result = recording;
+    while (version < RECORDING_SCHEMA_VERSION) {
+        result = MIGRATIONS[version](result);
+        version++;
+    }
+    return result;
+}
+
+// --- Validation ---
+
+function checkPoint(point, path, errors, { requireZ = false } = {}) {
+    if (point === null) return;
+    if (!isObject(point)) { errors.push(`${path}: expected a point object or null`); return; }
+    if (!isNumber(point.x)) errors.push(`${path}.x: expected a number`);
+    if (!isNumber(point.y)) errors.push(`${path}.y: expected a number`);
+    if ((requireZ || point.z !== undefined) && !isNumber(point.z)) errors.push(`${path}.z: expected a number`);
+    if (point.visibility !== undefined && !(isNumber(point.visibility) && point.visibility >= 0 && point.visibility <= 1)) {
+        errors.push(`${path}.visibility: expected a number between 0 and 1`);
+    }
+}
+
+// The per-person fields, found on frames (first person) and in frame.people
+function checkPerson(person, path, errors) {
+    if (person.action !== undefined && person.action !== null && typeof person.action !== 'string') {
+        errors.push(`${path}.action: expected a string or null`);
+    }
+
+    if (person.actionConfidence !== undefined && person.actionConfidence !== null &&
+        !(isNumber(person.actionConfidence) && person.actionConfidence >= 0 && person.actionConfidence <= 1)) {
+        errors.push(`${path}.actionConfidence: expected a number between 0 and 1 or null`);
+    }
+
+    if (person.pose !== undefined && person.pose !== null) {
+        if (!Array.isArray(person.pose)) errors.push(`${path}.pose: expected an array or null`);
+        else person.pose.forEach((p, j) => checkPoint(p, `${path}.pose[${j}]`, errors));
+    }
+
+    if (person.poseWorld !== undefined && person.poseWorld !== null) {
+        if (!Array.isArray(person.poseWorld)) errors.push(`${path}.poseWorld: expected an array or null`);
+        else person.poseWorld.forEach((p, j) => checkPoint(p, `${path}.poseWorld[${j}]`, errors, { requireZ: true }));
+    }
+}
+
+function checkFace(face, path, errors) {
+    if (!isObject(face)) { errors.push(`${path}: expected an object or null`); return; }
+    if (!isObject(face.blendshapes) || !Object.values(face.blendshapes).every(isNumber)) {
+        errors.push(`${path}.blendshapes: expected an object of numbers`);
+    }
+    const pose = face.headPose;
+    if (pose !== null && !(isObject(pose) && isNumber(pose.yaw) && isNumber(pose.pitch) && isNumber(pose.roll))) {
+        errors.push(`${path}.headPose: expected {yaw, pitch, roll} or null`);
+    }
+    if (face.matrix !== null && !(Array.isArray(face.matrix) && face.matrix.length === 16 && face.matrix.every(isNumber))) {
+        errors.push(`${path}.matrix: expected 16 numbers or null`);
+    }
+}
+
+function checkGaze(gaze, path, errors) {
+    if (!isObject(gaze)) { errors.push(`${path}: expected an object or null`); return; }
+    if (gaze.source !== 'face' && gaze.source !== 'pose') errors.push(`${path}.source: expected 'face' or 'pose'`);
+    const pose = gaze.headPose;
+    if (!(isObject(pose) && isNumber(pose.yaw) && isNumber(pose.pitch) && isNumber(pose.roll))) {
+        errors.push(`${path}.headPose: expected {yaw, pitch, roll}`);
+    }
+    if (!isNumber(gaze.yaw) || !isNumber(gaze.pitch)) errors.push(`${path}: expected numeric yaw and pitch`);
+    const v = gaze.vector;
+    if (!(isObject(v) && isNumber(v.x) && isNumber(v.y) && isNumber(v.z))) errors.push(`${path}.vector: expected {x, y, z}`);
+    if (typeof gaze.region !== 'string') errors.push(`${path}.region: expected a string`);
+    if (typeof gaze.atCamera !== 'boolean') errors.push(`${path}.atCamera: expected a boolean`);
+}
+
+function checkEvent(event, i, errors) {
+    const path = `events[${i}]`;
+    if (!isObject(event)) { errors.push(`${path}: expected an object`); return; }
+    if (typeof event.type !== 'string' || !event.type) errors.push(`${path}.type: expected a string`);
+    if (!isNumber(event.start) || event.start < 0) errors.push(`${path}.start: expected a non-negative number of milliseconds`);
+    if (!isNumber(event.end) || event.end < event.start) errors.push(`${path}.end: expected a number no earlier than start`);
+    if (event.duration !== undefined && !isNumber(event.duration)) errors.push(`${path}.duration: expected a number`);
+    if (event.confidence !== undefined && !(isNumber(event.confidence) && event.confidence >= 0 && event.confidence <= 1)) {
+        errors.push(`${path}.confidence: expected a number in [0, 1]`);
+    }
+}
+
+function checkFrame(frame, i, previousTimestamp, errors) {
+    const path = `frames[${i}]`;
+    if (!isObject(frame)) { errors.push(`${path}: expected an object`); return; }
+
+    if (!isNumber(frame.timestamp) || frame.timestamp < 0) {
+        errors.push(`${path}.timestamp: expected a non-negative number of milliseconds`);
+    } else if (previousTimestamp !== null && frame.timestamp < previousTimestamp) {
+        errors.push(`${path}.timestamp: ${frame.timestamp} is earlier than the previous frame (${previousTimestamp})`);
+    }
+
+    if (frame.expression !== undefined && frame.expression !== null && typeof frame.expression !== 'string') {
+        errors.push(`${path}.expression: expected a string or null`);
+    }
+    if (frame.expressionConfidence !== undefined && frame.expressionConfidence !== null && !isNumber(frame.expressionConfidence)) {
+        errors.push(`${path}.expressionConfidence: expected a number or null`);
+    }
+    if (frame.face !== undefined && frame.face !== null) checkFace(frame.face, `${path}.face`, errors);
+    if (frame.gaze !== undefined && frame.gaze !== null) checkGaze(frame.gaze, `${path}.gaze`, errors);
+
+    checkPerson(frame, path, errors);
+
+    if (frame.people !== undefined && frame.people !== null) {
+        if (!Array.isArray(frame.people)) errors.push(`${path}.people: expected an array or null`);
+        else frame.people.forEach((person, j) => {
+            const personPath = `${path}.people[${j}]`;
+            if (!isObject(person)) { errors.push(`${personPath}: expected an object`); return; }
+            if (!Number.isInteger(person.id) || person.id < 1) errors.push(`${personPath}.id: expected a positive integer`);
+            checkPerson(person, personPath, errors);
+        });
+    }
+
+    if (frame.hands !== undefined && frame.hands !== null) {
+        if (!Array.isArray(frame.hands)) errors.push(`${path}.hands: expected an array or null`);
+        else frame.hands.forEach((hand, h) => {
+            if (!Array.isArray(hand)) { errors.push(`${path}.hands[${h}]: expected an array of landmarks`); return; }
+            hand.forEach((p, j) => checkPoint(p, `${path}.hands[${h}][${j}]`, errors));
+        });
+    }
+
+    if (frame.handSigns !== undefined && frame.handSigns !== null) {
+        if (!Array.isArray(frame.handSigns)) errors.push(`${path}.handSigns: expected an array or null`);
+        else frame.handSigns.forEach((h, j) => {
+            const validHand = isObject(h) && (h.hand === null || h.hand === 'Left' || h.hand === 'Right');
+            if (!validHand || (h.sign !== null && typeof h.sign !== 'string')) {
+                errors.push(`${path}.handSigns[${j}]: expected {hand: 'Left' | 'Right' | null, sign: string | null}`);
+            }
+        });
+    }
+
+    if (frame.angles !== undefined && frame.angles !== null) {
+        if (!isObject(frame.angles)) errors.push(`${path}.angles: expected an object or null`);
+        else for (const [name, value] of Object.entries(frame.angles)) {
+            const valid = isObject(value) && (value.angle === null || isNumber(value.angle)) && (value.velocity === null || isNumber(value.velocity));
+            if (!valid) errors.push(`${path}.angles.${name}: expected {angle, velocity}, numbers or null`);
+        }
+    }
+
+    if (frame.objects !== undefined && frame.objects !== null) {
+        if (!Array.isArray(frame.objects)) errors.push(`${path}.objects: expected an array or null`);
+        else frame.objects.forEach((o, j) => {
+            if (!isObject(o) || typeof o.label !== 'string' || !isNumber(o.score) || !isObject(o.box)) {
+                errors.push(`${path}.objects[${j}]: expected {label, score, box}`);
+            }
+        });
+    }
+
+    if (frame.ocr !== undefined && !Array.isArray(frame.ocr)) {
+        errors.push(`${path}.ocr: expected an array`);
+    }
+}
+
+/**
+ * Checks a recording against the current schema version.
+ * @returns {string[]} Human-readable errors, each prefixed with the JSON path at fault.
+ */
+export function validateRecording(recording) {
+    const errors = [];
+    if (!isObject(recording)) return ['root: expected an object'];
+
+    const metadata = recording.metadata;
+    if (!isObject(metadata)) {
+        errors.push('metadata: expected an object');
+    } else {
+        if (metadata.schema !== RECORDING_SCHEMA) errors.push(`metadata.schema: expected '${RECORDING_SCHEMA}'`);
+        if (metadata.version !== RECORDING_SCHEMA_VERSION) errors.push(`metadata.version: expected ${RECORDING_SCHEMA_VERSION}`);
+        if (!parseResolution(metadata.sourceResolution)) errors.push("metadata.sourceResolution: expected a 'WIDTHxHEIGHT' string");
+        if (typeof metadata.mirrored !== 'boolean') errors.push('metadata.mirrored: expected a boolean');
+        if (!isObject(metadata.models)) errors.push('metadata.models: expected an object');
+        if (metadata.durationMs !== undefined && !isNumber(metadata.durationMs)) errors.push('metadata.durationMs: expected a number');
+        if (metadata.source !== undefined && typeof metadata.source !== 'string') errors.push('metadata.source: expected a string');
+        if (metadata.rangeOfMotion !== undefined) {
+            const ranges = metadata.rangeOfMotion;
+            const valid = isObject(ranges) && Object.values(ranges).every(r => isObject(r) && isNumber(r.min) && isNumber(r.max) && isNumber(r.range));
+            if (!valid) errors.push('metadata.rangeOfMotion: expected {name: {min, max, range}}');
+        }
+    }
+
+    if (!Array.isArray(recording.frames)) {
+        errors.push("frames: expected an array");
+        return errors;
+    }
+    let previousTimestamp = null;
+    recording.frames.forEach((frame, i) => {
+        checkFrame(frame, i, previousTimestamp, errors);
+        if (isObject(frame) && isNumber(frame.timestamp)) previousTimestamp = frame.timestamp;
+    });
+    if (recording.events !== undefined) {
+        if (!Array.isArray(recording.events)) errors.push('events: expected an array');
+        else recording.events.forEach((event, i) => checkEvent(event, i, errors));
+    }
+    return errors;
+}
+
+/**
+ * Loads a recording from JSON text or an already-parsed object: migrates it to the
+ * current version and validates it. Throws RecordingValidationError on failure.
+ */
+export function loadRecording(input) {
+    let parsed = input;
+    if (typeof input === 'string') {
+        try { parsed = JSON.parse(input); }
+        catch (error) { throw new RecordingValidationError([`root: not valid JSON (${error.message})`]); }
+    }
+    const recording = migrateRecording(parsed);
+    const errors = validateRecording(recording);
+    if (errors.length > 0) throw new RecordingValidationError(errors);
+    return recording;
+}
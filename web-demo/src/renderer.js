@@ -2,18 +2,34 @@
  * MIMICA - Pose Rendering Helper
  */
 export class PoseRenderer {
+    static HAND_CONNECTIONS = [[0, 1], [1, 2], [2, 3], [3, 4], [0, 5], [5, 6], [6, 7], [7, 8], [5, 9], [9, 10], [10, 11], [11, 12], [9, 13], [13, 14], [14, 15], [15, 16], [13, 17], [0, 17], [17, 18], [18, 19], [19, 20]];
+    // Closed outlines through FaceLandmarker's 478 landmarks; 468-477 are the irises
+    static FACE_CONTOURS = {
+        oval: [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109],
+        lips: [61, 146, 91, 181, 84, 17, 314, 405, 321, 375, 291, 409, 270, 269, 267, 0, 37, 39, 40, 185],
+        rightEye: [33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246],
+        leftEye: [263, 249, 390, 373, 374, 380, 381, 382, 362, 398, 384, 385, 386, 387, 388, 466],
+        rightIris: [469, 470, 471, 472],
+        leftIris: [474, 475, 476, 477]
+    };
+    static POSE_CONNECTIONS = [[0, 1], [1, 2], [2, 3], [3, 7], [0, 4], [4, 5], [5, 6], [6, 8], [9, 10], [11, 12], [11, 13], [12, 14], [13, 15], [14, 16], [15, 17], [16, 18], [15, 19], [15, 21], [16, 20], [16, 22], [11, 23], [12, 24], [23, 24], [23, 25], [24, 26], [25, 27], [26, 28], [27, 29], [28, 30], [27, 31], [28, 32], [29, 31], [30, 32]];
+
     constructor(ctx) {
         this.ctx = ctx;
         
-        this.POSE_CONNECTIONS = [[0, 1], [1, 2], [2, 3], [3, 7], [0, 4], [4, 5], [5, 6], [6, 8], [9, 10], [11, 12], [11, 13], [12, 14], [13, 15], [14, 16], [15, 17], [16, 18], [15, 19], [15, 21], [16, 20], [16, 22], [11, 23], [12, 24], [23, 24], [23, 25], [24, 26], [25, 27], [26, 28], [27, 29], [28, 30], [27, 31], [28, 32], [29, 31], [30, 32]];
-        this.HAND_CONNECTIONS = [[0, 1], [1, 2], [2, 3], [3, 4], [0, 5], [5, 6], [6, 7], [7, 8], [5, 9], [9, 10], [10, 11], [11, 12], [9, 13], [13, 14], [14, 15], [15, 16], [13, 17], [0, 17], [17, 18], [18, 19], [19, 20]];
+        this.POSE_CONNECTIONS = PoseRenderer.POSE_CONNECTIONS;
+        this.HAND_CONNECTIONS = PoseRenderer.HAND_CONNECTIONS;
 
         this.colors = {
             joints: '#00ff88', bones: '#ffffff', face: '#ffaa00', torso: '#00aaff',
             leftArm: '#ff6600', rightArm: '#ff0066', leftLeg: '#66ff00', rightLeg: '#0066ff',
-            characterStroke: '#1a1a1a', hand: '#ff55aa', objectBox: '#00aaff', ocrBox: '#f0ad4e'
+            characterStroke: '#1a1a1a', hand: '#ff55aa', objectBox: '#00aaff', ocrBox: '#f0ad4e',
+            gazeAtCamera: '#00ff88', gazeAway: '#ffaa00', exerciseText: '#ffffff', formIssue: '#ffaa00'
         };
         
+        // One per tracked person, cycled by ID
+        this.personColors = ['#00aaff', '#ff6600', '#66ff00', '#ff0066', '#ffdd00', '#aa66ff'];
+
         this.segmentationColors = [
             [0, 0, 0, 0], [128, 64, 128, 128], [244, 35, 232, 128], [70, 70, 70, 128],
             [102, 102, 156, 128], [190, 153, 153, 128], [153, 153, 153, 128], [250, 170, 30, 128],
@@ -64,33 +80,38 @@ export class PoseRenderer {
         });
     }
 
+    /**
+     * @param {{width: number, height: number, mask: Uint8Array}} segmentationResult - Category id per pixel.
+     */
     drawImageSegmentation(segmentationResult, mirror) {
-        if (!segmentationResult || !segmentationResult.categoryMask) return;
+        if (!segmentationResult || !segmentationResult.mask) return;
         
-        const { categoryMask, width, height } = segmentationResult;
-        const imageData = this.ctx.createImageData(width, height);
-        const pixelData = imageData.data;
-        const maskData = categoryMask.getAsUint8Array();
-
-        for (let i = 0; i < maskData.length; i++) {
-            const maskValue = maskData[i];
-            const color = this.segmentationColors[maskValue] || [0, 0, 0, 0];
-            const pixelIndex = i * 4;
-            pixelData[pixelIndex] = color[0];
-            pixelData[pixelIndex + 1] = color[1];
-            pixelData[pixelIndex + 2] = color[2];
-            pixelData[pixelIndex + 3] = color[3];
+        const { mask: maskData, width, height } = segmentationResult;
+        // Drawn synchronously through a reused canvas, so the overlay keeps its place among the layers
+        if (this.segmentationCanvas?.width !== width || this.segmentationCanvas?.height !== height) {
+            this.segmentationCanvas = document.createElement('canvas');
+            this.segmentationCanvas.width = width;
+            this.segmentationCanvas.height = height;
+            this.segmentationImage = this.segmentationCanvas.getContext('2d').createImageData(width, height);
         }
-        
-        createImageBitmap(imageData).then(bitmap => {
-            this.ctx.save();
-            if (mirror) {
-                this.ctx.scale(-1, 1);
-                this.ctx.translate(-width, 0);
+        if (this.paintedSegmentation !== segmentationResult) {
+            this.paintedSegmentation = segmentationResult;
+            const pixelData = this.segmentationImage.data;
+            for (let i = 0; i < maskData.length; i++) {
+                const color = this.segmentationColors[maskData[i]] || [0, 0, 0, 0];
+                pixelData.set(color, i * 4);
             }
-            this.ctx.drawImage(bitmap, 0, 0, width, height);
-            this.ctx.restore();
-        });
+            this.segmentationCanvas.getContext('2d').putImageData(this.segmentationImage, 0, 0);
+        }
+
+        this.ctx.save();
+        const { width: canvasWidth, height: canvasHeight } = this.ctx.canvas;
+        if (mirror) {
+            this.ctx.scale(-1, 1);
+            this.ctx.translate(-canvasWidth, 0);
+        }
+        this.ctx.drawImage(this.segmentationCanvas, 0, 0, canvasWidth, canvasHeight);
+        this.ctx.restore();
     }
 
     drawHandLandmarks(handLandmarks, mirror) {
@@ -121,9 +142,107 @@ export class PoseRenderer {
         }
     }
     
-    drawSkeleton(points) {
+    drawFaceLandmarks(faceLandmarks, mirror) {
+        if (!faceLandmarks || faceLandmarks.length === 0) return;
+        const canvasWidth = this.ctx.canvas.width;
+        const canvasHeight = this.ctx.canvas.height;
+        for (const landmarks of faceLandmarks) {
+            const points = landmarks.map(landmark => ({
+                x: mirror ? canvasWidth - landmark.x * canvasWidth : landmark.x * canvasWidth,
+                y: landmark.y * canvasHeight
+            }));
+            this.ctx.fillStyle = this.colors.face;
+            points.forEach(point => this.ctx.fillRect(point.x - 0.75, point.y - 0.75, 1.5, 1.5));
+            this.ctx.strokeStyle = this.colors.face;
+            this.ctx.lineWidth = 1.5;
+            Object.values(PoseRenderer.FACE_CONTOURS).forEach(contour => {
+                if (!contour.every(i => points[i])) return;
+                this.ctx.beginPath();
+                contour.forEach((i, n) => (n === 0 ? this.ctx.moveTo(points[i].x, points[i].y) : this.ctx.lineTo(points[i].x, points[i].y)));
+                this.ctx.closePath();
+                this.ctx.stroke();
+            });
+        }
+    }
+
+    /** An arrow from between the eyes along the gaze; a ring when looking into the camera. */
+    drawGazeArrow(gaze, mirror) {
+        if (!gaze) return;
+        const { width, height } = this.ctx.canvas;
+        const x = (mirror ? 1 - gaze.origin.x : gaze.origin.x) * width;
+        const y = gaze.origin.y * height;
+        // The arrow is the gaze vector seen from the camera, so it grows as the gaze turns away
+        const length = Math.min(width, height) * 0.3;
+        const dx = (mirror ? -gaze.vector.x : gaze.vector.x) * length, dy = -gaze.vector.y * length;
+        const color = gaze.atCamera ? this.colors.gazeAtCamera : this.colors.gazeAway;
+        this.ctx.strokeStyle = color;
+        this.ctx.fillStyle = color;
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, 6, 0, 2 * Math.PI);
+        this.ctx.stroke();
+        if (Math.hypot(dx, dy) < 8) return;
+        const angle = Math.atan2(dy, dx);
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, y);
+        this.ctx.lineTo(x + dx, y + dy);
+        this.ctx.stroke();
+        this.ctx.beginPath();
+        this.ctx.moveTo(x + dx, y + dy);
+        this.ctx.lineTo(x + dx - 12 * Math.cos(angle - 0.4), y + dy - 12 * Math.sin(angle - 0.4));
+        this.ctx.lineTo(x + dx - 12 * Math.cos(angle + 0.4), y + dy - 12 * Math.sin(angle + 0.4));
+        this.ctx.closePath();
+        this.ctx.fill();
+    }
+
+    /**
+     * The rep count, tempo and depth of the last rep and its form issues, in a box at the top left.
+     * @param {{label: string, count: number, phase: string, cadence: number|null, lastRep: object|null, issues: string[]}} stats
+     */
+    drawExerciseStats({ label, count, phase, cadence, lastRep, issues }) {
+        const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+        const lines = [{ text: `${label}: ${count}${phase === 'rest' ? '' : ` (${phase})`}`, font: 'bold 22px sans-serif', color: this.colors.exerciseText }];
+        if (lastRep) {
+            lines.push({ text: `Last rep ${seconds(lastRep.duration)} (down ${seconds(lastRep.downMs)}, up ${seconds(lastRep.upMs)}), depth ${Math.round(lastRep.depth)}°`, font: '14px sans-serif', color: this.colors.exerciseText });
+        }
+        if (cadence) lines.push({ text: `${Math.round(cadence)} reps/min`, font: '14px sans-serif', color: this.colors.exerciseText });
+        for (const issue of issues) lines.push({ text: `⚠ ${issue}`, font: 'bold 14px sans-serif', color: this.colors.formIssue });
+
+        const padding = 8, lineHeight = 22;
+        let width = 0;
+        for (const line of lines) {
+            this.ctx.font = line.font;
+            width = Math.max(width, this.ctx.measureText(line.text).width);
+        }
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(10, 10, width + 2 * padding, lines.length * lineHeight + padding);
+        lines.forEach((line, i) => {
+            this.ctx.font = line.font;
+            this.ctx.fillStyle = line.color;
+            this.ctx.fillText(line.text, 10 + padding, 10 + padding + (i + 0.75) * lineHeight);
+        });
+    }
+
+    personColor(id) {
+        return this.personColors[(id - 1) % this.personColors.length];
+    }
+
+    /** Writes "#id" above the person's head. */
+    drawPersonLabel(points, id, color) {
+        const visible = (points || []).filter(Boolean);
+        if (visible.length === 0) return;
+        const top = visible.reduce((a, b) => (b.y < a.y ? b : a));
+        this.ctx.fillStyle = color;
+        this.ctx.font = 'bold 16px sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`#${id}`, top.x, Math.max(16, top.y - 30));
+        this.ctx.textAlign = 'start';
+    }
+
+    /** `color` replaces the bone color, e.g. to tell tracked people apart. */
+    drawSkeleton(points, color = this.colors.bones) {
         if (!points || points.length < 33) return;
-        this.ctx.strokeStyle = this.colors.bones;
+        this.ctx.strokeStyle = color;
         this.ctx.lineWidth = 2;
         this.ctx.lineCap = 'round';
         this.POSE_CONNECTIONS.forEach(([start, end]) => {
@@ -144,7 +263,8 @@ export class PoseRenderer {
         });
     }
     
-    drawFilledCharacter(points) {
+    /** `color` replaces the torso color, e.g. to tell tracked people apart. */
+    drawFilledCharacter(points, color = this.colors.torso) {
         if (!points || points.length < 33) return;
         this.ctx.strokeStyle = this.colors.bones;
         this.ctx.lineWidth = 1;
@@ -155,7 +275,7 @@ export class PoseRenderer {
             this.ctx.stroke();
         }
         if (points[11] && points[12] && points[23] && points[24]) {
-            this.ctx.fillStyle = this.colors.torso;
+            this.ctx.fillStyle = color;
             this.ctx.beginPath();
             this.ctx.moveTo(points[11].x, points[11].y);
             this.ctx.lineTo(points[12].x, points[12].y);
@@ -171,7 +291,8 @@ export class PoseRenderer {
         this.drawLimb([points[24], points[26], points[28]], this.colors.rightLeg, 15);
     }
     
-    drawBlockyCharacter(points) {
+    /** `color` replaces the torso color, e.g. to tell tracked people apart. */
+    drawBlockyCharacter(points, color = this.colors.torso) {
         if (!points || points.length < 33) return;
         const p = points;
         const joints = {
@@ -191,7 +312,7 @@ export class PoseRenderer {
         this.drawCapsule(joints.rightHip, joints.rightKnee, limbThickness, this.colors.rightLeg);
         this.drawCapsule(joints.rightKnee, joints.rightAnkle, limbThickness, this.colors.rightLeg);
         if (joints.leftShoulder && joints.rightShoulder && joints.rightHip && joints.leftHip) {
-            this.ctx.fillStyle = this.colors.torso;
+            this.ctx.fillStyle = color;
             this.ctx.strokeStyle = this.colors.characterStroke;
             this.ctx.lineWidth = 2;
             this.ctx.beginPath();
@@ -1,40 +1,196 @@
 /**
- * MIMICA - EMA Smoothing Helper
- * Applies Exponential Moving Average to smooth pose landmark data over time
+ * MIMICA - Smoothing Helper
+ * Smooths landmark data over time with one of three filters:
+ *   ema      - Exponential Moving Average with a fixed alpha (setAlpha).
+ *   one-euro - One Euro filter: strong smoothing at rest, little lag in fast motion.
+ *   kalman   - Constant-velocity Kalman filter per coordinate.
+ * One Euro and Kalman are time-aware and tuned separately for hand joints and the rest
+ * of the body. Parameters are in pixels and seconds; `unitScale` adapts them to other
+ * units (e.g. meters for world landmarks).
  */
 
 import { PoseMapper } from './mapper.js';
 
+export const SMOOTHING_MODES = ['ema', 'one-euro', 'kalman'];
+
+// Pose landmarks 15-22 are the wrists and hand points; they move faster than the torso
+export const poseJointGroup = index => (index >= 15 && index <= 22 ? 'hands' : 'body');
+
+export const DEFAULT_FILTER_PARAMS = {
+    'one-euro': {
+        body: { minCutoff: 1.0, beta: 0.005, dCutoff: 1.0 },
+        hands: { minCutoff: 2.0, beta: 0.02, dCutoff: 1.0 }
+    },
+    kalman: {
+        // Standard deviations: acceleration in px/s^2, measurement in px
+        body: { processNoise: 1500, measurementNoise: 3 },
+        hands: { processNoise: 4000, measurementNoise: 3 }
+    }
+};
+
+const DEFAULT_FRAME_SECONDS = 1 / 30;
+
+function smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+/** One Euro filter for a single value (Casiez et al., CHI 2012). */
+export class OneEuroFilter {
+    constructor({ minCutoff = 1.0, beta = 0, dCutoff = 1.0 } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.value = null;
+        this.derivative = 0;
+    }
+
+    filter(value, dt) {
+        if (this.value === null) { this.value = value; return value; }
+        const rawDerivative = (value - this.value) / dt;
+        this.derivative += smoothingFactor(this.dCutoff, dt) * (rawDerivative - this.derivative);
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+        this.value += smoothingFactor(cutoff, dt) * (value - this.value);
+        return this.value;
+    }
+}
+
+/** Constant-velocity Kalman filter for a single value; state is [position, velocity]. */
+export class KalmanFilter1D {
+    constructor({ processNoise = 1500, measurementNoise = 3 } = {}) {
+        this.q = processNoise * processNoise;
+        this.r = measurementNoise * measurementNoise;
+        this.x = null;
+        this.v = 0;
+        this.p = null;
+    }
+
+    filter(value, dt) {
+        if (this.x === null) {
+            this.x = value;
+            this.p = [[this.r, 0], [0, this.q * dt * dt]];
+            return value;
+        }
+        // Predict
+        this.x += this.v * dt;
+        const [[p00, p01], [p10, p11]] = this.p;
+        const dt2 = dt * dt;
+        const q00 = this.q * dt2 * dt2 / 4, q01 = this.q * dt2 * dt / 2, q11 = this.q * dt2;
+        const a00 = p00 + dt * (p10 + p01) + dt2 * p11 + q00;
+        const a01 = p01 + dt * p11 + q01;
+        const a10 = p10 + dt * p11 + q01;
+        const a11 = p11 + q11;
+        // Update with the measured position
+        const s = a00 + this.r;
+        const k0 = a00 / s, k1 = a10 / s;
+        const residual = value - this.x;
+        this.x += k0 * residual;
+        this.v += k1 * residual;
+        this.p = [[(1 - k0) * a00, (1 - k0) * a01], [a10 - k1 * a00, a11 - k1 * a01]];
+        return this.x;
+    }
+}
+
 export class Smoother {
-    constructor(alpha = 0.3) {
+    /**
+     * @param {number} [alpha] - EMA weight of the newest point, in [0, 1].
+     * @param {object} [options]
+     * @param {string} [options.mode] - One of SMOOTHING_MODES.
+     * @param {string} [options.lowVisibility] - 'drop' missing joints, or 'hold' them at their last position for holdMs.
+     * @param {number} [options.minVisibility] - Points whose visibility is below this count as missing.
+     * @param {number} [options.holdMs] - How long a held joint is kept.
+     * @param {object} [options.params] - Per-mode, per-group overrides of DEFAULT_FILTER_PARAMS.
+     * @param {function(number): string} [options.groupOf] - Maps a point index to a parameter group.
+     * @param {number} [options.unitScale] - Multiplier from point units to pixels.
+     */
+    constructor(alpha = 0.3, options = {}) {
         this.alpha = alpha;
-        this.previousPoints = null;
+        this.mode = options.mode || 'ema';
+        this.lowVisibility = options.lowVisibility || 'drop';
+        this.minVisibility = options.minVisibility ?? 0;
+        this.holdMs = options.holdMs ?? 500;
+        this.params = options.params || {};
+        this.groupOf = options.groupOf || poseJointGroup;
+        this.unitScale = options.unitScale ?? 1;
+        this.reset();
     }
 
     setAlpha(alpha) {
         this.alpha = Math.max(0, Math.min(1, alpha));
     }
 
-    smooth(currentPoints) {
-        if (!this.previousPoints) {
-            this.previousPoints = currentPoints.map(p => (p ? { ...p } : null));
-            return currentPoints;
-        }
+    setMode(mode) {
+        if (!SMOOTHING_MODES.includes(mode)) throw new Error(`Unknown smoothing mode '${mode}'.`);
+        this.mode = mode;
+        this.reset();
+    }
+
+    setLowVisibility(behaviour) {
+        this.lowVisibility = behaviour === 'hold' ? 'hold' : 'drop';
+    }
+
+    filterParams(index) {
+        const group = this.groupOf(index);
+        return { ...DEFAULT_FILTER_PARAMS[this.mode][group], ...this.params[this.mode]?.[group] };
+    }
+
+    createFilter(index) {
+        const params = this.filterParams(index);
+        const Filter = this.mode === 'kalman' ? KalmanFilter1D : OneEuroFilter;
+        return { x: new Filter(params), y: new Filter(params), z: new Filter(params) };
+    }
+
+    isMissing(point) {
+        return !point || (typeof point.visibility === 'number' && point.visibility < this.minVisibility);
+    }
+
+    /**
+     * @param {Array} currentPoints - Points {x, y, z?, visibility?} or null.
+     * @param {number} [timestamp] - Milliseconds; needed by the time-aware filters.
+     */
+    smooth(currentPoints, timestamp = performance.now()) {
+        const dt = this.lastTimestamp === null ? DEFAULT_FRAME_SECONDS : Math.max(1e-3, (timestamp - this.lastTimestamp) / 1000);
+        this.lastTimestamp = timestamp;
 
         const smoothedPoints = currentPoints.map((currentPoint, i) => {
-            const previousPoint = this.previousPoints[i];
-            return PoseMapper.lerpPoint(previousPoint, currentPoint, this.alpha);
+            const previousPoint = this.previousPoints ? this.previousPoints[i] : null;
+            if (this.isMissing(currentPoint)) {
+                // A dropped joint is not held at a stale position unless asked to, and then only briefly
+                const held = this.lowVisibility === 'hold' && previousPoint && timestamp - (this.lastSeen[i] ?? -Infinity) <= this.holdMs;
+                if (!held) this.filters[i] = null;
+                return held ? previousPoint : null;
+            }
+            this.lastSeen[i] = timestamp;
+            if (this.mode === 'ema') {
+                if (!this.previousPoints) return { ...currentPoint };
+                return PoseMapper.lerpPoint(previousPoint, currentPoint, this.alpha);
+            }
+            return this.filterPoint(i, currentPoint, dt);
         });
 
         this.previousPoints = smoothedPoints;
         return smoothedPoints;
     }
 
+    filterPoint(index, point, dt) {
+        if (!this.filters[index]) this.filters[index] = this.createFilter(index);
+        const filters = this.filters[index];
+        const scale = this.unitScale;
+        const result = { ...point, x: filters.x.filter(point.x * scale, dt) / scale, y: filters.y.filter(point.y * scale, dt) / scale };
+        if (typeof point.z === 'number') result.z = filters.z.filter(point.z * scale, dt) / scale;
+        return result;
+    }
+
     getPrevious(index) {
         return (this.previousPoints && this.previousPoints[index]) ? this.previousPoints[index] : null;
     }
-    
+
     isInitialized() { return this.previousPoints !== null; }
     getCurrent() { return this.previousPoints; }
-    reset() { this.previousPoints = null; }
-}
\ No newline at end of file
+    reset() {
+        this.previousPoints = null;
+        this.filters = [];
+        this.lastSeen = [];
+        this.lastTimestamp = null;
+    }
+}
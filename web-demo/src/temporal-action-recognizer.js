@@ -0,0 +1,200 @@
+/**
+ * MIMICA - Temporal Action Recognizer
+ * Classifies actions from a sliding window of poses instead of a single frame.
+ * Motion actions (waving, clapping, walking, jumping) are detected from movement
+ * patterns; all other actions come from a majority vote of ActionRecognizer over the
+ * window. Hysteresis and minimum durations keep the label from flickering.
+ * An optional gesture classifier (see gesture-trainer.js) adds user-trained motions.
+ */
+
+import { ActionRecognizer } from './action-recognizer.js';
+
+// Actions that only make sense as movement; single-frame guesses for them are ignored
+const MOTION_ACTIONS = ['waving_right', 'waving_left', 'clapping', 'walking', 'jumping'];
+
+/**
+ * Counts direction changes in a series, ignoring wiggles smaller than `amplitude`.
+ */
+function countSwings(values, amplitude) {
+    if (values.length < 2) return 0;
+    let swings = 0;
+    let direction = 0;
+    let high = values[0], low = values[0];
+    for (const value of values) {
+        if (direction >= 0) high = Math.max(high, value);
+        if (direction <= 0) low = Math.min(low, value);
+
+        if (direction >= 0 && high - value > amplitude) {
+            if (direction > 0) swings++;
+            direction = -1; low = value;
+        } else if (direction <= 0 && value - low > amplitude) {
+            if (direction < 0) swings++;
+            direction = 1; high = value;
+        }
+    }
+    return swings;
+}
+
+export class TemporalActionRecognizer {
+    constructor(options = {}) {
+        this.staticRecognizer = options.staticRecognizer || new ActionRecognizer();
+        this.windowMs = options.windowMs ?? 1200;
+        // Confidence needed to switch to a new label, and to keep the current one
+        this.enterThreshold = options.enterThreshold ?? 0.6;
+        this.exitThreshold = options.exitThreshold ?? 0.35;
+        // How much a challenger must beat a still-valid current label by
+        this.switchMargin = options.switchMargin ?? 0.15;
+        this.minDurationMs = { motion: 400, static: 250, ...options.minDurationMs };
+        this.gestureClassifier = null;
+
+        this.reset();
+    }
+
+    /**
+     * @param {{names: string[], update: function(Array, number): Map<string, number>}|null} classifier
+     */
+    setGestureClassifier(classifier) {
+        this.gestureClassifier = classifier;
+        this.reset();
+    }
+
+    reset() {
+        this.window = [];
+        this.current = null;
+        this.pending = null;
+        this.gestureScores = null;
+    }
+
+    isMotionAction(action) {
+        return MOTION_ACTIONS.includes(action) || (this.gestureClassifier ? this.gestureClassifier.names.includes(action) : false);
+    }
+
+    /**
+     * Adds a pose to the window and returns the stabilized action.
+     * @param {Array} pose - 33 landmark points {x, y}.
+     * @param {number} timestamp - Milliseconds, monotonic.
+     * @returns {{action: string, confidence: number}}
+     */
+    update(pose, timestamp) {
+        this.window.push({ timestamp, pose, staticAction: this.staticRecognizer.recognize(pose) });
+        this.gestureScores = this.gestureClassifier ? this.gestureClassifier.update(pose, timestamp) : null;
+        while (this.window.length > 1 && timestamp - this.window[0].timestamp > this.windowMs) this.window.shift();
+
+        // A clear motion pattern is more specific than any static pose, so it takes precedence
+        const scores = this.scoreWindow();
+        let best = { action: 'unknown', confidence: 0 };
+        let bestMotion = { action: 'unknown', confidence: 0 };
+        for (const [action, confidence] of scores) {
+            if (confidence > best.confidence) best = { action, confidence };
+            if (this.isMotionAction(action) && confidence > bestMotion.confidence) bestMotion = { action, confidence };
+        }
+        if (bestMotion.confidence >= this.enterThreshold) best = bestMotion;
+
+        if (!this.current) {
+            this.current = best.action;
+            return best;
+        }
+
+        const currentScore = scores.get(this.current) || 0;
+        const holding = currentScore >= this.exitThreshold;
+        const overridesStatic = this.isMotionAction(best.action) && !this.isMotionAction(this.current);
+        const challenging = best.action !== this.current && best.confidence >= this.enterThreshold &&
+            (!holding || overridesStatic || best.confidence > currentScore + this.switchMargin);
+
+        if (!challenging) {
+            this.pending = null;
+            return { action: this.current, confidence: currentScore };
+        }
+        if (!this.pending || this.pending.action !== best.action) this.pending = { action: best.action, since: timestamp };
+
+        const minDuration = this.isMotionAction(best.action) ? this.minDurationMs.motion : this.minDurationMs.static;
+        if (timestamp - this.pending.since >= minDuration) {
+            this.current = best.action;
+            this.pending = null;
+            return best;
+        }
+        return { action: this.current, confidence: currentScore };
+    }
+
+    /** @returns {Map<string, number>} Confidence in [0, 1] for every candidate action. */
+    scoreWindow() {
+        const scores = new Map();
+
+        const votes = new Map();
+        for (const entry of this.window) {
+            if (this.isMotionAction(entry.staticAction)) continue;
+            votes.set(entry.staticAction, (votes.get(entry.staticAction) || 0) + 1);
+        }
+        // Frames whose single-frame label was a motion guess still count towards "standing"
+        const motionGuesses = this.window.filter(e => this.isMotionAction(e.staticAction)).length;
+        if (motionGuesses > 0) votes.set('standing', (votes.get('standing') || 0) + motionGuesses);
+        for (const [action, count] of votes) scores.set(action, count / this.window.length);
+
+        const frames = this.window.map(e => ({ timestamp: e.timestamp, ...this.extractFeatures(e.pose) })).filter(f => f.scale);
+        if (frames.length >= 3) {
+            scores.set('waving_right', this.scoreWaving(frames, 'right'));
+            scores.set('waving_left', this.scoreWaving(frames, 'left'));
+            scores.set('clapping', this.scoreClapping(frames));
+            scores.set('walking', this.scoreWalking(frames));
+            scores.set('jumping', this.scoreJumping(frames));
+        }
+        if (this.gestureScores) {
+            for (const [name, confidence] of this.gestureScores) scores.set(name, Math.max(scores.get(name) || 0, confidence));
+        }
+        return scores;
+    }
+
+    // Everything is measured in shoulder widths so distance to the camera does not matter
+    extractFeatures(pose) {
+        const p = i => (pose && pose[i]) || null;
+        const [leftShoulder, rightShoulder] = [p(11), p(12)];
+        if (!leftShoulder || !rightShoulder) return { scale: 0 };
+        const scale = Math.hypot(leftShoulder.x - rightShoulder.x, leftShoulder.y - rightShoulder.y);
+        return {
+            scale,
+            leftElbow: p(13), rightElbow: p(14), leftWrist: p(15), rightWrist: p(16),
+            leftHip: p(23), rightHip: p(24), leftKnee: p(25), rightKnee: p(26)
+        };
+    }
+
+    // Wrist currently held above the elbow and swinging side to side
+    scoreWaving(frames, side) {
+        const isRaised = f => f[`${side}Wrist`] && f[`${side}Elbow`] && f[`${side}Wrist`].y < f[`${side}Elbow`].y;
+        if (!isRaised(frames[frames.length - 1])) return 0;
+        const raised = frames.filter(isRaised);
+        if (raised.length < 3) return 0;
+        const offsets = raised.map(f => (f[`${side}Wrist`].x - f[`${side}Elbow`].x) / f.scale);
+        return Math.min(1, countSwings(offsets, 0.2) / 3);
+    }
+
+    // Wrists repeatedly closing together and moving apart
+    scoreClapping(frames) {
+        const distances = frames.filter(f => f.leftWrist && f.rightWrist)
+            .map(f => Math.hypot(f.leftWrist.x - f.rightWrist.x, f.leftWrist.y - f.rightWrist.y) / f.scale);
+        if (distances.length < 3 || Math.min(...distances) > 0.4) return 0;
+        return Math.min(1, countSwings(distances, 0.25) / 4);
+    }
+
+    // Knees alternately rising above each other
+    scoreWalking(frames) {
+        const differences = frames.filter(f => f.leftKnee && f.rightKnee).map(f => (f.leftKnee.y - f.rightKnee.y) / f.scale);
+        if (differences.length < 3) return 0;
+        return Math.min(1, countSwings(differences, 0.08) / 3);
+    }
+
+    // Hips rising quickly, measured as vertical velocity in shoulder widths per second
+    scoreJumping(frames) {
+        const hips = frames.filter(f => f.leftHip && f.rightHip)
+            .map(f => ({ timestamp: f.timestamp, y: (f.leftHip.y + f.rightHip.y) / 2 / f.scale }));
+        if (hips.length < 3) return 0;
+        let peakUpwardVelocity = 0;
+        for (let i = 1; i < hips.length; i++) {
+            const dt = (hips[i].timestamp - hips[i - 1].timestamp) / 1000;
+            if (dt > 0) peakUpwardVelocity = Math.max(peakUpwardVelocity, (hips[i - 1].y - hips[i].y) / dt);
+        }
+        const ys = hips.map(h => h.y);
+        const rise = Math.max(...ys) - Math.min(...ys);
+        if (peakUpwardVelocity < 1.5 || rise < 0.15) return 0;
+        return Math.min(1, rise / 0.4);
+    }
+}
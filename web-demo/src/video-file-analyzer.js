@@ -0,0 +1,109 @@
+/**
+ * MIMICA - Video File Analyzer
+ * Runs the enabled models over a video file frame by frame, on the file's own
+ * timeline instead of the wall clock. Each frame is sought to, analyzed and recorded
+ * before the next one, so a clip is processed as fast as inference allows (faster or
+ * slower than real time) and no frame is skipped.
+ *
+ * The stepping logic is independent of the DOM; seekVideo and estimateFrameRate
+ * connect it to an HTMLVideoElement.
+ */
+
+export class VideoFileAnalyzer {
+    /**
+     * @param {object} options
+     * @param {function(number): Promise<number>} options.seek - Shows the frame at a time in seconds;
+     *     resolves with that frame's own media time.
+     * @param {function(number): Promise} options.analyze - Processes the shown frame, given its media time.
+     * @param {number} options.duration - Length of the file in seconds.
+     * @param {number} [options.frameRate] - Frames per second of the file.
+     * @param {function({done: number, total: number, fraction: number, etaMs: number|null})} [options.onProgress]
+     * @param {function(): number} [options.now] - Clock in ms, for the ETA.
+     */
+    constructor({ seek, analyze, duration, frameRate = 30, onProgress = () => {}, now = () => performance.now() }) {
+        if (!(duration > 0)) throw new Error('The video has no duration to analyze.');
+        this.seek = seek;
+        this.analyze = analyze;
+        this.duration = duration;
+        this.frameRate = frameRate;
+        this.onProgress = onProgress;
+        this.now = now;
+        this.cancelled = false;
+    }
+
+    get frameCount() { return Math.max(1, Math.round(this.duration * this.frameRate)); }
+
+    cancel() { this.cancelled = true; }
+
+    progress(done, total, startedAt) {
+        const elapsed = this.now() - startedAt;
+        return { done, total, fraction: done / total, etaMs: done > 0 ? elapsed / done * (total - done) : null };
+    }
+
+    /** @returns {Promise<boolean>} false when cancelled before the end. */
+    async run() {
+        const total = this.frameCount;
+        const startedAt = this.now();
+        let lastTime = -Infinity;
+        for (let i = 0; i < total; i++) {
+            if (this.cancelled) return false;
+            // Aim at the middle of each frame, so rounding never lands on its neighbour
+            const mediaTime = await this.seek(Math.min((i + 0.5) / this.frameRate, this.duration));
+            // Variable frame rate files can map two steps onto the same frame
+            if (mediaTime > lastTime) {
+                lastTime = mediaTime;
+                await this.analyze(mediaTime);
+            }
+            this.onProgress(this.progress(i + 1, total, startedAt));
+        }
+        return !this.cancelled;
+    }
+}
+
+/**
+ * Seeks a video element and resolves with the media time of the frame it shows. Uses
+ * requestVideoFrameCallback where available; a seek that lands on the frame already
+ * shown presents nothing new, so 'seeked' is the fallback.
+ */
+export function seekVideo(video, seconds) {
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        const finish = time => {
+            if (settled) return;
+            settled = true;
+            video.onerror = null;
+            resolve(time);
+        };
+        video.onerror = () => { settled = true; reject(new Error('The video could not be decoded.')); };
+        if (video.requestVideoFrameCallback) video.requestVideoFrameCallback((now, metadata) => finish(metadata.mediaTime));
+        video.addEventListener('seeked', () => setTimeout(() => finish(video.currentTime), 100), { once: true });
+        video.currentTime = seconds;
+    });
+}
+
+/**
+ * Measures a video's frame rate by playing its first frames muted. The shortest step
+ * between presented frames is one frame, even when playback drops some.
+ */
+export async function estimateFrameRate(video, fallback = 30) {
+    if (!video.requestVideoFrameCallback) return fallback;
+    const times = [];
+    await new Promise(resolve => {
+        const onFrame = (now, metadata) => {
+            times.push(metadata.mediaTime);
+            if (times.length >= 12) resolve();
+            else video.requestVideoFrameCallback(onFrame);
+        };
+        video.requestVideoFrameCallback(onFrame);
+        video.muted = true;
+        video.play().catch(resolve);
+        setTimeout(resolve, 2000);
+    });
+    video.pause();
+    let step = Infinity;
+    for (let i = 1; i < times.length; i++) {
+        const delta = times[i] - times[i - 1];
+        if (delta > 1e-4) step = Math.min(step, delta);
+    }
+    return Number.isFinite(step) ? Math.round(1000 / step) / 1000 : fallback;
+}